@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "session_events_sessionId_idx";
+
+-- CreateIndex
+CREATE INDEX "session_events_sessionId_timestamp_idx" ON "session_events"("sessionId", "timestamp");
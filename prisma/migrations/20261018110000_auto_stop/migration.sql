@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "auto_stop_notify" AS ENUM ('NONE', 'DM', 'CHANNEL');
+
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "autoStopNotify" "auto_stop_notify" NOT NULL DEFAULT 'NONE',
+ADD COLUMN     "maxPauseMinutes" INTEGER,
+ADD COLUMN     "maxSessionMinutes" INTEGER;
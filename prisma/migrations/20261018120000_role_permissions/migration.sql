@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "managerRoleIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "statsViewerRoleIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "trackingRoleIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
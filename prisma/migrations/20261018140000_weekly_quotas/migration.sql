@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "quotaChannelId" TEXT,
+ADD COLUMN     "quotaMinutes" INTEGER,
+ADD COLUMN     "quotaReportedWeek" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "role_quotas" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "roleId" TEXT NOT NULL,
+    "minutes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "role_quotas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "role_quotas_guildId_roleId_key" ON "role_quotas"("guildId", "roleId");
@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "report_frequency" AS ENUM ('DAILY', 'WEEKLY', 'MONTHLY');
+
+-- CreateTable
+CREATE TABLE "report_schedules" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "channelId" TEXT NOT NULL,
+    "frequency" "report_frequency" NOT NULL,
+    "hour" INTEGER NOT NULL,
+    "minute" INTEGER NOT NULL DEFAULT 0,
+    "timeZone" TEXT NOT NULL DEFAULT 'UTC',
+    "nextRunAt" TIMESTAMP(3) NOT NULL,
+    "lastRunAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "report_schedules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "report_schedules_guildId_idx" ON "report_schedules"("guildId");
+
+-- CreateIndex
+CREATE INDEX "report_schedules_nextRunAt_idx" ON "report_schedules"("nextRunAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "plainTextOutput" BOOLEAN NOT NULL DEFAULT false;
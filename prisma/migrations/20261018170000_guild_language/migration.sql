@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "language" TEXT;
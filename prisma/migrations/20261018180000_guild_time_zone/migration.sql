@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "timeZone" TEXT,
+ADD COLUMN     "weekStartDay" INTEGER NOT NULL DEFAULT 1;
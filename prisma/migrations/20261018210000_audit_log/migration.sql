@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "auditChannelId" TEXT;
+
+-- CreateTable
+CREATE TABLE "audit_log" (
+    "id" TEXT NOT NULL,
+    "guildId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "actorId" TEXT,
+    "targetUserId" TEXT,
+    "sessionId" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_log_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_log_guildId_createdAt_idx" ON "audit_log"("guildId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_log_guildId_actorId_createdAt_idx" ON "audit_log"("guildId", "actorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_log_guildId_targetUserId_createdAt_idx" ON "audit_log"("guildId", "targetUserId", "createdAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "voiceAfkChannelId" TEXT,
+ADD COLUMN     "voiceChannelIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "onDutyRoleError" TEXT,
+ADD COLUMN     "onDutyRoleId" TEXT;
@@ -0,0 +1,26 @@
+-- Close duplicate running sessions, keeping the newest one of each user.
+-- The STOP is placed 1 ms after the last event, like transitionSession
+-- does, so an active duplicate gains 1 ms and a paused one nothing.
+-- One STOP per session, so the session ID makes a unique event ID.
+INSERT INTO "session_events" ("id", "sessionId", "eventType", "timestamp")
+SELECT "duplicates"."id" || '-stop', "duplicates"."id", 'STOP', "duplicates"."lastEvent" + INTERVAL '1 millisecond'
+FROM (
+    SELECT "s"."id",
+           (SELECT MAX("e"."timestamp") FROM "session_events" "e" WHERE "e"."sessionId" = "s"."id") AS "lastEvent",
+           ROW_NUMBER() OVER (PARTITION BY "s"."userId", "s"."guildId" ORDER BY "s"."createdAt" DESC) AS "rank"
+    FROM "sessions" "s"
+    WHERE "s"."status" IN ('ACTIVE', 'PAUSED')
+) AS "duplicates"
+WHERE "duplicates"."rank" > 1;
+
+UPDATE "sessions" SET "status" = 'COMPLETED', "updatedAt" = CURRENT_TIMESTAMP
+WHERE "status" IN ('ACTIVE', 'PAUSED')
+  AND EXISTS (
+    SELECT 1 FROM "session_events" "e"
+    WHERE "e"."sessionId" = "sessions"."id" AND "e"."eventType" = 'STOP'
+  );
+
+-- CreateIndex
+-- Partial unique index, not expressible in schema.prisma: at most one
+-- running (ACTIVE or PAUSED) session per user and guild
+CREATE UNIQUE INDEX "sessions_userId_guildId_running_key" ON "sessions"("userId", "guildId") WHERE "status" IN ('ACTIVE', 'PAUSED');
@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "live_board_layout" AS ENUM ('COMPACT', 'BOARD');
+
+-- AlterTable
+ALTER TABLE "guild_settings" ADD COLUMN     "liveBoardLayout" "live_board_layout" NOT NULL DEFAULT 'COMPACT',
+ADD COLUMN     "liveRankRoleIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
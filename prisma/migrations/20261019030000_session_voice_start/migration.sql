@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "startedByVoice" BOOLEAN NOT NULL DEFAULT false;
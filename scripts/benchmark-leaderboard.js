@@ -0,0 +1,150 @@
+import "dotenv/config";
+import PrismaService from "../src/database/prisma.js";
+
+/**
+ * Leaderboard benchmark against a local PostgreSQL database
+ *
+ * Seeds a throwaway guild with sessions (including pauses and running
+ * sessions), then compares the old per-user calculation with the SQL
+ * aggregation of PrismaService.getLeaderboard.
+ *
+ * Usage: npm run benchmark:leaderboard -- [users] [sessionsPerUser]
+ */
+
+const USERS = parseInt(process.argv[2]) || 200;
+const SESSIONS_PER_USER = parseInt(process.argv[3]) || 25;
+const GUILD_ID = `benchmark-${Date.now()}`;
+const HOUR_MS = 60 * 60 * 1000;
+
+const database = new PrismaService();
+
+/**
+ * Seed sessions with START, PAUSE, RESUME and STOP events
+ */
+async function seed() {
+  const now = Date.now();
+
+  for (let u = 0; u < USERS; u++) {
+    const userId = `user-${u}`;
+    const sessions = [];
+    const events = [];
+
+    for (let i = 0; i < SESSIONS_PER_USER; i++) {
+      const id = `${GUILD_ID}-${u}-${i}`;
+      const start = now - (i + 1) * 24 * HOUR_MS - Math.random() * 12 * HOUR_MS;
+      const isRunning = i === 0 && u % 10 === 0;
+
+      sessions.push({
+        id,
+        userId,
+        guildId: GUILD_ID,
+        status: isRunning ? "ACTIVE" : "COMPLETED",
+      });
+
+      events.push({
+        sessionId: id,
+        eventType: "START",
+        timestamp: new Date(start),
+      });
+
+      if (i % 3 === 0) {
+        events.push(
+          {
+            sessionId: id,
+            eventType: "PAUSE",
+            timestamp: new Date(start + HOUR_MS),
+          },
+          {
+            sessionId: id,
+            eventType: "RESUME",
+            timestamp: new Date(start + 1.5 * HOUR_MS),
+          }
+        );
+      }
+
+      if (!isRunning) {
+        events.push({
+          sessionId: id,
+          eventType: "STOP",
+          timestamp: new Date(start + (2 + Math.random() * 4) * HOUR_MS),
+        });
+      }
+    }
+
+    await database.prisma.session.createMany({ data: sessions });
+    await database.prisma.sessionEvent.createMany({ data: events });
+  }
+}
+
+/**
+ * Previous implementation: one stats query per user
+ */
+async function legacyLeaderboard(guildId, limit) {
+  const users = await database.prisma.session.findMany({
+    where: { guildId },
+    select: { userId: true },
+    distinct: ["userId"],
+  });
+
+  const leaderboard = [];
+  for (const { userId } of users) {
+    const userStats = await database.getUserStats(userId, guildId);
+    if (userStats.totalTimeMs > 0) {
+      leaderboard.push({ userId, ...userStats });
+    }
+  }
+
+  return leaderboard
+    .sort((a, b) => b.totalTimeMs - a.totalTimeMs)
+    .slice(0, limit);
+}
+
+async function measure(label, fn) {
+  const start = performance.now();
+  const result = await fn();
+  const duration = performance.now() - start;
+  console.log(`${label.padEnd(22)} ${duration.toFixed(1)} ms`);
+  return result;
+}
+
+async function main() {
+  console.log(
+    `🌱 Seeding ${USERS} users × ${SESSIONS_PER_USER} sessions (${GUILD_ID})...`
+  );
+  await seed();
+
+  try {
+    const legacy = await measure("Legacy (N+1)", () =>
+      legacyLeaderboard(GUILD_ID, 10)
+    );
+    const aggregated = await measure("SQL aggregation", () =>
+      database.getLeaderboard(GUILD_ID, 10)
+    );
+
+    // Running sessions keep growing between both measurements, so allow a
+    // small tolerance when comparing the totals.
+    const mismatches = legacy.filter((entry, index) => {
+      const other = aggregated[index];
+      return (
+        !other ||
+        other.userId !== entry.userId ||
+        other.sessionsCount !== entry.sessionsCount ||
+        Math.abs(other.totalTimeMs - entry.totalTimeMs) > 5000
+      );
+    });
+
+    console.log(
+      mismatches.length === 0
+        ? "✅ Results match"
+        : `❌ ${mismatches.length} entries differ`
+    );
+  } finally {
+    await database.prisma.session.deleteMany({ where: { guildId: GUILD_ID } });
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error("Benchmark failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+import "dotenv/config";
+import PrismaService from "../src/database/prisma.js";
+import {
+  sortEvents,
+  validateSessionEvents,
+} from "../src/utils/sessionEvents.js";
+import { SessionManager } from "../src/utils/sessionManager.js";
+
+/**
+ * Session state transitions under parallel requests, against a local
+ * PostgreSQL database with all migrations applied
+ *
+ * Hammers a single user of a throwaway guild with parallel starts, pauses,
+ * resumes and stops (like double clicks or several instances) and checks
+ * that there is never more than one running session and that the recorded
+ * events form a valid sequence. The guild's data is deleted afterwards.
+ *
+ * Usage: npm run check:concurrency
+ */
+
+const GUILD_ID = `concurrency-check-${Date.now()}`;
+const USER_ID = "user-concurrency";
+const PARALLEL_REQUESTS = 25;
+
+const database = new PrismaService();
+
+/**
+ * Run the same request several times in parallel
+ */
+function hammer(request, count = PARALLEL_REQUESTS) {
+  return Promise.all(Array.from({ length: count }, (_, i) => request(i)));
+}
+
+/**
+ * Running sessions and the events of the latest session of the user
+ */
+async function getState() {
+  const running = await database.prisma.session.count({
+    where: {
+      guildId: GUILD_ID,
+      userId: USER_ID,
+      status: { in: ["ACTIVE", "PAUSED"] },
+    },
+  });
+  const latest = await database.prisma.session.findFirst({
+    where: { guildId: GUILD_ID, userId: USER_ID },
+    orderBy: { createdAt: "desc" },
+    include: { events: true },
+  });
+  return { running, latest, events: sortEvents(latest?.events || []) };
+}
+
+const CHECKS = [
+  {
+    description: "Parallel starts create a single session",
+    async run() {
+      const ids = await hammer(() =>
+        database.startSession(USER_ID, GUILD_ID, new Date())
+      );
+      const { running } = await getState();
+      return [
+        ids.filter(Boolean).length === 1 ||
+          `${ids.filter(Boolean).length} starts succeeded`,
+        running === 1 || `${running} running sessions`,
+      ];
+    },
+  },
+  {
+    description: "Parallel pauses record a single PAUSE",
+    async run() {
+      const { latest } = await getState();
+      const results = await hammer(() =>
+        database.transitionSession(latest.id, "PAUSE", new Date())
+      );
+      const { events } = await getState();
+      return [
+        results.filter(Boolean).length === 1 ||
+          `${results.filter(Boolean).length} pauses succeeded`,
+        events.filter((e) => e.eventType === "PAUSE").length === 1 ||
+          "PAUSE recorded more than once",
+      ];
+    },
+  },
+  {
+    description: "Parallel resumes record a single RESUME",
+    async run() {
+      const { latest } = await getState();
+      const results = await hammer(() =>
+        database.transitionSession(latest.id, "RESUME", new Date())
+      );
+      return [
+        results.filter(Boolean).length === 1 ||
+          `${results.filter(Boolean).length} resumes succeeded`,
+      ];
+    },
+  },
+  {
+    description: "Mixed pauses, resumes and stops keep a valid sequence",
+    async run() {
+      const { latest } = await getState();
+      const types = ["PAUSE", "RESUME", "STOP"];
+      await hammer((i) =>
+        database.transitionSession(latest.id, types[i % 3], new Date())
+      );
+      const { running, events } = await getState();
+      const validation = validateSessionEvents(events);
+      return [
+        validation.valid ||
+          `invalid events ${events.map((e) => e.eventType).join(",")}`,
+        events.filter((e) => e.eventType === "STOP").length === 1 ||
+          "not stopped exactly once",
+        events[events.length - 1].eventType === "STOP" ||
+          "events recorded after the STOP",
+        running === 0 || `${running} running sessions`,
+      ];
+    },
+  },
+  {
+    description: "Parallel /play through the SessionManager starts once",
+    async run() {
+      const sessionManager = new SessionManager();
+      await hammer(() => sessionManager.startSession(USER_ID, GUILD_ID, null));
+      const { running, events } = await getState();
+      return [
+        running === 1 || `${running} running sessions`,
+        events.map((e) => e.eventType).join(",") === "START" ||
+          `events ${events.map((e) => e.eventType).join(",")}`,
+      ];
+    },
+  },
+  {
+    description: "Parallel /stop through the SessionManager stops once",
+    async run() {
+      const sessionManager = new SessionManager();
+      await hammer(() => sessionManager.stopSession(USER_ID, GUILD_ID));
+      const { running, events } = await getState();
+      return [
+        running === 0 || `${running} running sessions`,
+        events.map((e) => e.eventType).join(",") === "START,STOP" ||
+          `events ${events.map((e) => e.eventType).join(",")}`,
+      ];
+    },
+  },
+];
+
+async function main() {
+  // Plain text output avoids fetching users from Discord
+  await database.setGuildSettings(GUILD_ID, { plainTextOutput: true });
+
+  let failures = 0;
+
+  try {
+    for (const check of CHECKS) {
+      const problems = (await check.run()).filter((result) => result !== true);
+
+      if (problems.length > 0) failures++;
+      console.log(
+        `${problems.length === 0 ? "✅" : "❌"} ${check.description}${
+          problems.length > 0 ? ` (${problems.join("; ")})` : ""
+        }`
+      );
+    }
+  } finally {
+    await database.prisma.session.deleteMany({ where: { guildId: GUILD_ID } });
+    await database.prisma.auditLogEntry.deleteMany({
+      where: { guildId: GUILD_ID },
+    });
+    await database.prisma.guildSettings.delete({
+      where: { guildId: GUILD_ID },
+    });
+    await database.close();
+  }
+
+  console.log(
+    failures === 0
+      ? "✅ Session transitions are race-safe"
+      : `❌ ${failures} of ${CHECKS.length} checks failed`
+  );
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error("Concurrency check failed:", error);
+  process.exit(1);
+});
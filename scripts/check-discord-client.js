@@ -0,0 +1,258 @@
+import http from "node:http";
+import {
+  DiscordAPIError,
+  DiscordRestClient,
+  MissingPermissionsError,
+  UnknownMessageError,
+} from "../src/utils/discordRest.js";
+
+/**
+ * Discord REST client against a local mock of the Discord API
+ *
+ * The mock server enforces rate limits like Discord (bucket headers, 429
+ * with Retry-After, a global limit) and fails on purpose on some routes.
+ * Every check reports what the server saw, Discord itself is not needed.
+ *
+ * Usage: npm run check:discord-client
+ */
+
+const USERS_PER_WINDOW = 5;
+const USERS_WINDOW_MS = 1000;
+
+// Requests seen by the mock server: {method, path, time, status}
+const requests = [];
+const usersWindow = { start: 0, count: 0 };
+const failures = new Map();
+let globalLimitOnce = false;
+
+function reply(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+  return status;
+}
+
+/**
+ * Mock Discord routes, the status is recorded for the checks
+ */
+function route(req, res) {
+  const path = req.url.replace(/^\/api\/v10\//, "");
+
+  if (globalLimitOnce) {
+    globalLimitOnce = false;
+    return reply(
+      res,
+      429,
+      {
+        message: "You are being rate limited.",
+        retry_after: 0.5,
+        global: true,
+      },
+      { "Retry-After": "0.5", "X-RateLimit-Global": "true" }
+    );
+  }
+
+  // users/:id - 5 requests per second, 429 for clients ignoring the headers
+  if (path.startsWith("users/")) {
+    const now = Date.now();
+    if (now - usersWindow.start >= USERS_WINDOW_MS) {
+      usersWindow.start = now;
+      usersWindow.count = 0;
+    }
+    usersWindow.count++;
+    const resetAfter = (USERS_WINDOW_MS - (now - usersWindow.start)) / 1000;
+    const headers = {
+      "X-RateLimit-Bucket": "users-bucket",
+      "X-RateLimit-Limit": String(USERS_PER_WINDOW),
+      "X-RateLimit-Remaining": String(
+        Math.max(USERS_PER_WINDOW - usersWindow.count, 0)
+      ),
+      "X-RateLimit-Reset-After": resetAfter.toFixed(3),
+    };
+    if (usersWindow.count > USERS_PER_WINDOW) {
+      return reply(
+        res,
+        429,
+        { message: "You are being rate limited.", retry_after: resetAfter },
+        { ...headers, "Retry-After": resetAfter.toFixed(3) }
+      );
+    }
+    return reply(res, 200, { id: path.split("/")[1] }, headers);
+  }
+
+  // channels/:id/messages/:id - fails as often as configured, then works
+  const remainingFailures = failures.get(path) ?? 0;
+  if (remainingFailures > 0) {
+    failures.set(path, remainingFailures - 1);
+    return reply(res, 502, { message: "Bad Gateway" });
+  }
+  if (path === "channels/1/messages/500") {
+    return reply(res, 500, { message: "Internal Server Error" });
+  }
+  if (path === "channels/1/messages/deleted") {
+    return reply(res, 404, { message: "Unknown Message", code: 10008 });
+  }
+  if (path === "channels/forbidden/messages") {
+    return reply(res, 403, { message: "Missing Permissions", code: 50013 });
+  }
+  return reply(res, 200, { id: "message" });
+}
+
+const server = http.createServer((req, res) => {
+  const time = Date.now();
+  req.resume();
+  req.on("end", () => {
+    const status = route(req, res);
+    requests.push({ method: req.method, path: req.url, time, status });
+  });
+});
+
+/**
+ * Run a request and return the error it threw, null on success
+ */
+async function capture(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const CHECKS = [
+  {
+    description: "Parallel requests stay within the bucket, no 429",
+    async run(client) {
+      const ids = Array.from({ length: 12 }, (_, i) => `1000000000000000${i}`);
+      await Promise.all(ids.map((id) => client.request(`users/${id}`)));
+      const seen = requests.filter((r) => r.path.includes("/users/"));
+      return [
+        seen.filter((r) => r.status === 200).length === ids.length ||
+          "not all users fetched",
+        seen.every((r) => r.status !== 429) ||
+          `${seen.filter((r) => r.status === 429).length} requests hit a 429`,
+      ];
+    },
+  },
+  {
+    description: "A 429 is retried after Retry-After",
+    async run(client) {
+      // Exhaust the window behind the client's back
+      usersWindow.start = Date.now();
+      usersWindow.count = USERS_PER_WINDOW;
+      const error = await capture(client.request("users/200000000000000000"));
+      const seen = requests.filter((r) => r.path.includes("/users/"));
+      return [
+        error === null || `failed: ${error.message}`,
+        seen.map((r) => r.status).join(",") === "429,200" ||
+          `statuses ${seen.map((r) => r.status).join(",")}`,
+        seen.length < 2 ||
+          seen[1].time - seen[0].time >= 100 ||
+          "retried without waiting",
+      ];
+    },
+  },
+  {
+    description: "A global 429 pauses other routes as well",
+    async run(client) {
+      globalLimitOnce = true;
+      const start = Date.now();
+      const first = client.request("channels/1/messages", {
+        method: "POST",
+        body: {},
+      });
+      // Another route, sent while the global limit is active
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const second = client.request("channels/2/messages", {
+        method: "POST",
+        body: {},
+      });
+      await Promise.all([first, second]);
+      const retries = requests.filter((r) => r.status === 200);
+      return [
+        retries.length === 2 || `${retries.length} requests succeeded`,
+        retries.every((r) => r.time - start >= 450) ||
+          "a request ignored the global limit",
+      ];
+    },
+  },
+  {
+    description: "Server errors are retried with backoff",
+    async run(client) {
+      failures.set("channels/1/messages/flaky", 2);
+      const error = await capture(
+        client.request("channels/1/messages/flaky", { method: "PATCH" })
+      );
+      return [
+        error === null || `failed: ${error.message}`,
+        requests.map((r) => r.status).join(",") === "502,502,200" ||
+          `statuses ${requests.map((r) => r.status).join(",")}`,
+      ];
+    },
+  },
+  {
+    description: "Persistent server errors give up with a DiscordAPIError",
+    async run(client) {
+      const error = await capture(
+        client.request("channels/1/messages/500", { method: "PATCH" })
+      );
+      return [
+        (error instanceof DiscordAPIError && error.status === 500) ||
+          `threw ${error}`,
+        requests.length === 4 || `${requests.length} attempts`,
+      ];
+    },
+  },
+  {
+    description: "Typed errors for deleted messages and missing permissions",
+    async run(client) {
+      const deleted = await capture(
+        client.request("channels/1/messages/deleted", { method: "PATCH" })
+      );
+      const forbidden = await capture(
+        client.request("channels/forbidden/messages", { method: "POST" })
+      );
+      return [
+        deleted instanceof UnknownMessageError ||
+          `deleted message threw ${deleted}`,
+        forbidden instanceof MissingPermissionsError ||
+          `missing permissions threw ${forbidden}`,
+        forbidden?.code === 50013 || "error code missing",
+        requests.length === 2 || "client errors were retried",
+      ];
+    },
+  },
+];
+
+async function main() {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/v10`;
+
+  let failed = 0;
+  for (const check of CHECKS) {
+    requests.length = 0;
+    const client = new DiscordRestClient({ token: "mock", baseUrl });
+    const problems = (await check.run(client)).filter(
+      (result) => result !== true
+    );
+
+    if (problems.length > 0) failed++;
+    console.log(
+      `${problems.length === 0 ? "✅" : "❌"} ${check.description}${
+        problems.length > 0 ? ` (${problems.join("; ")})` : ""
+      }`
+    );
+  }
+
+  server.close();
+  console.log(
+    failed === 0
+      ? "✅ Discord REST client behaves as expected"
+      : `❌ ${failed} of ${CHECKS.length} checks failed`
+  );
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error("Check failed:", error);
+  process.exit(1);
+});
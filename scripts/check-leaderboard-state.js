@@ -0,0 +1,155 @@
+import {
+  encodeLeaderboardState,
+  normalizePeriodState,
+  parseLeaderboardState,
+} from "../src/utils/leaderboardPages.js";
+
+/**
+ * Leaderboard view state in custom_ids
+ *
+ * Encodes states built from command options, including hostile input
+ * (":" separators, over-long values), and checks that every custom_id fits
+ * Discord's limit and decodes to the same view.
+ *
+ * Usage: npm run check:leaderboard-state
+ */
+
+const CATEGORY_ID = "clx0000000000000000000000";
+const ACTIONS = ["prev", "next", "me", "sort", "page"];
+
+/**
+ * Build the state like /leaderboard, encode it and decode it again
+ */
+function roundTrip(period, from, to) {
+  const state = {
+    page: 12,
+    sort: "average",
+    ...normalizePeriodState(period, from, to),
+    categoryId: CATEGORY_ID,
+  };
+  const customIds = ACTIONS.map((action) =>
+    encodeLeaderboardState(action, state)
+  );
+  return {
+    state,
+    customIds,
+    parsed: parseLeaderboardState(customIds[0]).state,
+  };
+}
+
+/**
+ * Decoded state has the period and category of the command
+ */
+function expectView({ parsed, customIds }, period, from, to) {
+  return [
+    customIds.every((id) => id.length <= 100) ||
+      `custom_id with ${Math.max(
+        ...customIds.map((id) => id.length)
+      )} characters`,
+    parsed.period === period || `period ${parsed.period}`,
+    parsed.from === from || `from ${parsed.from}`,
+    parsed.to === to || `to ${parsed.to}`,
+    parsed.categoryId === CATEGORY_ID || `category ${parsed.categoryId}`,
+    parsed.sort === "average" || `sort ${parsed.sort}`,
+    parsed.page === 12 || `page ${parsed.page}`,
+  ];
+}
+
+const CHECKS = [
+  {
+    description: "A custom period keeps its dates",
+    run: () =>
+      expectView(
+        roundTrip("custom", "2026-01-01", "2026-01-31"),
+        "custom",
+        "2026-01-01",
+        "2026-01-31"
+      ),
+  },
+  {
+    description: "Dates given without a period make a custom period",
+    run: () =>
+      expectView(
+        roundTrip(undefined, " 2026-01-01 ", undefined),
+        "custom",
+        "2026-01-01",
+        undefined
+      ),
+  },
+  {
+    description: "Dates are dropped for other periods",
+    run: () =>
+      expectView(
+        roundTrip("week", "2026-01-01", "x:y:z"),
+        "week",
+        undefined,
+        undefined
+      ),
+  },
+  {
+    description: "Dates containing ':' do not shift later fields",
+    run: () =>
+      expectView(
+        roundTrip("custom", "2026:01:01", "a:b:c:d:e:f"),
+        "custom",
+        undefined,
+        undefined
+      ),
+  },
+  {
+    description: "Over-long dates do not exceed the custom_id limit",
+    run: () =>
+      expectView(
+        roundTrip("custom", "2026-01-01".repeat(20), "9".repeat(200)),
+        "custom",
+        undefined,
+        undefined
+      ),
+  },
+  {
+    description: "Unknown periods in a custom_id are ignored",
+    run: () => {
+      const { state } = parseLeaderboardState(
+        "leaderboard:next:0:total:forever:2026-13-01::"
+      );
+      return [
+        state.period === undefined || `period ${state.period}`,
+        state.from === undefined || `from ${state.from}`,
+      ];
+    },
+  },
+  {
+    description: "Encoding refuses states above the custom_id limit",
+    run: () => {
+      try {
+        encodeLeaderboardState("page", {
+          page: 0,
+          sort: "total",
+          categoryId: "c".repeat(100),
+        });
+        return ["no error thrown"];
+      } catch (error) {
+        return [true];
+      }
+    },
+  },
+];
+
+let failed = 0;
+for (const check of CHECKS) {
+  const problems = check.run().filter((result) => result !== true);
+
+  if (problems.length > 0) failed++;
+  console.log(
+    `${problems.length === 0 ? "✅" : "❌"} ${check.description}${
+      problems.length > 0 ? ` (${problems.join("; ")})` : ""
+    }`
+  );
+}
+
+console.log(
+  failed === 0
+    ? "✅ Leaderboard state fits into custom_ids"
+    : `❌ ${failed} of ${CHECKS.length} checks failed`
+);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,115 @@
+import { readdir, readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { CATALOGS, DEFAULT_LANGUAGE } from "../src/utils/i18n.js";
+
+/**
+ * Consistency check of the message catalogs
+ *
+ * - every key exists in every catalog (and no catalog has extra keys)
+ * - translations use the same {placeholders} as the default language
+ * - keys used with t(), describe() and choice() in the source exist
+ * - command texts fit Discord's limit of 100 characters
+ *
+ * Usage: npm run check:locales
+ */
+
+const SOURCE_DIR = new URL("../src/", import.meta.url).pathname;
+const KEY_USAGE = /\b(?:t|describe|choice)\(\s*"([^"]+)"/g;
+const MAX_COMMAND_TEXT_LENGTH = 100;
+
+const errors = [];
+
+/**
+ * Get the placeholder names of a message, sorted
+ */
+function getPlaceholders(text) {
+  return [...text.matchAll(/\{(\w+)\}/g)].map((match) => match[1]).sort();
+}
+
+/**
+ * List all JavaScript files below a directory
+ */
+async function listSourceFiles(dir) {
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listSourceFiles(path)));
+    } else if (entry.name.endsWith(".js")) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+function checkCatalogs() {
+  const reference = CATALOGS[DEFAULT_LANGUAGE];
+
+  for (const [language, catalog] of Object.entries(CATALOGS)) {
+    for (const [key, text] of Object.entries(reference)) {
+      if (!(key in catalog)) {
+        errors.push(`${language}: missing key "${key}"`);
+        continue;
+      }
+      if (typeof catalog[key] !== "string" || catalog[key].trim() === "") {
+        errors.push(`${language}: empty message for "${key}"`);
+        continue;
+      }
+
+      const expected = getPlaceholders(text).join(", ");
+      const actual = getPlaceholders(catalog[key]).join(", ");
+      if (expected !== actual) {
+        errors.push(
+          `${language}: placeholders of "${key}" are [${actual}], expected [${expected}]`
+        );
+      }
+
+      if (
+        key.startsWith("command.") &&
+        catalog[key].length > MAX_COMMAND_TEXT_LENGTH
+      ) {
+        errors.push(`${language}: "${key}" is longer than 100 characters`);
+      }
+    }
+
+    for (const key of Object.keys(catalog)) {
+      if (!(key in reference)) {
+        errors.push(`${language}: unknown key "${key}"`);
+      }
+    }
+  }
+}
+
+async function checkSourceKeys() {
+  const reference = CATALOGS[DEFAULT_LANGUAGE];
+
+  for (const file of await listSourceFiles(SOURCE_DIR)) {
+    const source = await readFile(file, "utf8");
+    for (const [, key] of source.matchAll(KEY_USAGE)) {
+      if (!(key in reference)) {
+        errors.push(`${file.slice(SOURCE_DIR.length)}: unknown key "${key}"`);
+      }
+    }
+  }
+}
+
+async function main() {
+  checkCatalogs();
+  await checkSourceKeys();
+
+  const keyCount = Object.keys(CATALOGS[DEFAULT_LANGUAGE]).length;
+  const languages = Object.keys(CATALOGS).join(", ");
+
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`❌ ${error}`));
+    console.error(`\n${errors.length} problems in the message catalogs`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${keyCount} keys complete in all catalogs (${languages})`);
+}
+
+main().catch((error) => {
+  console.error("Locale check failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,214 @@
+import "dotenv/config";
+import PrismaService from "../src/database/prisma.js";
+import { VoiceTracker } from "../src/gateway/voiceTracker.js";
+import { SessionManager } from "../src/utils/sessionManager.js";
+
+/**
+ * Voice tracking against a local PostgreSQL database, without Discord
+ *
+ * Replays a fake Gateway feed (join, mute, AFK, back, leave, ...) for a
+ * throwaway guild through the VoiceTracker and checks the session after
+ * every event. The guild's data is deleted afterwards.
+ *
+ * Usage: npm run simulate:voice
+ */
+
+const GUILD_ID = `voice-sim-${Date.now()}`;
+const TRACKED_CHANNEL = "channel-duty";
+const SECOND_CHANNEL = "channel-briefing";
+const AFK_CHANNEL = "channel-afk";
+const OTHER_CHANNEL = "channel-lounge";
+
+const member = (userId, bot = false) => ({
+  user: { id: userId, bot },
+  roles: [],
+});
+const voiceState = (userId, channelId, extra = {}) => ({
+  guild_id: GUILD_ID,
+  user_id: userId,
+  channel_id: channelId,
+  member: member(userId),
+  self_mute: false,
+  ...extra,
+});
+
+/**
+ * Events in order with the expected session of the user afterwards
+ * (status of the running session, or null if none is running). A step with
+ * `restart` replaces the tracker first, like a restart of the bot.
+ * "user-manual" has a session started with /play.
+ */
+const SCENARIO = [
+  {
+    description: "Guild becomes available, someone already sits in a channel",
+    type: "GUILD_CREATE",
+    data: {
+      id: GUILD_ID,
+      afk_channel_id: null,
+      voice_states: [{ user_id: "user-early", channel_id: TRACKED_CHANNEL }],
+      members: [member("user-early")],
+    },
+    expect: { "user-early": "ACTIVE", "user-a": null },
+  },
+  {
+    description: "Joining a tracked channel starts a session",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-a", TRACKED_CHANNEL),
+    expect: { "user-a": "ACTIVE" },
+  },
+  {
+    description: "Muting changes nothing",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-a", TRACKED_CHANNEL, { self_mute: true }),
+    expect: { "user-a": "ACTIVE" },
+    events: { "user-a": ["START"] },
+  },
+  {
+    description: "Switching between tracked channels keeps the session",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-a", SECOND_CHANNEL),
+    expect: { "user-a": "ACTIVE" },
+    events: { "user-a": ["START"] },
+  },
+  {
+    description: "Moving to the AFK channel pauses",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-a", AFK_CHANNEL),
+    expect: { "user-a": "PAUSED" },
+  },
+  {
+    description: "Coming back resumes",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-a", TRACKED_CHANNEL),
+    expect: { "user-a": "ACTIVE" },
+    events: { "user-a": ["START", "PAUSE", "RESUME"] },
+  },
+  {
+    description: "Leaving stops the session",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-a", null),
+    expect: { "user-a": null },
+    events: { "user-a": ["START", "PAUSE", "RESUME", "STOP"] },
+  },
+  {
+    description: "Untracked channels are ignored",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-b", OTHER_CHANNEL),
+    expect: { "user-b": null },
+  },
+  {
+    description: "Bots are ignored",
+    type: "VOICE_STATE_UPDATE",
+    data: {
+      ...voiceState("bot", TRACKED_CHANNEL),
+      member: member("bot", true),
+    },
+    expect: { bot: null },
+  },
+  {
+    description: "Moving from a tracked to an untracked channel stops",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-early", OTHER_CHANNEL),
+    expect: { "user-early": null },
+  },
+  {
+    description: "Joining before a restart starts a session",
+    type: "VOICE_STATE_UPDATE",
+    data: voiceState("user-c", TRACKED_CHANNEL),
+    expect: { "user-c": "ACTIVE" },
+  },
+  {
+    description:
+      "After a restart, voice sessions of users who left are stopped",
+    restart: true,
+    type: "GUILD_CREATE",
+    data: {
+      id: GUILD_ID,
+      afk_channel_id: null,
+      voice_states: [],
+      members: [],
+    },
+    expect: { "user-c": null, "user-manual": "ACTIVE" },
+    events: { "user-c": ["START", "STOP"] },
+  },
+];
+
+const database = new PrismaService();
+
+/**
+ * Event types of the latest session of a user
+ */
+async function getLatestEvents(userId) {
+  const session = await database.prisma.session.findFirst({
+    where: { guildId: GUILD_ID, userId },
+    orderBy: { createdAt: "desc" },
+    include: { events: { orderBy: { timestamp: "asc" } } },
+  });
+  return session?.events.map((event) => event.eventType) || [];
+}
+
+async function main() {
+  // Plain text output avoids fetching users from Discord
+  await database.setGuildSettings(GUILD_ID, {
+    voiceChannelIds: [TRACKED_CHANNEL, SECOND_CHANNEL],
+    voiceAfkChannelId: AFK_CHANNEL,
+    plainTextOutput: true,
+  });
+
+  const sessionManager = new SessionManager();
+  let tracker = new VoiceTracker(database, sessionManager);
+  let failures = 0;
+
+  try {
+    await sessionManager.startSession("user-manual", GUILD_ID, null);
+
+    for (const step of SCENARIO) {
+      if (step.restart) tracker = new VoiceTracker(database, sessionManager);
+      await tracker.handleDispatch(step.type, step.data);
+
+      const problems = [];
+      for (const [userId, status] of Object.entries(step.expect)) {
+        const session = await database.getActiveSession(userId, GUILD_ID);
+        if ((session?.status || null) !== status) {
+          problems.push(
+            `${userId}: expected ${status}, got ${session?.status || null}`
+          );
+        }
+      }
+      for (const [userId, events] of Object.entries(step.events || {})) {
+        const actual = await getLatestEvents(userId);
+        if (actual.join(",") !== events.join(",")) {
+          problems.push(`${userId}: events ${actual.join(",") || "-"}`);
+        }
+      }
+
+      if (problems.length > 0) failures++;
+      console.log(
+        `${problems.length === 0 ? "✅" : "❌"} ${step.description}${
+          problems.length > 0 ? ` (${problems.join("; ")})` : ""
+        }`
+      );
+    }
+  } finally {
+    await database.prisma.session.deleteMany({ where: { guildId: GUILD_ID } });
+    await database.prisma.auditLogEntry.deleteMany({
+      where: { guildId: GUILD_ID },
+    });
+    await database.prisma.guildSettings.delete({
+      where: { guildId: GUILD_ID },
+    });
+    await database.close();
+  }
+
+  console.log(
+    failures === 0
+      ? "✅ Voice tracking behaves as expected"
+      : `❌ ${failures} of ${SCENARIO.length} steps failed`
+  );
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error("Simulation failed:", error);
+  process.exit(1);
+});
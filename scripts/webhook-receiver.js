@@ -0,0 +1,88 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import http from "node:http";
+
+/**
+ * Local stand-in for a webhook receiver
+ *
+ * Verifies the signature of every request and prints the event. With
+ * `--fail N` the first N requests are answered with HTTP 500 to watch the
+ * bot retry them. The verification below is what a real receiver needs.
+ *
+ * Usage: /webhook add url:http://localhost:<port>/ in Discord, then
+ *   WEBHOOK_SECRET=whsec_... npm run webhook:receiver -- [port] [--fail N]
+ */
+
+const args = process.argv.slice(2);
+const failIndex = args.indexOf("--fail");
+let failuresLeft = 0;
+if (failIndex >= 0) {
+  failuresLeft = parseInt(args[failIndex + 1]) || 0;
+  args.splice(failIndex, 2);
+}
+const PORT = parseInt(args[0]) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+
+// Reject requests signed too long ago (replayed requests)
+const TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Check the X-Timetracker-Signature header of a request
+ * @returns {string|null} Error or null if the signature is valid
+ */
+function verifySignature(headers, body) {
+  const timestamp = Number(headers["x-timetracker-timestamp"]);
+  const signature = headers["x-timetracker-signature"] || "";
+
+  if (!Number.isInteger(timestamp)) return "missing timestamp";
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return "timestamp outside tolerance";
+  }
+
+  const expected = `sha256=${createHmac("sha256", SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+  const valid =
+    signature.length === expected.length &&
+    timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  return valid ? null : "invalid signature";
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const delivery = req.headers["x-timetracker-delivery"];
+
+    if (SECRET) {
+      const error = verifySignature(req.headers, body);
+      if (error) {
+        console.log(`❌ ${delivery}: ${error}`);
+        res.writeHead(401).end();
+        return;
+      }
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`💥 ${delivery}: answering 500 (${failuresLeft} left)`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const payload = JSON.parse(body);
+    console.log(
+      `✅ ${delivery}: ${payload.event} of <@${payload.userId}> at ${payload.timestamp}` +
+        ` (session ${payload.session.id}, ${payload.session.status})`
+    );
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}/`);
+  if (!SECRET) {
+    console.log("⚠️ WEBHOOK_SECRET not set, signatures are not checked");
+  }
+});
@@ -0,0 +1,281 @@
+import express from "express";
+import { hashApiKey } from "../utils/apiKeys.js";
+import { runWithLanguage } from "../utils/i18n.js";
+import { LEADERBOARD_SORTS } from "../utils/leaderboardPages.js";
+import { getCalendar, resolvePeriod } from "../utils/periods.js";
+import { serializeCategory, serializeSession } from "./serializers.js";
+
+/**
+ * Read-only REST API for time data (v1)
+ *
+ * Every route is scoped to a guild and needs an API key of that guild, sent
+ * as `Authorization: Bearer <key>` or `X-API-Key: <key>`. Times are ISO 8601
+ * strings in UTC, durations are milliseconds. Errors are returned as
+ * `{ error: { code, message } }`.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Labels and validation messages of the API are always English
+const API_LANGUAGE = "en";
+
+/**
+ * Send an API error response
+ */
+function sendError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * Wrap an async route handler, Express 4 does not catch rejected promises
+ */
+function route(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      console.error(`API error on ${req.method} ${req.originalUrl}:`, error);
+      sendError(res, 500, "internal_error", "Internal server error");
+    }
+  };
+}
+
+/**
+ * Read the API key from the Authorization or X-API-Key header
+ */
+function getRequestApiKey(req) {
+  const authorization = req.get("authorization");
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return req.get("x-api-key")?.trim() || null;
+}
+
+/**
+ * Parse the limit and offset query parameters
+ * @returns {{limit: number, offset: number}|{error: string}}
+ */
+function getPagination(query) {
+  const limit =
+    query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: "offset must be a non-negative integer" };
+  }
+
+  return { limit, offset };
+}
+
+/**
+ * Resolve the period query parameters (period, from, to) in the guild's calendar
+ * @returns {{range: Object|null, error?: string}}
+ */
+function getPeriod(query, settings) {
+  const value = (name) =>
+    typeof query[name] === "string" ? query[name] : undefined;
+
+  const { range, error } = runWithLanguage(API_LANGUAGE, () =>
+    resolvePeriod(
+      value("period"),
+      value("from"),
+      value("to"),
+      getCalendar(settings)
+    )
+  );
+
+  // Strip the emoji of the chat message
+  return { range, error: error?.replace(/^❌\s*/, "") };
+}
+
+function serializePeriod(range, settings) {
+  if (!range) return null;
+
+  return {
+    start: range.start.toISOString(),
+    end: range.end.toISOString(),
+    label: range.label,
+    timeZone: getCalendar(settings).timeZone,
+  };
+}
+
+/**
+ * Create the router of the v1 API
+ * @param {import("../database/prisma.js").default} database - Database service
+ * @returns {express.Router} Router to mount at /api/v1
+ */
+export function createApiRouter(database) {
+  const router = express.Router();
+
+  /**
+   * Authenticate the API key and load the guild settings
+   */
+  router.use(
+    "/guilds/:guildId",
+    route(async (req, res, next) => {
+      const key = getRequestApiKey(req);
+      if (!key) {
+        return sendError(res, 401, "missing_api_key", "API key required");
+      }
+
+      const apiKey = await database.findApiKey(hashApiKey(key));
+      if (!apiKey) {
+        return sendError(res, 401, "invalid_api_key", "Invalid API key");
+      }
+      if (apiKey.guildId !== req.params.guildId) {
+        return sendError(
+          res,
+          403,
+          "forbidden",
+          "API key is not valid for this guild"
+        );
+      }
+
+      // Usage tracking must never fail the request
+      database.touchApiKey(apiKey.id, new Date()).catch((error) => {
+        console.error("Error updating API key usage:", error);
+      });
+
+      req.guildSettings = await database.getGuildSettings(req.params.guildId);
+      next();
+    })
+  );
+
+  router.get(
+    "/guilds/:guildId/leaderboard",
+    route(async (req, res) => {
+      const { guildId } = req.params;
+      const { range, error } = getPeriod(req.query, req.guildSettings);
+      if (error) return sendError(res, 400, "invalid_period", error);
+
+      const pagination = getPagination(req.query);
+      if (pagination.error) {
+        return sendError(res, 400, "invalid_pagination", pagination.error);
+      }
+
+      const sort = req.query.sort || "total";
+      if (!(sort in LEADERBOARD_SORTS)) {
+        return sendError(
+          res,
+          400,
+          "invalid_sort",
+          `sort must be one of ${Object.keys(LEADERBOARD_SORTS).join(", ")}`
+        );
+      }
+
+      let category = null;
+      if (typeof req.query.category === "string") {
+        category = await database.findCategory(guildId, req.query.category);
+        if (!category) {
+          return sendError(res, 404, "unknown_category", "Unknown category");
+        }
+      }
+
+      // Ranks need the whole leaderboard, like the paginated command
+      const leaderboard = await database.getLeaderboard(
+        guildId,
+        null,
+        range,
+        category?.id,
+        sort
+      );
+      const { limit, offset } = pagination;
+
+      res.json({
+        period: serializePeriod(range, req.guildSettings),
+        sort,
+        category: serializeCategory(category),
+        items: leaderboard
+          .slice(offset, offset + limit)
+          .map((entry, index) => ({ rank: offset + index + 1, ...entry })),
+        pagination: { limit, offset, total: leaderboard.length },
+      });
+    })
+  );
+
+  router.get(
+    "/guilds/:guildId/users/:userId/stats",
+    route(async (req, res) => {
+      const { guildId, userId } = req.params;
+      const { range, error } = getPeriod(req.query, req.guildSettings);
+      if (error) return sendError(res, 400, "invalid_period", error);
+
+      const stats = await database.getUserStats(userId, guildId, range);
+
+      res.json({
+        userId,
+        period: serializePeriod(range, req.guildSettings),
+        totalTimeMs: stats.totalTimeMs,
+        sessionsCount: stats.sessionsCount,
+        averageTimeMs:
+          stats.sessionsCount > 0
+            ? Math.round(stats.totalTimeMs / stats.sessionsCount)
+            : 0,
+        lastSeen: stats.lastSeen
+          ? new Date(stats.lastSeen).toISOString()
+          : null,
+        categories: stats.categories.map((category) => ({
+          id: category.categoryId,
+          name: category.name,
+          sessionsCount: category.sessionsCount,
+          totalTimeMs: category.totalTimeMs,
+        })),
+      });
+    })
+  );
+
+  router.get(
+    "/guilds/:guildId/sessions",
+    route(async (req, res) => {
+      const { guildId } = req.params;
+      const { range, error } = getPeriod(req.query, req.guildSettings);
+      if (error) return sendError(res, 400, "invalid_period", error);
+
+      const pagination = getPagination(req.query);
+      if (pagination.error) {
+        return sendError(res, 400, "invalid_pagination", pagination.error);
+      }
+
+      const { limit, offset } = pagination;
+      const { sessions, total } = await database.getSessionsPage(guildId, {
+        range,
+        userId: typeof req.query.userId === "string" ? req.query.userId : null,
+        limit,
+        offset,
+      });
+      const now = new Date();
+
+      res.json({
+        period: serializePeriod(range, req.guildSettings),
+        items: sessions.map((session) =>
+          serializeSession(database, session, range, now)
+        ),
+        pagination: { limit, offset, total },
+      });
+    })
+  );
+
+  router.get(
+    "/guilds/:guildId/active",
+    route(async (req, res) => {
+      const sessions = await database.getAllActiveSessions(req.params.guildId);
+      const now = new Date();
+
+      res.json({
+        items: sessions.map((session) =>
+          serializeSession(database, session, null, now)
+        ),
+      });
+    })
+  );
+
+  router.use((req, res) => {
+    sendError(res, 404, "not_found", "Unknown endpoint");
+  });
+
+  return router;
+}
@@ -0,0 +1,55 @@
+import { getSessionBounds } from "../utils/sessionEvents.js";
+
+/**
+ * JSON representations shared by the REST API and outgoing webhooks
+ *
+ * Times are ISO 8601 strings in UTC, durations are milliseconds.
+ */
+
+/**
+ * Serialize a category (null for sessions without category)
+ */
+export function serializeCategory(category) {
+  return category ? { id: category.id, name: category.name } : null;
+}
+
+/**
+ * Serialize a session with its active and pause time
+ *
+ * With a range, only the active and pause time inside the range count.
+ * @param {import("../database/prisma.js").default} database - Database service
+ * @param {Object} session - Session with events and category
+ * @param {{start: Date, end: Date}|null} range - Time range
+ * @param {Date} now - Current time for running sessions
+ * @returns {Object} Serialized session
+ */
+export function serializeSession(database, session, range, now) {
+  const { start, end } = getSessionBounds(session.events);
+  const activeMs = database.calculateSessionDuration(
+    session.events,
+    now,
+    range
+  );
+
+  let spanStart = start ? start.getTime() : now.getTime();
+  let spanEnd = (end || now).getTime();
+  if (range) {
+    spanStart = Math.max(spanStart, range.start.getTime());
+    spanEnd = Math.min(spanEnd, range.end.getTime());
+  }
+
+  return {
+    id: session.id,
+    userId: session.userId,
+    status: session.status,
+    category: serializeCategory(session.category),
+    start: start ? start.toISOString() : null,
+    end: end ? end.toISOString() : null,
+    activeMs: Math.round(activeMs),
+    pauseMs: Math.max(Math.round(spanEnd - spanStart - activeMs), 0),
+    events: session.events.map((event) => ({
+      type: event.eventType,
+      timestamp: new Date(event.timestamp).toISOString(),
+    })),
+  };
+}
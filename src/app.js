@@ -9,6 +9,50 @@ import {
 } from "discord-interactions";
 import PrismaService from "./database/prisma.js";
 import { SessionManager } from "./utils/sessionManager.js";
+import {
+  getCalendar,
+  getWeekRange,
+  parseDateTimeInput,
+  resolvePeriod,
+} from "./utils/periods.js";
+import { BackgroundTask } from "./utils/backgroundTask.js";
+import { SessionSweeper } from "./utils/sessionSweeper.js";
+import { QuotaReporter } from "./utils/quotaReporter.js";
+import { ScheduledReporter } from "./utils/scheduledReporter.js";
+import { FREQUENCY_LABELS, getNextRunAt } from "./utils/reportSchedules.js";
+import { isValidTimeZone } from "./utils/timeZone.js";
+import {
+  isLeaderboardCustomId,
+  normalizePeriodState,
+  parseLeaderboardState,
+} from "./utils/leaderboardPages.js";
+import { isHistoryCustomId, parseHistoryState } from "./utils/historyPages.js";
+import { isPanelCustomId, parsePanelAction } from "./utils/panel.js";
+import { createSessionExport } from "./utils/exporter.js";
+import { createApiRouter } from "./api/router.js";
+import { GATEWAY_INTENTS, GatewayClient } from "./gateway/client.js";
+import { VoiceTracker } from "./gateway/voiceTracker.js";
+import { AuditLogger, formatAuditEntry } from "./utils/auditLog.js";
+import { DutyRoleManager } from "./utils/dutyRoles.js";
+import { DeferredResponse } from "./utils/deferredResponse.js";
+import { generateApiKey, MAX_API_KEYS } from "./utils/apiKeys.js";
+import {
+  generateWebhookSecret,
+  isValidWebhookUrl,
+  MAX_DELIVERY_ATTEMPTS,
+  MAX_WEBHOOKS,
+  parseWebhookEvents,
+  WEBHOOK_EVENTS,
+  WebhookDispatcher,
+} from "./utils/webhooks.js";
+import { authorizeInteraction, ROLE_SCOPES } from "./utils/permissions.js";
+import { resolveLanguage, runWithLanguage, t } from "./utils/i18n.js";
+import {
+  deleteChannelMessage,
+  editOriginalMessage,
+  sendChannelMessage,
+  sendFollowupFile,
+} from "./utils/discordApi.js";
 
 // Create Express app
 const app = express();
@@ -17,6 +61,55 @@ const PORT = process.env.PORT || 3001;
 // Initialize services
 const database = new PrismaService();
 const sessionManager = new SessionManager();
+const sessionSweeper = new SessionSweeper(database, sessionManager);
+const quotaReporter = new QuotaReporter(database, sessionManager);
+const scheduledReporter = new ScheduledReporter(database, sessionManager);
+const webhookDispatcher = new WebhookDispatcher(database);
+const auditLog = new AuditLogger(database);
+const dutyRoles = new DutyRoleManager(database);
+
+// Background tasks
+const autoStopTask = new BackgroundTask(
+  "auto-stop",
+  (parseInt(process.env.AUTO_STOP_INTERVAL_SECONDS) || 60) * 1000,
+  () => sessionSweeper.sweep()
+);
+const quotaSummaryTask = new BackgroundTask(
+  "quota-summary",
+  5 * 60 * 1000,
+  () => quotaReporter.postWeeklySummaries()
+);
+const scheduledReportTask = new BackgroundTask(
+  "scheduled-reports",
+  60 * 1000,
+  () => scheduledReporter.runDueReports()
+);
+const webhookRetryTask = new BackgroundTask(
+  "webhook-deliveries",
+  30 * 1000,
+  () => webhookDispatcher.deliverDue()
+);
+const dutyRoleTask = new BackgroundTask("duty-roles", 10 * 60 * 1000, () =>
+  dutyRoles.reconcile()
+);
+const onlineListTask = new BackgroundTask("online-lists", 5 * 60 * 1000, () =>
+  sessionManager.refreshOnlineLists()
+);
+
+// Optional Gateway connection for voice tracking, enable it in one instance only
+const gateway =
+  process.env.ENABLE_GATEWAY === "true"
+    ? new GatewayClient({
+        token: process.env.TOKEN,
+        intents: GATEWAY_INTENTS.GUILDS | GATEWAY_INTENTS.GUILD_VOICE_STATES,
+      })
+    : null;
+if (gateway) {
+  new VoiceTracker(database, sessionManager).attach(gateway);
+}
+
+// Commands answering visibly for everyone, all others answer ephemerally
+const PUBLIC_COMMANDS = ["leaderboard"];
 
 /**
  * Interactions endpoint URL where Discord will send HTTP requests
@@ -25,15 +118,18 @@ const sessionManager = new SessionManager();
 app.post(
   "/interactions",
   verifyKeyMiddleware(process.env.PUBLIC_KEY),
+  withInteractionLanguage,
   async function (req, res) {
     const {
       id,
       type,
+      token,
       data,
       member,
       user,
       guild_id: guildId,
       channel_id: channelId,
+      message: sourceMessage,
     } = req.body;
 
     console.log("Received interaction:", { type, data: data?.name });
@@ -51,44 +147,123 @@ app.post(
     if (type === InteractionType.APPLICATION_COMMAND) {
       const { name, options } = data;
       const userId = user?.id || member?.user?.id;
+      const response = new DeferredResponse(res, {
+        token,
+        defer: "message",
+        ephemeral: !PUBLIC_COMMANDS.includes(name),
+      });
 
       try {
+        const settings = await database.getGuildSettings(guildId);
+        const authorization = authorizeInteraction(req.body, settings);
+        if (!authorization.allowed) {
+          return sendDenied(response, authorization.message);
+        }
+
         switch (name) {
           case "play":
-            return await handleStartCommand(res, userId, guildId, channelId);
+            return await handleStartCommand(
+              response,
+              userId,
+              guildId,
+              channelId,
+              options
+            );
 
           case "stop":
-            return await handleStopCommand(res, userId, guildId, channelId);
+            return await handleStopCommand(
+              response,
+              userId,
+              guildId,
+              member?.roles
+            );
 
           case "status":
-            return await handleStatusCommand(res, guildId, channelId);
+            return await handleStatusCommand(response, guildId);
 
           case "stats":
             const targetUserId =
               options?.find((opt) => opt.name === "user")?.value || userId;
+            // Roles decide which quota applies to the user
+            const targetRoles =
+              targetUserId === userId
+                ? member?.roles
+                : data.resolved?.members?.[targetUserId]?.roles;
             return await handleStatsCommand(
-              res,
+              response,
               targetUserId,
               guildId,
-              channelId
+              options,
+              targetRoles
+            );
+
+          case "history":
+            return await handleHistoryCommand(
+              response,
+              options?.find((opt) => opt.name === "user")?.value || userId,
+              guildId
             );
 
           case "leaderboard":
-            return await handleLeaderboardCommand(res, guildId, channelId);
+            return await handleLeaderboardCommand(
+              response,
+              userId,
+              guildId,
+              options
+            );
 
           case "settings":
-            if (!member?.permissions || !(parseInt(member.permissions) & 0x8)) {
-              // Administrator permission
-              return res.send({
-                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-                data: {
-                  content:
-                    "❌ Du benötigst Administrator-Berechtigung um diesen Befehl zu verwenden.",
-                  flags: InteractionResponseFlags.EPHEMERAL,
-                },
-              });
-            }
-            return await handleSettingsCommand(res, data.options, guildId);
+            return await handleSettingsCommand(
+              response,
+              data.options,
+              guildId,
+              req.body.locale,
+              userId
+            );
+
+          case "admin":
+            return await handleAdminCommand(
+              response,
+              data.options,
+              guildId,
+              userId
+            );
+
+          case "export":
+            return await handleExportCommand(response, token, options, guildId);
+
+          case "quota":
+            return await handleQuotaCommand(
+              response,
+              token,
+              data.options,
+              guildId,
+              userId
+            );
+
+          case "panel":
+            return await handlePanelCommand(
+              response,
+              options,
+              guildId,
+              channelId
+            );
+
+          case "report":
+            return await handleReportCommand(
+              response,
+              data.options,
+              guildId,
+              userId
+            );
+
+          case "webhook":
+            return await handleWebhookCommand(
+              response,
+              data.options,
+              guildId,
+              userId
+            );
 
           default:
             console.error(`Unknown command: ${name}`);
@@ -96,13 +271,7 @@ app.post(
         }
       } catch (error) {
         console.error("Error handling command:", error);
-        return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: "❌ Ein Fehler ist aufgetreten. Bitte versuche es erneut.",
-            flags: InteractionResponseFlags.EPHEMERAL,
-          },
-        });
+        return sendFailure(response, t("error.command"));
       }
     }
 
@@ -112,20 +281,83 @@ app.post(
     if (type === InteractionType.MESSAGE_COMPONENT) {
       const { custom_id } = data;
       const userId = user?.id || member?.user?.id;
+      // Others navigating a public leaderboard get their own ephemeral page,
+      // an update would show their rank in the message for everyone
+      const isForeignLeaderboard =
+        isLeaderboardCustomId(custom_id) &&
+        getMessageOwnerId(sourceMessage) !== userId;
+      const response = new DeferredResponse(res, {
+        token,
+        // Panel buttons answer with a new message, the others update theirs
+        defer:
+          isPanelCustomId(custom_id) || isForeignLeaderboard
+            ? "message"
+            : "update",
+      });
 
       try {
-        // Check channel permission for session control buttons
-        const permission = await checkChannelPermission(guildId, channelId);
-        if (!permission.allowed) {
-          return res.send({
-            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-            data: {
-              content: permission.message,
-              flags: InteractionResponseFlags.EPHEMERAL,
-            },
+        const settings = await database.getGuildSettings(guildId);
+        const authorization = authorizeInteraction(req.body, settings);
+        if (!authorization.allowed) {
+          return sendDenied(response, authorization.message);
+        }
+
+        // Leaderboard navigation carries its state in the custom_id
+        if (isLeaderboardCustomId(custom_id)) {
+          const { action, state } = parseLeaderboardState(custom_id);
+          if (action === "sort") {
+            state.sort = data.values?.[0] || state.sort;
+          }
+
+          const page = await sessionManager.getLeaderboardPage(
+            guildId,
+            userId,
+            state,
+            action
+          );
+
+          if (isForeignLeaderboard) {
+            return response.send({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: { ...page, flags: InteractionResponseFlags.EPHEMERAL },
+            });
+          }
+          return response.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: page,
+          });
+        }
+
+        // History navigation and session details, state is in the custom_id
+        if (isHistoryCustomId(custom_id)) {
+          const { action, state } = parseHistoryState(custom_id);
+          const message =
+            action === "select"
+              ? await sessionManager.getHistorySession(
+                  guildId,
+                  state,
+                  data.values?.[0]
+                )
+              : await sessionManager.getHistoryPage(guildId, state, action);
+
+          return response.send({
+            type: InteractionResponseType.UPDATE_MESSAGE,
+            data: message,
           });
         }
 
+        // Panel buttons answer the clicking user, the panel stays unchanged
+        if (isPanelCustomId(custom_id)) {
+          return await handlePanelButton(
+            response,
+            custom_id,
+            userId,
+            guildId,
+            channelId,
+            member?.roles
+          );
+        }
+
         let result;
         switch (custom_id) {
           case "pause_session":
@@ -135,25 +367,54 @@ app.post(
             result = await sessionManager.resumeSession(userId, guildId);
             break;
           case "stop_session":
-            result = await sessionManager.stopSession(userId, guildId);
+            result = await sessionManager.stopSession(
+              userId,
+              guildId,
+              member?.roles
+            );
             break;
           default:
             console.error(`Unknown component interaction: ${custom_id}`);
             return res.status(400).json({ error: "Unknown interaction" });
         }
 
-        return res.send({
+        return response.send({
           type: InteractionResponseType.UPDATE_MESSAGE,
           data: result,
         });
       } catch (error) {
         console.error("Error handling button interaction:", error);
+        return sendFailure(response, t("error.component"));
+      }
+    }
+
+    /**
+     * Handle autocomplete requests
+     */
+    if (type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+      try {
+        const focused = findFocusedOption(data.options);
+        let choices = [];
+
+        // Category names: `category` options and `/admin category remove`
+        if (focused?.name === "category" || focused?.name === "name") {
+          const query = String(focused.value || "").toLowerCase();
+          const categories = await database.getCategories(guildId);
+          choices = categories
+            .filter((category) => category.name.toLowerCase().includes(query))
+            .slice(0, 25)
+            .map((category) => ({ name: category.name, value: category.name }));
+        }
+
         return res.send({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: "❌ Ein Fehler ist aufgetreten.",
-            flags: InteractionResponseFlags.EPHEMERAL,
-          },
+          type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+          data: { choices },
+        });
+      } catch (error) {
+        console.error("Error handling autocomplete:", error);
+        return res.send({
+          type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+          data: { choices: [] },
         });
       }
     }
@@ -164,44 +425,158 @@ app.post(
 );
 
 /**
- * Check if a command is allowed in the current channel
- * @param {string} guildId - Discord guild ID
- * @param {string} channelId - Current channel ID
- * @returns {Promise<{allowed: boolean, message?: string}>}
+ * Run the interaction handler in the guild's language
+ *
+ * Without a language setting the user's Discord locale is used.
  */
-async function checkChannelPermission(guildId, channelId) {
-  const settings = await database.getGuildSettings(guildId);
+async function withInteractionLanguage(req, res, next) {
+  const { guild_id: guildId, locale } = req.body;
+  let settings = null;
+
+  try {
+    if (guildId) settings = await database.getGuildSettings(guildId);
+  } catch (error) {
+    console.error("Error loading guild language:", error);
+  }
+
+  runWithLanguage(resolveLanguage(settings, locale), next);
+}
+
+/**
+ * Send an ephemeral message for a denied interaction
+ */
+function sendDenied(res, message) {
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: message,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * User who ran the command a message answers, null if unknown
+ *
+ * Ephemeral pages opened by a component belong to the user who clicked.
+ * @param {Object|undefined} message - Message of a component interaction
+ * @returns {string|null} Discord user ID
+ */
+function getMessageOwnerId(message) {
+  return (
+    message?.interaction_metadata?.user?.id ||
+    message?.interaction?.user?.id ||
+    null
+  );
+}
+
+/**
+ * Tell the user an interaction failed
+ *
+ * Never throws: it runs in the error path of the route, a rejection would
+ * escape the Express handler.
+ */
+async function sendFailure(response, message) {
+  try {
+    return await sendDenied(response, message);
+  } catch (error) {
+    console.error("Error sending failure response:", error);
+  }
+}
 
-  // If no tracking channel is set, allow in all channels
-  if (!settings || !settings.trackingChannelId) {
-    return { allowed: true };
+/**
+ * Find the option the user is currently typing in (autocomplete)
+ * @param {Array|undefined} options - Interaction options (possibly nested)
+ * @returns {Object|null} Focused option
+ */
+function findFocusedOption(options) {
+  for (const option of options || []) {
+    if (option.focused) return option;
+    const nested = findFocusedOption(option.options);
+    if (nested) return nested;
   }
+  return null;
+}
+
+/**
+ * Resolve the category option of a command
+ * @param {string} guildId - Discord guild ID
+ * @param {Array|undefined} options - Command options
+ * @returns {Promise<{category: Object|null, error?: string}>}
+ */
+async function getCategoryOption(guildId, options) {
+  const name = options?.find((opt) => opt.name === "category")?.value;
+  if (!name) return { category: null };
 
-  // If tracking channel is set, only allow in that channel
-  if (channelId !== settings.trackingChannelId) {
+  const category = await database.findCategory(guildId, name);
+  if (!category) {
     return {
-      allowed: false,
-      message: `❌ Zeiterfassung-Befehle sind nur in <#${settings.trackingChannelId}> erlaubt.`,
+      category: null,
+      error: t("category.error.notFound", { name }),
     };
   }
 
-  return { allowed: true };
+  return { category };
+}
+
+/**
+ * Get the calendar (time zone and week start) of a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<{timeZone: string, weekStartDay: number}>}
+ */
+async function getGuildCalendar(guildId) {
+  return getCalendar(await database.getGuildSettings(guildId));
+}
+
+/**
+ * Resolve the period options (period, from, to) of a command
+ * @param {string} guildId - Discord guild ID
+ * @param {Array|undefined} options - Command options
+ * @returns {Promise<{range: Object|null, error?: string}>}
+ */
+async function getPeriodOption(guildId, options) {
+  const getValue = (name) => options?.find((opt) => opt.name === name)?.value;
+  return resolvePeriod(
+    getValue("period"),
+    getValue("from"),
+    getValue("to"),
+    await getGuildCalendar(guildId)
+  );
+}
+
+/**
+ * Update guild settings and record the changed values in the audit log
+ * @param {string} guildId - Discord guild ID
+ * @param {string} actorId - User changing the settings
+ * @param {Object} update - Changed settings fields
+ * @returns {Promise<Object>} Updated settings
+ */
+async function updateGuildSettings(guildId, actorId, update) {
+  const previous = await database.getGuildSettings(guildId);
+  const settings = await database.setGuildSettings(guildId, update);
+  await auditLog.recordSettingsChange(
+    guildId,
+    actorId,
+    previous,
+    settings,
+    Object.keys(update)
+  );
+  return settings;
 }
 
 // Command handlers
-async function handleStartCommand(res, userId, guildId, channelId) {
-  const permission = await checkChannelPermission(guildId, channelId);
-  if (!permission.allowed) {
-    return res.send({
-      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: {
-        content: permission.message,
-        flags: InteractionResponseFlags.EPHEMERAL,
-      },
-    });
+async function handleStartCommand(res, userId, guildId, channelId, options) {
+  const { category, error } = await getCategoryOption(guildId, options);
+  if (error) {
+    return sendDenied(res, error);
   }
 
-  const result = await sessionManager.startSession(userId, guildId, channelId);
+  const result = await sessionManager.startSession(
+    userId,
+    guildId,
+    channelId,
+    category?.id
+  );
 
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -209,19 +584,8 @@ async function handleStartCommand(res, userId, guildId, channelId) {
   });
 }
 
-async function handleStopCommand(res, userId, guildId, channelId) {
-  const permission = await checkChannelPermission(guildId, channelId);
-  if (!permission.allowed) {
-    return res.send({
-      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: {
-        content: permission.message,
-        flags: InteractionResponseFlags.EPHEMERAL,
-      },
-    });
-  }
-
-  const result = await sessionManager.stopSession(userId, guildId);
+async function handleStopCommand(res, userId, guildId, memberRoles) {
+  const result = await sessionManager.stopSession(userId, guildId, memberRoles);
 
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -231,83 +595,200 @@ async function handleStopCommand(res, userId, guildId, channelId) {
 
 // Button interactions are now handled directly in the MESSAGE_COMPONENT section
 
-async function handleStatusCommand(res, guildId, channelId) {
-  const permission = await checkChannelPermission(guildId, channelId);
-  if (!permission.allowed) {
-    return res.send({
-      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: {
-        content: permission.message,
-        flags: InteractionResponseFlags.EPHEMERAL,
-      },
-    });
+async function handlePanelButton(
+  res,
+  customId,
+  userId,
+  guildId,
+  channelId,
+  memberRoles
+) {
+  const { action, categoryId } = parsePanelAction(customId);
+
+  let result;
+  switch (action) {
+    case "start": {
+      // The category may have been removed since the panel was posted
+      const category = categoryId
+        ? (await database.getCategories(guildId)).find(
+            (entry) => entry.id === categoryId
+          )
+        : null;
+      if (categoryId && !category) {
+        return sendDenied(res, t("panel.error.category"));
+      }
+
+      result = await sessionManager.startSession(
+        userId,
+        guildId,
+        channelId,
+        category?.id
+      );
+      break;
+    }
+    case "toggle":
+      result = await sessionManager.toggleSession(userId, guildId);
+      break;
+    case "stop":
+      result = await sessionManager.stopSession(userId, guildId, memberRoles);
+      break;
+    default:
+      console.error(`Unknown panel action: ${action}`);
+      return res.status(400).json({ error: "Unknown interaction" });
+  }
+
+  // A new ephemeral reply, UPDATE_MESSAGE would change the panel for everyone
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: result,
+  });
+}
+
+async function handlePanelCommand(res, options, guildId, channelId) {
+  const { category, error } = await getCategoryOption(guildId, options);
+  if (error) {
+    return sendDenied(res, error);
+  }
+
+  const settings = await database.getGuildSettings(guildId);
+  const targetChannelId =
+    options?.find((opt) => opt.name === "channel")?.value ||
+    settings?.trackingChannelId ||
+    channelId;
+  const channel = `<#${targetChannelId}>`;
+
+  // The panel is shared, so it uses the guild language
+  const message = await runWithLanguage(resolveLanguage(settings), () =>
+    sessionManager.createPanelMessage(guildId, category)
+  );
+
+  try {
+    await sendChannelMessage(targetChannelId, message);
+  } catch (error) {
+    return sendDenied(res, t("panel.error.post", { channel }));
   }
 
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t("panel.posted", { channel }),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+async function handleStatusCommand(res, guildId) {
   const activeSessions = await database.getAllActiveSessions(guildId);
-  const content = sessionManager.createOnlineListContent(activeSessions);
+  const message = await sessionManager.createOnlineListMessage(
+    guildId,
+    activeSessions
+  );
 
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content,
+      ...message,
       flags: InteractionResponseFlags.EPHEMERAL,
     },
   });
 }
 
-async function handleStatsCommand(res, targetUserId, guildId, channelId) {
-  const permission = await checkChannelPermission(guildId, channelId);
-  if (!permission.allowed) {
+async function handleStatsCommand(
+  res,
+  targetUserId,
+  guildId,
+  options,
+  targetRoles
+) {
+  const { range, error } = await getPeriodOption(guildId, options);
+  if (error) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: permission.message,
+        content: error,
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
 
-  const content = await sessionManager.getUserStats(targetUserId, guildId);
+  const message = await sessionManager.getUserStats(
+    targetUserId,
+    guildId,
+    range,
+    targetRoles
+  );
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      ...message,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+async function handleHistoryCommand(res, targetUserId, guildId) {
+  const message = await sessionManager.getHistoryPage(guildId, {
+    userId: targetUserId,
+    page: 0,
+  });
 
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content,
+      ...message,
       flags: InteractionResponseFlags.EPHEMERAL,
     },
   });
 }
 
-async function handleLeaderboardCommand(res, guildId, channelId) {
-  const permission = await checkChannelPermission(guildId, channelId);
-  if (!permission.allowed) {
+async function handleLeaderboardCommand(res, userId, guildId, options) {
+  const { error } = await getPeriodOption(guildId, options);
+  if (error) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: permission.message,
+        content: error,
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
   }
 
-  const content = await sessionManager.getLeaderboard(guildId, 10);
+  const { category, error: categoryError } = await getCategoryOption(
+    guildId,
+    options
+  );
+  if (categoryError) {
+    return sendDenied(res, categoryError);
+  }
+
+  const getValue = (name) => options?.find((opt) => opt.name === name)?.value;
+  const message = await sessionManager.getLeaderboardPage(guildId, userId, {
+    page: 0,
+    sort: getValue("sort") || "total",
+    // The state is stored in custom_ids, so only validated dates are kept
+    ...normalizePeriodState(
+      getValue("period"),
+      getValue("from"),
+      getValue("to")
+    ),
+    categoryId: category?.id || null,
+  });
 
   return res.send({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-    data: {
-      content,
-    },
+    data: message,
   });
 }
 
-async function handleSettingsCommand(res, options, guildId) {
+async function handleSettingsCommand(res, options, guildId, locale, userId) {
   const subcommand = options?.[0];
 
   if (!subcommand) {
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: "❌ Subcommand fehlt.",
+        content: t("error.missingSubcommand"),
         flags: InteractionResponseFlags.EPHEMERAL,
       },
     });
@@ -319,11 +800,13 @@ async function handleSettingsCommand(res, options, guildId) {
     );
     const channelId = channelOption?.value || null;
 
-    await database.setGuildSettings(guildId, { trackingChannelId: channelId });
+    await updateGuildSettings(guildId, userId, {
+      trackingChannelId: channelId,
+    });
 
     const message = channelId
-      ? `✅ Zeiterfassung auf <#${channelId}> beschränkt.`
-      : `✅ Zeiterfassung in allen Kanälen erlaubt.`;
+      ? t("settings.channel.set", { channel: `<#${channelId}>` })
+      : t("settings.channel.cleared");
 
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -340,19 +823,33 @@ async function handleSettingsCommand(res, options, guildId) {
     );
     const channelId = channelOption?.value || null;
 
-    await database.setGuildSettings(guildId, {
+    const previous = await database.getGuildSettings(guildId);
+    const channelChanged = previous?.liveChannelId !== channelId;
+
+    await updateGuildSettings(guildId, userId, {
       liveChannelId: channelId,
-      liveMessageId: null, // Reset message ID when changing channel
+      // Reset message ID when changing channel
+      ...(channelChanged && { liveMessageId: null }),
     });
 
+    // Only one online list per guild, the old one would not be updated
+    if (channelChanged && previous?.liveMessageId) {
+      deleteChannelMessage(
+        previous.liveChannelId,
+        previous.liveMessageId
+      ).catch((error) => {
+        console.error("Error deleting the old online list:", error.message);
+      });
+    }
+
     if (channelId) {
       // Update the online list for the new channel
-      await sessionManager.updateOnlineList(guildId);
+      sessionManager.refreshOnlineList(guildId);
     }
 
     const message = channelId
-      ? `✅ Online-Liste in <#${channelId}> aktiviert.`
-      : `✅ Online-Liste deaktiviert.`;
+      ? t("settings.liveChannel.set", { channel: `<#${channelId}>` })
+      : t("settings.liveChannel.cleared");
 
     return res.send({
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -363,34 +860,1171 @@ async function handleSettingsCommand(res, options, guildId) {
     });
   }
 
-  return res.send({
-    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-    data: {
-      content: "❌ Unbekannter Subcommand.",
-      flags: InteractionResponseFlags.EPHEMERAL,
-    },
-  });
-}
+  if (subcommand.name === "audit-channel") {
+    const channelId =
+      subcommand.options?.find((opt) => opt.name === "channel")?.value || null;
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
-});
+    await updateGuildSettings(guildId, userId, { auditChannelId: channelId });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Discord Interactions Server listening on port ${PORT}`);
-  console.log(`📊 Database initialized`);
+    const message = channelId
+      ? t("settings.auditChannel.set", { channel: `<#${channelId}>` })
+      : t("settings.auditChannel.cleared");
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: message,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  if (subcommand.name === "on-duty-role") {
+    const roleId =
+      subcommand.options?.find((opt) => opt.name === "role")?.value || null;
+
+    const previousRoleId = (await database.getGuildSettings(guildId))
+      ?.onDutyRoleId;
+    const settings = await updateGuildSettings(guildId, userId, {
+      onDutyRoleId: roleId,
+      onDutyRoleError: null,
+    });
+
+    // Updating the members can take a while, so it runs in the background
+    (async () => {
+      if (previousRoleId && previousRoleId !== roleId) {
+        await dutyRoles.release(guildId, previousRoleId);
+      }
+      if (roleId) {
+        await dutyRoles.reconcileGuild(settings);
+      }
+    })().catch((error) => {
+      console.error(`Error applying the on-duty role of ${guildId}:`, error);
+    });
+
+    const message = roleId
+      ? t("settings.dutyRole.set", { role: `<@&${roleId}>` })
+      : t("settings.dutyRole.cleared");
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: message,
+        flags: InteractionResponseFlags.EPHEMERAL,
+        allowed_mentions: { parse: [] },
+      },
+    });
+  }
+
+  if (subcommand.name === "output") {
+    const style = subcommand.options?.find(
+      (opt) => opt.name === "style"
+    )?.value;
+
+    await updateGuildSettings(guildId, userId, {
+      plainTextOutput: style === "text",
+    });
+    // Re-render the online list in the new style
+    sessionManager.refreshOnlineList(guildId);
+
+    const message =
+      style === "text" ? t("settings.output.text") : t("settings.output.embed");
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: message,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  if (subcommand.name === "live-board") {
+    const getValue = (name) =>
+      subcommand.options?.find((opt) => opt.name === name)?.value;
+    const layout = getValue("layout");
+    // Without rank options the board groups by status only
+    const rankRoleIds = [
+      ...new Set(
+        [1, 2, 3, 4, 5].map((rank) => getValue(`rank-${rank}`)).filter(Boolean)
+      ),
+    ];
+
+    await updateGuildSettings(guildId, userId, {
+      liveBoardLayout: layout === "board" ? "BOARD" : "COMPACT",
+      liveRankRoleIds: rankRoleIds,
+    });
+    // Re-render the online list in the new layout
+    sessionManager.refreshOnlineList(guildId);
+
+    let message =
+      layout === "board"
+        ? t("settings.liveBoard.board")
+        : t("settings.liveBoard.compact");
+    if (layout === "board" && rankRoleIds.length > 0) {
+      message += `\n${t("settings.liveBoard.ranks", {
+        ranks: rankRoleIds.map((roleId) => `<@&${roleId}>`).join(" > "),
+      })}`;
+    }
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: message,
+        flags: InteractionResponseFlags.EPHEMERAL,
+        allowed_mentions: { parse: [] },
+      },
+    });
+  }
+
+  if (subcommand.name === "language") {
+    const language = subcommand.options?.find(
+      (opt) => opt.name === "language"
+    )?.value;
+
+    // "auto" follows the Discord language of each user
+    const settings = await updateGuildSettings(guildId, userId, {
+      language: language === "auto" ? null : language,
+    });
+    // Shared messages use the guild language
+    sessionManager.refreshOnlineList(guildId);
+
+    // Confirm in the language that applies from now on
+    const message = runWithLanguage(resolveLanguage(settings, locale), () =>
+      settings.language
+        ? t("settings.language.set")
+        : t("settings.language.auto")
+    );
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: message,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  if (subcommand.name === "time-zone") {
+    const getValue = (name) =>
+      subcommand.options?.find((opt) => opt.name === name)?.value;
+
+    // Omitted options keep the current value, none shows the settings
+    const update = {};
+    const timeZone = getValue("timezone")?.trim();
+    const weekStartDay = getValue("week-start");
+    if (timeZone !== undefined) {
+      if (!isValidTimeZone(timeZone)) {
+        return sendDenied(
+          res,
+          t("report.error.timeZone", { timeZone: `\`${timeZone}\`` })
+        );
+      }
+      update.timeZone = timeZone;
+    }
+    if (weekStartDay !== undefined) update.weekStartDay = weekStartDay;
+
+    const changed = Object.keys(update).length > 0;
+    const settings = changed
+      ? await updateGuildSettings(guildId, userId, update)
+      : await database.getGuildSettings(guildId);
+    const calendar = getCalendar(settings);
+
+    // Weekly reports move to the new first day of the week
+    if (weekStartDay !== undefined) {
+      const schedules = await database.getReportSchedules(guildId);
+      for (const schedule of schedules) {
+        if (schedule.frequency !== "WEEKLY") continue;
+        await database.rescheduleReport(
+          schedule.id,
+          getNextRunAt(
+            { ...schedule, weekStartDay: calendar.weekStartDay },
+            new Date()
+          )
+        );
+      }
+    }
+
+    const params = {
+      timeZone: calendar.timeZone,
+      weekStart: t(`weekday.${calendar.weekStartDay}`),
+    };
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: changed
+          ? t("settings.timeZone.set", params)
+          : t("settings.timeZone.show", params),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  if (subcommand.name === "api-key") {
+    const getValue = (name) =>
+      subcommand.options?.find((opt) => opt.name === name)?.value;
+    const reply = (content) =>
+      res.send({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content,
+          flags: InteractionResponseFlags.EPHEMERAL,
+          allowed_mentions: { parse: [] },
+        },
+      });
+
+    switch (getValue("action")) {
+      case "create": {
+        const name = getValue("name")?.trim();
+        if (!name) {
+          return reply(t("settings.apiKey.missingName"));
+        }
+
+        const existing = await database.getApiKeys(guildId);
+        if (existing.length >= MAX_API_KEYS) {
+          return reply(t("settings.apiKey.limit", { count: MAX_API_KEYS }));
+        }
+
+        // Only the hash is stored, the key is shown this one time
+        const { key, keyHash, prefix } = generateApiKey();
+        const created = await database.createApiKey({
+          guildId,
+          name,
+          keyHash,
+          prefix,
+          createdBy: userId,
+        });
+        await auditLog.record(guildId, {
+          action: "API_KEY_CREATE",
+          actorId: userId,
+          after: { id: created.id, name, prefix },
+        });
+
+        return reply(
+          t("settings.apiKey.created", {
+            name,
+            id: `\`${created.id}\``,
+            key: `\`${key}\``,
+          })
+        );
+      }
+
+      case "revoke": {
+        const keyId = getValue("id")?.trim();
+        if (!keyId) {
+          return reply(t("settings.apiKey.missingId"));
+        }
+
+        const apiKey = (await database.getApiKeys(guildId)).find(
+          (entry) => entry.id === keyId
+        );
+        const deleted = apiKey && (await database.deleteApiKey(guildId, keyId));
+        if (!deleted) {
+          return reply(t("settings.apiKey.notFound"));
+        }
+
+        await auditLog.record(guildId, {
+          action: "API_KEY_REVOKE",
+          actorId: userId,
+          before: { id: apiKey.id, name: apiKey.name, prefix: apiKey.prefix },
+        });
+        return reply(t("settings.apiKey.revoked"));
+      }
+
+      default: {
+        const apiKeys = await database.getApiKeys(guildId);
+        if (apiKeys.length === 0) {
+          return reply(
+            `${t("settings.apiKey.title")}\n\n${t("settings.apiKey.empty")}`
+          );
+        }
+
+        const lines = apiKeys.map((apiKey) =>
+          t("settings.apiKey.entry", {
+            id: `\`${apiKey.id}\``,
+            name: apiKey.name,
+            prefix: `\`${apiKey.prefix}…\``,
+            user: `<@${apiKey.createdBy}>`,
+            created: `<t:${Math.floor(apiKey.createdAt.getTime() / 1000)}:d>`,
+            lastUsed: apiKey.lastUsedAt
+              ? `<t:${Math.floor(apiKey.lastUsedAt.getTime() / 1000)}:R>`
+              : t("settings.apiKey.neverUsed"),
+          })
+        );
+        return reply(`${t("settings.apiKey.title")}\n\n${lines.join("\n\n")}`);
+      }
+    }
+  }
+
+  if (subcommand.name === "voice") {
+    const getValue = (name) =>
+      subcommand.options?.find((opt) => opt.name === name)?.value;
+    const action = getValue("action");
+    const channelId = getValue("channel") || null;
+
+    let settings = await database.getGuildSettings(guildId);
+
+    if (action !== "show") {
+      if ((action === "add" || action === "remove") && !channelId) {
+        return sendDenied(res, t("settings.voice.missingChannel"));
+      }
+
+      const current = settings?.voiceChannelIds || [];
+      const update =
+        action === "add"
+          ? { voiceChannelIds: [...new Set([...current, channelId])] }
+          : action === "remove"
+          ? { voiceChannelIds: current.filter((id) => id !== channelId) }
+          : action === "afk"
+          ? { voiceAfkChannelId: channelId }
+          : { voiceChannelIds: [], voiceAfkChannelId: null };
+
+      settings = await updateGuildSettings(guildId, userId, update);
+    }
+
+    const channelIds = settings?.voiceChannelIds || [];
+    const lines = [
+      t("settings.voice.title"),
+      t("settings.voice.channels", {
+        channels:
+          channelIds.length > 0
+            ? channelIds.map((id) => `<#${id}>`).join(", ")
+            : t("settings.voice.disabled"),
+      }),
+      t("settings.voice.afk", {
+        channel: settings?.voiceAfkChannelId
+          ? `<#${settings.voiceAfkChannelId}>`
+          : t("settings.voice.serverAfk"),
+      }),
+      "",
+      t("settings.voice.hint"),
+    ];
+    if (!gateway) {
+      lines.push(t("settings.voice.gatewayDisabled"));
+    }
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: lines.join("\n"),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  if (subcommand.name === "auto-stop") {
+    const getValue = (name) =>
+      subcommand.options?.find((opt) => opt.name === name)?.value;
+
+    // 0 disables a limit, omitted options keep the current value
+    const update = {};
+    const maxSession = getValue("max-session");
+    const maxPause = getValue("max-pause");
+    const notify = getValue("notify");
+    if (maxSession !== undefined) update.maxSessionMinutes = maxSession || null;
+    if (maxPause !== undefined) update.maxPauseMinutes = maxPause || null;
+    if (notify !== undefined) update.autoStopNotify = notify;
+
+    const settings = await updateGuildSettings(guildId, userId, update);
+
+    const formatLimit = (minutes) =>
+      minutes
+        ? sessionManager.formatTime(minutes * 60000)
+        : t("settings.autoStop.disabled");
+    const message = [
+      t("settings.autoStop.title"),
+      t("settings.autoStop.maxSession", {
+        limit: formatLimit(settings.maxSessionMinutes),
+      }),
+      t("settings.autoStop.maxPause", {
+        limit: formatLimit(settings.maxPauseMinutes),
+      }),
+      t("settings.autoStop.notify", {
+        notify: t(`settings.autoStop.notify.${settings.autoStopNotify}`),
+      }),
+    ].join("\n");
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: message,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  if (subcommand.name === "roles") {
+    const getValue = (name) =>
+      subcommand.options?.find((opt) => opt.name === name)?.value;
+    const action = getValue("action");
+    const roleId = getValue("role");
+    const scope = ROLE_SCOPES[getValue("scope")];
+
+    let settings = await database.getGuildSettings(guildId);
+
+    if (action !== "show") {
+      if (!scope) {
+        return sendDenied(res, t("settings.roles.missingScope"));
+      }
+      if ((action === "add" || action === "remove") && !roleId) {
+        return sendDenied(res, t("settings.roles.missingRole"));
+      }
+
+      const current = settings?.[scope.field] || [];
+      const roleIds =
+        action === "add"
+          ? [...new Set([...current, roleId])]
+          : action === "remove"
+          ? current.filter((id) => id !== roleId)
+          : [];
+
+      settings = await updateGuildSettings(guildId, userId, {
+        [scope.field]: roleIds,
+      });
+    }
+
+    let message = `${t("settings.roles.title")}\n`;
+    for (const { field, labelKey } of Object.values(ROLE_SCOPES)) {
+      const roleIds = settings?.[field] || [];
+      const roles =
+        roleIds.length > 0
+          ? roleIds.map((id) => `<@&${id}>`).join(", ")
+          : field === "managerRoleIds"
+          ? t("settings.roles.adminsOnly")
+          : t("settings.roles.everyone");
+      message += `• **${t(labelKey)}:** ${roles}\n`;
+    }
+
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: message,
+        flags: InteractionResponseFlags.EPHEMERAL,
+        allowed_mentions: { parse: [] },
+      },
+    });
+  }
+
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: t("error.unknownSubcommand"),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+async function handleAdminCommand(res, options, guildId, userId) {
+  const group = options?.[0];
+  const subcommand = group?.options?.[0];
+  const getValue = (name) =>
+    subcommand?.options?.find((opt) => opt.name === name)?.value;
+
+  const reply = (content) =>
+    res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+
+  if (group?.name === "category" && subcommand) {
+    return await handleAdminCategoryCommand(reply, subcommand, guildId, userId);
+  }
+
+  // The audit search is a plain subcommand without group
+  if (group?.name === "audit") {
+    return await handleAdminAuditCommand(reply, group, guildId);
+  }
+
+  if (group?.name !== "session" || !subcommand) {
+    return reply(t("error.unknownSubcommand"));
+  }
+
+  switch (subcommand.name) {
+    case "list":
+      return reply(
+        await sessionManager.listSessions(getValue("user"), guildId)
+      );
+
+    case "edit": {
+      const { timeZone } = await getGuildCalendar(guildId);
+      const timestamp = parseDateTimeInput(getValue("time"), timeZone);
+      if (!timestamp) {
+        return reply(t("admin.error.invalidTime"));
+      }
+      return reply(
+        await sessionManager.editSessionEvent(
+          guildId,
+          getValue("session"),
+          getValue("event"),
+          timestamp,
+          userId
+        )
+      );
+    }
+
+    case "add": {
+      const { timeZone } = await getGuildCalendar(guildId);
+      const startTime = parseDateTimeInput(getValue("start"), timeZone);
+      if (!startTime) {
+        return reply(t("admin.error.invalidStart"));
+      }
+      return reply(
+        await sessionManager.addManualSession(
+          getValue("user"),
+          guildId,
+          startTime,
+          getValue("minutes"),
+          userId
+        )
+      );
+    }
+
+    case "delete":
+      return reply(
+        await sessionManager.deleteSession(guildId, getValue("session"), userId)
+      );
+
+    default:
+      return reply(t("error.unknownSubcommand"));
+  }
+}
+
+async function handleAdminCategoryCommand(reply, subcommand, guildId, userId) {
+  const name = subcommand.options
+    ?.find((opt) => opt.name === "name")
+    ?.value?.trim();
+
+  switch (subcommand.name) {
+    case "list": {
+      const categories = await database.getCategories(guildId);
+      if (categories.length === 0) {
+        return reply(
+          `${t("category.list.title")}\n\n${t("category.list.empty", {
+            general: t("category.general"),
+          })}`
+        );
+      }
+      return reply(
+        `${t("category.list.title")}\n\n${categories
+          .map((category) => `🏷️ ${category.name}`)
+          .join("\n")}`
+      );
+    }
+
+    case "add": {
+      if (!name) {
+        return reply(t("category.error.missingName"));
+      }
+      if (await database.findCategory(guildId, name)) {
+        return reply(t("category.error.exists", { name }));
+      }
+      const category = await database.createCategory(guildId, name);
+      await auditLog.record(guildId, {
+        action: "CATEGORY_ADD",
+        actorId: userId,
+        after: { name: category.name },
+      });
+      return reply(t("category.added", { name: category.name }));
+    }
+
+    case "remove": {
+      const category = name && (await database.findCategory(guildId, name));
+      if (!category) {
+        return reply(t("category.error.notFound", { name }));
+      }
+      await database.deleteCategory(category.id);
+      await auditLog.record(guildId, {
+        action: "CATEGORY_REMOVE",
+        actorId: userId,
+        before: { name: category.name },
+      });
+      return reply(
+        t("category.removed", {
+          name: category.name,
+          general: t("category.general"),
+        })
+      );
+    }
+
+    default:
+      return reply(t("error.unknownSubcommand"));
+  }
+}
+
+// Newest entries shown by the audit log search
+const AUDIT_SEARCH_LIMIT = 15;
+// Keep some room below Discord's 2000 character limit
+const MAX_AUDIT_SEARCH_LENGTH = 1900;
+
+async function handleAdminAuditCommand(reply, subcommand, guildId) {
+  const userId =
+    subcommand.options?.find((opt) => opt.name === "user")?.value || null;
+  const { range, error } = await getPeriodOption(guildId, subcommand.options);
+  if (error) {
+    return reply(error);
+  }
+
+  const { entries, total } = await database.searchAuditLog(guildId, {
+    userId,
+    range,
+    limit: AUDIT_SEARCH_LIMIT,
+  });
+
+  let content = t("audit.search.title");
+  if (userId) content += ` – <@${userId}>`;
+  if (range) content += ` (${range.label})`;
+
+  if (entries.length === 0) {
+    return reply(`${content}\n\n${t("audit.search.empty")}`);
+  }
+
+  let shown = 0;
+  for (const entry of entries) {
+    const block = `\n\n${formatAuditEntry(entry)}`;
+    if (content.length + block.length > MAX_AUDIT_SEARCH_LENGTH) break;
+    content += block;
+    shown++;
+  }
+  if (shown < total) {
+    content += `\n\n${t("audit.search.more", { shown, total })}`;
+  }
+
+  return reply(content);
+}
+
+async function handleExportCommand(res, interactionToken, options, guildId) {
+  const getValue = (name) => options?.find((opt) => opt.name === name)?.value;
+  const format = getValue("format");
+  const userId = getValue("user") || null;
+
+  const { range, error } = await getPeriodOption(guildId, options);
+  if (error) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: error,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // Large exports take longer than Discord's response deadline
+  res.send({
+    type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { flags: InteractionResponseFlags.EPHEMERAL },
+  });
+
+  const applicationId = process.env.APPLICATION_ID;
+
+  try {
+    let title = `📁 **Export** (${format.toUpperCase()})`;
+    if (range) title += ` – ${range.label}`;
+    if (userId) title += ` – <@${userId}>`;
+
+    // Large exports are split into several files, sent as they are full
+    const { timeZone } = await getGuildCalendar(guildId);
+    const { file, files, sessionsCount, truncated } = await createSessionExport(
+      database,
+      guildId,
+      { format, range, userId, timeZone },
+      (partFile, part) =>
+        sendFollowupFile(
+          applicationId,
+          interactionToken,
+          {
+            content: `${title} – ${t("export.part", { part })}`,
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+          partFile
+        )
+    );
+
+    let content = title;
+    if (files > 1) content += ` – ${t("export.part", { part: files })}`;
+    content += `\n${t("export.done", { count: sessionsCount })}`;
+    if (truncated) content += `\n${t("export.truncated", { files })}`;
+
+    await sendFollowupFile(
+      applicationId,
+      interactionToken,
+      { content, flags: InteractionResponseFlags.EPHEMERAL },
+      file
+    );
+  } catch (error) {
+    console.error("Error creating export:", error);
+    await editOriginalMessage(applicationId, interactionToken, {
+      content: t("export.error.failed"),
+    }).catch((editError) => {
+      console.error("Error reporting the failed export:", editError);
+    });
+  }
+}
+
+async function handleQuotaCommand(
+  res,
+  interactionToken,
+  options,
+  guildId,
+  userId
+) {
+  const subcommand = options?.[0];
+  const getValue = (name) =>
+    subcommand?.options?.find((opt) => opt.name === name)?.value;
+
+  const reply = (content) =>
+    res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content,
+        flags: InteractionResponseFlags.EPHEMERAL,
+        allowed_mentions: { parse: [] },
+      },
+    });
+
+  switch (subcommand?.name) {
+    case "set": {
+      const minutes = Math.round(getValue("hours") * 60);
+      const roleId = getValue("role");
+
+      if (roleId) {
+        const previous = (await database.getRoleQuotas(guildId)).find(
+          (quota) => quota.roleId === roleId
+        );
+        const auditQuota = () =>
+          auditLog.record(guildId, {
+            action: "QUOTA_UPDATE",
+            actorId: userId,
+            before: { roleId, minutes: previous?.minutes ?? null },
+            after: { roleId, minutes: minutes || null },
+          });
+
+        if (minutes === 0) {
+          await database.deleteRoleQuota(guildId, roleId);
+          await auditQuota();
+          return reply(t("quota.role.removed", { role: `<@&${roleId}>` }));
+        }
+        await database.setRoleQuota(guildId, roleId, minutes);
+        await auditQuota();
+        return reply(
+          t("quota.role.set", {
+            role: `<@&${roleId}>`,
+            time: sessionManager.formatTime(minutes * 60000),
+          })
+        );
+      }
+
+      await updateGuildSettings(guildId, userId, {
+        quotaMinutes: minutes || null,
+      });
+      return reply(
+        minutes === 0
+          ? t("quota.default.removed")
+          : t("quota.default.set", {
+              time: sessionManager.formatTime(minutes * 60000),
+            })
+      );
+    }
+
+    case "show": {
+      const settings = await database.getGuildSettings(guildId);
+      const roleQuotas = await database.getRoleQuotas(guildId);
+
+      let content = `${t("quota.show.title")}\n\n`;
+      content += `${t("quota.show.default", {
+        time: settings?.quotaMinutes
+          ? sessionManager.formatTime(settings.quotaMinutes * 60000)
+          : t("quota.show.none"),
+      })}\n`;
+      for (const quota of roleQuotas) {
+        content += `👥 <@&${quota.roleId}>: ${sessionManager.formatTime(
+          quota.minutes * 60000
+        )}\n`;
+      }
+      content += `${t("quota.show.channel", {
+        channel: settings?.quotaChannelId
+          ? `<#${settings.quotaChannelId}>`
+          : t("quota.show.off"),
+      })}\n\n`;
+      content += t("quota.show.rule");
+      return reply(content);
+    }
+
+    case "channel": {
+      const channelId = getValue("channel") || null;
+      const calendar = await getGuildCalendar(guildId);
+      // Start with the next week, so enabling doesn't post an old summary
+      await updateGuildSettings(guildId, userId, {
+        quotaChannelId: channelId,
+        quotaReportedWeek: channelId ? getWeekRange(calendar).start : null,
+      });
+      return reply(
+        channelId
+          ? t("quota.channel.set", { channel: `<#${channelId}>` })
+          : t("quota.channel.cleared")
+      );
+    }
+
+    case "report": {
+      // Fetching all guild members can take a while
+      res.send({
+        type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { flags: InteractionResponseFlags.EPHEMERAL },
+      });
+
+      const applicationId = process.env.APPLICATION_ID;
+      const weeksAgo = getValue("week") === "previous" ? 1 : 0;
+
+      try {
+        const content = await quotaReporter.buildReport(guildId, weeksAgo);
+        await editOriginalMessage(applicationId, interactionToken, {
+          content: content || t("quota.error.notConfigured"),
+          allowed_mentions: { parse: [] },
+        });
+      } catch (error) {
+        console.error("Error creating quota report:", error);
+        await editOriginalMessage(applicationId, interactionToken, {
+          content: t("quota.error.reportFailed"),
+        }).catch((editError) => {
+          console.error("Error reporting the failed quota report:", editError);
+        });
+      }
+      return;
+    }
+
+    default:
+      return reply(t("error.unknownSubcommand"));
+  }
+}
+
+// Keep the number of posts per guild reasonable
+const MAX_REPORT_SCHEDULES = 10;
+
+async function handleReportCommand(res, options, guildId, userId) {
+  const subcommand = options?.[0];
+  const getValue = (name) =>
+    subcommand?.options?.find((opt) => opt.name === name)?.value;
+
+  const reply = (content) =>
+    res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+
+  const formatSchedule = (schedule) =>
+    t("report.schedule", {
+      id: `\`${schedule.id}\``,
+      frequency: t(FREQUENCY_LABELS[schedule.frequency]),
+      time: `${String(schedule.hour).padStart(2, "0")}:${String(
+        schedule.minute
+      ).padStart(2, "0")}`,
+      timeZone: schedule.timeZone,
+      channel: `<#${schedule.channelId}>`,
+      next: `<t:${Math.floor(schedule.nextRunAt.getTime() / 1000)}:f>`,
+    });
+
+  switch (subcommand?.name) {
+    case "add": {
+      const calendar = await getGuildCalendar(guildId);
+      const timeZone = getValue("timezone")?.trim() || calendar.timeZone;
+      if (!isValidTimeZone(timeZone)) {
+        return reply(
+          t("report.error.timeZone", { timeZone: `\`${timeZone}\`` })
+        );
+      }
+
+      const existing = await database.getReportSchedules(guildId);
+      if (existing.length >= MAX_REPORT_SCHEDULES) {
+        return reply(t("report.error.limit", { count: MAX_REPORT_SCHEDULES }));
+      }
+
+      const schedule = {
+        guildId,
+        channelId: getValue("channel"),
+        frequency: getValue("frequency"),
+        hour: getValue("hour"),
+        minute: getValue("minute") ?? 0,
+        timeZone,
+      };
+      const created = await database.createReportSchedule({
+        ...schedule,
+        nextRunAt: getNextRunAt(
+          { ...schedule, weekStartDay: calendar.weekStartDay },
+          new Date()
+        ),
+      });
+
+      await auditLog.record(guildId, {
+        action: "REPORT_ADD",
+        actorId: userId,
+        after: {
+          id: created.id,
+          channelId: created.channelId,
+          frequency: created.frequency,
+          time: `${schedule.hour}:${String(schedule.minute).padStart(2, "0")}`,
+          timeZone,
+        },
+      });
+
+      return reply(`${t("report.added")}\n${formatSchedule(created)}`);
+    }
+
+    case "list": {
+      const schedules = await database.getReportSchedules(guildId);
+      if (schedules.length === 0) {
+        return reply(`${t("report.list.title")}\n\n${t("report.list.empty")}`);
+      }
+      return reply(
+        `${t("report.list.title")}\n\n${schedules
+          .map(formatSchedule)
+          .join("\n\n")}`
+      );
+    }
+
+    case "remove": {
+      const scheduleId = getValue("id")?.trim();
+      const schedule = (await database.getReportSchedules(guildId)).find(
+        (entry) => entry.id === scheduleId
+      );
+      const deleted =
+        schedule && (await database.deleteReportSchedule(guildId, scheduleId));
+      if (!deleted) {
+        return reply(t("report.error.notFound"));
+      }
+
+      await auditLog.record(guildId, {
+        action: "REPORT_REMOVE",
+        actorId: userId,
+        before: {
+          id: schedule.id,
+          channelId: schedule.channelId,
+          frequency: schedule.frequency,
+        },
+      });
+      return reply(t("report.removed"));
+    }
+
+    default:
+      return reply(t("error.unknownSubcommand"));
+  }
+}
+
+const DELIVERY_STATUS_ICONS = {
+  PENDING: "⏳",
+  DELIVERED: "✅",
+  FAILED: "❌",
+};
+
+async function handleWebhookCommand(res, options, guildId, userId) {
+  const subcommand = options?.[0];
+  const getValue = (name) =>
+    subcommand?.options?.find((opt) => opt.name === name)?.value;
+
+  const reply = (content) =>
+    res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content,
+        flags: InteractionResponseFlags.EPHEMERAL,
+        allowed_mentions: { parse: [] },
+      },
+    });
+
+  const timestamp = (date, style) =>
+    `<t:${Math.floor(date.getTime() / 1000)}:${style}>`;
+
+  switch (subcommand?.name) {
+    case "add": {
+      const url = getValue("url")?.trim();
+      if (!isValidWebhookUrl(url)) {
+        return reply(t("webhook.error.url"));
+      }
+
+      const { events, error } = parseWebhookEvents(getValue("events"));
+      if (error) {
+        return reply(
+          t("webhook.error.events", {
+            event: `\`${error}\``,
+            events: WEBHOOK_EVENTS.join(", "),
+          })
+        );
+      }
+
+      const existing = await database.getWebhooks(guildId);
+      if (existing.length >= MAX_WEBHOOKS) {
+        return reply(t("webhook.error.limit", { count: MAX_WEBHOOKS }));
+      }
+
+      // The secret signs every request and is shown this one time
+      const secret = generateWebhookSecret();
+      const created = await database.createWebhook({
+        guildId,
+        url,
+        secret,
+        events,
+        createdBy: userId,
+      });
+      await auditLog.record(guildId, {
+        action: "WEBHOOK_ADD",
+        actorId: userId,
+        after: { id: created.id, url, events },
+      });
+
+      return reply(
+        t("webhook.added", {
+          id: `\`${created.id}\``,
+          events: events.join(", "),
+          url: `<${url}>`,
+          secret: `\`${secret}\``,
+        })
+      );
+    }
+
+    case "list": {
+      const webhooks = await database.getWebhooks(guildId);
+      if (webhooks.length === 0) {
+        return reply(
+          `${t("webhook.list.title")}\n\n${t("webhook.list.empty")}`
+        );
+      }
+
+      const lines = webhooks.map((webhook) =>
+        t("webhook.entry", {
+          id: `\`${webhook.id}\``,
+          url: `<${webhook.url}>`,
+          events: webhook.events.join(", "),
+          created: timestamp(webhook.createdAt, "d"),
+          user: `<@${webhook.createdBy}>`,
+        })
+      );
+      return reply(`${t("webhook.list.title")}\n\n${lines.join("\n\n")}`);
+    }
+
+    case "remove": {
+      const webhookId = getValue("id")?.trim();
+      const webhook = (await database.getWebhooks(guildId)).find(
+        (entry) => entry.id === webhookId
+      );
+      const deleted =
+        webhook && (await database.deleteWebhook(guildId, webhookId));
+      if (!deleted) {
+        return reply(t("webhook.error.notFound"));
+      }
+
+      await auditLog.record(guildId, {
+        action: "WEBHOOK_REMOVE",
+        actorId: userId,
+        before: { id: webhook.id, url: webhook.url, events: webhook.events },
+      });
+      return reply(t("webhook.removed"));
+    }
+
+    case "deliveries": {
+      const deliveries = await database.getWebhookDeliveries(
+        guildId,
+        getValue("status") || null
+      );
+      if (deliveries.length === 0) {
+        return reply(
+          `${t("webhook.deliveries.title")}\n\n${t("webhook.deliveries.empty")}`
+        );
+      }
+
+      const lines = deliveries.map((delivery) => {
+        let result = delivery.lastAttemptAt
+          ? delivery.lastError || `HTTP ${delivery.responseStatus}`
+          : t("webhook.delivery.pending");
+        if (delivery.status === "PENDING" && delivery.nextAttemptAt) {
+          result += ` • ${t("webhook.delivery.next", {
+            time: timestamp(delivery.nextAttemptAt, "R"),
+          })}`;
+        }
+
+        return t("webhook.delivery", {
+          icon: DELIVERY_STATUS_ICONS[delivery.status],
+          id: `\`${delivery.id}\``,
+          event: delivery.eventType,
+          host: new URL(delivery.webhook.url).host,
+          time: timestamp(delivery.createdAt, "R"),
+          attempts: delivery.attempts,
+          max: MAX_DELIVERY_ATTEMPTS,
+          result,
+        });
+      });
+      return reply(`${t("webhook.deliveries.title")}\n\n${lines.join("\n\n")}`);
+    }
+
+    case "replay": {
+      const count = await database.replayWebhookDeliveries(
+        guildId,
+        getValue("delivery")?.trim() || null,
+        new Date()
+      );
+      return reply(
+        count > 0
+          ? t("webhook.replayed", { count })
+          : t("webhook.error.noFailed")
+      );
+    }
+
+    default:
+      return reply(t("error.unknownSubcommand"));
+  }
+}
+
+// Read-only REST API for websites and other tools
+app.use("/api/v1", createApiRouter(database));
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", timestamp: new Date().toISOString() });
+});
+
+app.listen(PORT, () => {
+  console.log(`🚀 Discord Interactions Server listening on port ${PORT}`);
+  console.log(`📊 Database initialized`);
+  autoStopTask.start();
+  quotaSummaryTask.start();
+  scheduledReportTask.start();
+  webhookRetryTask.start();
+  dutyRoleTask.start();
+  // Fix on-duty roles that drifted while the bot was offline
+  dutyRoleTask.tick();
+  onlineListTask.start();
+  gateway?.connect().catch((error) => {
+    console.error("Error connecting to the gateway:", error);
+  });
 });
 
 // Graceful shutdown
 process.on("SIGINT", async () => {
   console.log("🛑 Shutting down gracefully...");
+  autoStopTask.stop();
+  quotaSummaryTask.stop();
+  scheduledReportTask.stop();
+  webhookRetryTask.stop();
+  dutyRoleTask.stop();
+  onlineListTask.stop();
+  gateway?.close();
   await database.close();
   process.exit(0);
 });
 
 process.on("SIGTERM", async () => {
   console.log("🛑 Shutting down gracefully...");
+  autoStopTask.stop();
+  quotaSummaryTask.stop();
+  scheduledReportTask.stop();
+  webhookRetryTask.stop();
+  dutyRoleTask.stop();
+  onlineListTask.stop();
+  gateway?.close();
   await database.close();
   process.exit(0);
 });
@@ -1,32 +1,106 @@
 import "dotenv/config";
 import { DiscordRequest } from "./utils/discordApi.js";
+import { PERIOD_CHOICES, WEEK_START_CHOICES } from "./utils/periods.js";
+import { SORT_CHOICES } from "./utils/leaderboardPages.js";
+import { getLocalizations, t } from "./utils/i18n.js";
+
+/**
+ * Description in the default language with its localizations
+ * @param {string} key - Message key
+ * @returns {{description: string, description_localizations: Object}}
+ */
+function describe(key) {
+  return {
+    description: t(key),
+    description_localizations: getLocalizations(key),
+  };
+}
+
+/**
+ * Option choice with localized names
+ * @param {string} key - Message key of the choice name
+ * @param {string} value - Choice value
+ * @returns {{name: string, name_localizations: Object, value: string}}
+ */
+function choice(key, value) {
+  return { name: t(key), name_localizations: getLocalizations(key), value };
+}
+
+// Shared period options for stats, leaderboard, export and audit log
+const periodOptions = [
+  {
+    type: 3, // STRING
+    name: "period",
+    ...describe("command.option.period"),
+    required: false,
+    choices: PERIOD_CHOICES.map(({ key, value }) => choice(key, value)),
+  },
+  {
+    type: 3, // STRING
+    name: "from",
+    ...describe("command.option.from"),
+    required: false,
+  },
+  {
+    type: 3, // STRING
+    name: "to",
+    ...describe("command.option.to"),
+    required: false,
+  },
+];
+
+// Category option with autocomplete for play, panel and leaderboard
+const categoryOption = {
+  type: 3, // STRING
+  name: "category",
+  ...describe("command.option.category"),
+  required: false,
+  autocomplete: true,
+};
 
 // Define all bot commands
 const commands = [
   {
     name: "play",
-    description: "Starte die On-Off Zeiterfassung",
+    ...describe("command.play"),
     type: 1, // CHAT_INPUT
     integration_types: [0], // GUILD_INSTALL
     contexts: [0], // GUILD
+    options: [categoryOption],
   },
   {
     name: "stop",
-    description: "Stoppe die On-Off Zeiterfassung",
+    ...describe("command.stop"),
     type: 1,
     integration_types: [0],
     contexts: [0],
   },
   {
     name: "status",
-    description: "Zeige aktuell aktive On-Off Sessions",
+    ...describe("command.status"),
     type: 1,
     integration_types: [0],
     contexts: [0],
   },
   {
     name: "stats",
-    description: "Zeige On-Off Statistiken für einen Benutzer",
+    ...describe("command.stats"),
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+    options: [
+      {
+        type: 6, // USER
+        name: "user",
+        ...describe("command.stats.user"),
+        required: false,
+      },
+      ...periodOptions,
+    ],
+  },
+  {
+    name: "history",
+    ...describe("command.history"),
     type: 1,
     integration_types: [0],
     contexts: [0],
@@ -34,21 +108,32 @@ const commands = [
       {
         type: 6, // USER
         name: "user",
-        description: "Benutzer für den die Statistiken angezeigt werden sollen",
+        ...describe("command.history.user"),
         required: false,
       },
     ],
   },
   {
     name: "leaderboard",
-    description: "Zeige das On-Off Leaderboard",
+    ...describe("command.leaderboard"),
     type: 1,
     integration_types: [0],
     contexts: [0],
+    options: [
+      ...periodOptions,
+      categoryOption,
+      {
+        type: 3, // STRING
+        name: "sort",
+        ...describe("command.leaderboard.sort"),
+        required: false,
+        choices: SORT_CHOICES.map(({ key, value }) => choice(key, value)),
+      },
+    ],
   },
   {
     name: "settings",
-    description: "Zeiterfassung Bot Einstellungen konfigurieren",
+    ...describe("command.settings"),
     type: 1,
     integration_types: [0],
     contexts: [0],
@@ -57,13 +142,12 @@ const commands = [
       {
         type: 1, // SUB_COMMAND
         name: "channel",
-        description: "Speziellen Zeiterfassungs-Kanal festlegen",
+        ...describe("command.settings.channel"),
         options: [
           {
             type: 7, // CHANNEL
             name: "channel",
-            description:
-              "Kanal für Zeiterfassung (leer lassen um alle Kanäle zu erlauben)",
+            ...describe("command.settings.channel.channel"),
             required: false,
             channel_types: [0], // GUILD_TEXT
           },
@@ -72,18 +156,672 @@ const commands = [
       {
         type: 1, // SUB_COMMAND
         name: "live-channel",
-        description: "Live-Tracking Anzeige-Kanal festlegen",
+        ...describe("command.settings.live-channel"),
+        options: [
+          {
+            type: 7, // CHANNEL
+            name: "channel",
+            ...describe("command.settings.live-channel.channel"),
+            required: false,
+            channel_types: [0], // GUILD_TEXT
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "audit-channel",
+        ...describe("command.settings.audit-channel"),
+        options: [
+          {
+            type: 7, // CHANNEL
+            name: "channel",
+            ...describe("command.settings.audit-channel.channel"),
+            required: false,
+            channel_types: [0], // GUILD_TEXT
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "on-duty-role",
+        ...describe("command.settings.on-duty-role"),
+        options: [
+          {
+            type: 8, // ROLE
+            name: "role",
+            ...describe("command.settings.on-duty-role.role"),
+            required: false,
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "roles",
+        ...describe("command.settings.roles"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "action",
+            ...describe("command.settings.roles.action"),
+            required: true,
+            choices: [
+              choice("command.choice.roles.action.show", "show"),
+              choice("command.choice.roles.action.add", "add"),
+              choice("command.choice.roles.action.remove", "remove"),
+              choice("command.choice.roles.action.reset", "reset"),
+            ],
+          },
+          {
+            type: 3, // STRING
+            name: "scope",
+            ...describe("command.settings.roles.scope"),
+            required: false,
+            choices: [
+              choice("command.choice.roles.scope.track", "track"),
+              choice("command.choice.roles.scope.view-stats", "view-stats"),
+              choice("command.choice.roles.scope.manager", "manager"),
+            ],
+          },
+          {
+            type: 8, // ROLE
+            name: "role",
+            ...describe("command.settings.roles.role"),
+            required: false,
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "api-key",
+        ...describe("command.settings.api-key"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "action",
+            ...describe("command.settings.api-key.action"),
+            required: true,
+            choices: [
+              choice("command.choice.api-key.action.list", "list"),
+              choice("command.choice.api-key.action.create", "create"),
+              choice("command.choice.api-key.action.revoke", "revoke"),
+            ],
+          },
+          {
+            type: 3, // STRING
+            name: "name",
+            ...describe("command.settings.api-key.name"),
+            required: false,
+            max_length: 50,
+          },
+          {
+            type: 3, // STRING
+            name: "id",
+            ...describe("command.settings.api-key.id"),
+            required: false,
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "voice",
+        ...describe("command.settings.voice"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "action",
+            ...describe("command.settings.voice.action"),
+            required: true,
+            choices: [
+              choice("command.choice.voice.action.show", "show"),
+              choice("command.choice.voice.action.add", "add"),
+              choice("command.choice.voice.action.remove", "remove"),
+              choice("command.choice.voice.action.afk", "afk"),
+              choice("command.choice.voice.action.reset", "reset"),
+            ],
+          },
+          {
+            type: 7, // CHANNEL
+            name: "channel",
+            ...describe("command.settings.voice.channel"),
+            required: false,
+            channel_types: [2, 13], // GUILD_VOICE, GUILD_STAGE_VOICE
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "output",
+        ...describe("command.settings.output"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "style",
+            ...describe("command.settings.output.style"),
+            required: true,
+            choices: [
+              choice("command.choice.output.embed", "embed"),
+              choice("command.choice.output.text", "text"),
+            ],
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "live-board",
+        ...describe("command.settings.live-board"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "layout",
+            ...describe("command.settings.live-board.layout"),
+            required: true,
+            choices: [
+              choice("command.choice.live-board.compact", "compact"),
+              choice("command.choice.live-board.board", "board"),
+            ],
+          },
+          // Rank roles of the duty board, highest rank first
+          ...[1, 2, 3, 4, 5].map((rank) => ({
+            type: 8, // ROLE
+            name: `rank-${rank}`,
+            ...describe(`command.settings.live-board.rank-${rank}`),
+            required: false,
+          })),
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "language",
+        ...describe("command.settings.language"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "language",
+            ...describe("command.settings.language.language"),
+            required: true,
+            choices: [
+              choice("command.choice.language.auto", "auto"),
+              // Language names are shown in their own language
+              { name: "Deutsch", value: "de" },
+              { name: "English", value: "en" },
+            ],
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "time-zone",
+        ...describe("command.settings.time-zone"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "timezone",
+            ...describe("command.settings.time-zone.timezone"),
+            required: false,
+          },
+          {
+            type: 4, // INTEGER
+            name: "week-start",
+            ...describe("command.settings.time-zone.week-start"),
+            required: false,
+            choices: WEEK_START_CHOICES.map(({ key, value }) =>
+              choice(key, value)
+            ),
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "auto-stop",
+        ...describe("command.settings.auto-stop"),
+        options: [
+          {
+            type: 4, // INTEGER
+            name: "max-session",
+            ...describe("command.settings.auto-stop.max-session"),
+            required: false,
+            min_value: 0,
+          },
+          {
+            type: 4, // INTEGER
+            name: "max-pause",
+            ...describe("command.settings.auto-stop.max-pause"),
+            required: false,
+            min_value: 0,
+          },
+          {
+            type: 3, // STRING
+            name: "notify",
+            ...describe("command.settings.auto-stop.notify"),
+            required: false,
+            choices: [
+              choice("command.choice.notify.NONE", "NONE"),
+              choice("command.choice.notify.DM", "DM"),
+              choice("command.choice.notify.CHANNEL", "CHANNEL"),
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    name: "admin",
+    ...describe("command.admin"),
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+    // Visible for everyone, access is checked against the manager roles
+    options: [
+      {
+        type: 2, // SUB_COMMAND_GROUP
+        name: "session",
+        ...describe("command.admin.session"),
+        options: [
+          {
+            type: 1, // SUB_COMMAND
+            name: "list",
+            ...describe("command.admin.session.list"),
+            options: [
+              {
+                type: 6, // USER
+                name: "user",
+                ...describe("command.admin.session.list.user"),
+                required: true,
+              },
+            ],
+          },
+          {
+            type: 1, // SUB_COMMAND
+            name: "edit",
+            ...describe("command.admin.session.edit"),
+            options: [
+              {
+                type: 3, // STRING
+                name: "session",
+                ...describe("command.admin.session.edit.session"),
+                required: true,
+              },
+              {
+                type: 3, // STRING
+                name: "event",
+                ...describe("command.admin.session.edit.event"),
+                required: true,
+                choices: [
+                  choice("command.choice.event.START", "START"),
+                  choice("command.choice.event.STOP", "STOP"),
+                ],
+              },
+              {
+                type: 3, // STRING
+                name: "time",
+                ...describe("command.admin.session.edit.time"),
+                required: true,
+              },
+            ],
+          },
+          {
+            type: 1, // SUB_COMMAND
+            name: "add",
+            ...describe("command.admin.session.add"),
+            options: [
+              {
+                type: 6, // USER
+                name: "user",
+                ...describe("command.admin.session.add.user"),
+                required: true,
+              },
+              {
+                type: 3, // STRING
+                name: "start",
+                ...describe("command.admin.session.add.start"),
+                required: true,
+              },
+              {
+                type: 4, // INTEGER
+                name: "minutes",
+                ...describe("command.admin.session.add.minutes"),
+                required: true,
+                min_value: 1,
+              },
+            ],
+          },
+          {
+            type: 1, // SUB_COMMAND
+            name: "delete",
+            ...describe("command.admin.session.delete"),
+            options: [
+              {
+                type: 3, // STRING
+                name: "session",
+                ...describe("command.admin.session.delete.session"),
+                required: true,
+              },
+            ],
+          },
+        ],
+      },
+      {
+        type: 2, // SUB_COMMAND_GROUP
+        name: "category",
+        ...describe("command.admin.category"),
+        options: [
+          {
+            type: 1, // SUB_COMMAND
+            name: "list",
+            ...describe("command.admin.category.list"),
+          },
+          {
+            type: 1, // SUB_COMMAND
+            name: "add",
+            ...describe("command.admin.category.add"),
+            options: [
+              {
+                type: 3, // STRING
+                name: "name",
+                ...describe("command.admin.category.add.name"),
+                required: true,
+                max_length: 50,
+              },
+            ],
+          },
+          {
+            type: 1, // SUB_COMMAND
+            name: "remove",
+            ...describe("command.admin.category.remove"),
+            options: [
+              {
+                type: 3, // STRING
+                name: "name",
+                ...describe("command.admin.category.remove.name"),
+                required: true,
+                autocomplete: true,
+              },
+            ],
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "audit",
+        ...describe("command.admin.audit"),
+        options: [
+          {
+            type: 6, // USER
+            name: "user",
+            ...describe("command.admin.audit.user"),
+            required: false,
+          },
+          ...periodOptions,
+        ],
+      },
+    ],
+  },
+  {
+    name: "export",
+    ...describe("command.export"),
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+    // Visible for everyone, access is checked against the manager roles
+    options: [
+      {
+        type: 3, // STRING
+        name: "format",
+        ...describe("command.export.format"),
+        required: true,
+        choices: [
+          { name: "CSV", value: "csv" },
+          { name: "JSON", value: "json" },
+        ],
+      },
+      {
+        type: 6, // USER
+        name: "user",
+        ...describe("command.export.user"),
+        required: false,
+      },
+      ...periodOptions,
+    ],
+  },
+  {
+    name: "quota",
+    ...describe("command.quota"),
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+    // Visible for everyone, access is checked against the manager roles
+    options: [
+      {
+        type: 1, // SUB_COMMAND
+        name: "set",
+        ...describe("command.quota.set"),
+        options: [
+          {
+            type: 10, // NUMBER
+            name: "hours",
+            ...describe("command.quota.set.hours"),
+            required: true,
+            min_value: 0,
+            max_value: 168,
+          },
+          {
+            type: 8, // ROLE
+            name: "role",
+            ...describe("command.quota.set.role"),
+            required: false,
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "show",
+        ...describe("command.quota.show"),
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "channel",
+        ...describe("command.quota.channel"),
         options: [
           {
             type: 7, // CHANNEL
             name: "channel",
-            description:
-              "Kanal für Live-Tracking Anzeige (leer lassen um Live-Tracking zu deaktivieren)",
+            ...describe("command.quota.channel.channel"),
             required: false,
             channel_types: [0], // GUILD_TEXT
           },
         ],
       },
+      {
+        type: 1, // SUB_COMMAND
+        name: "report",
+        ...describe("command.quota.report"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "week",
+            ...describe("command.quota.report.week"),
+            required: false,
+            choices: [
+              choice("command.choice.week.current", "current"),
+              choice("command.choice.week.previous", "previous"),
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    name: "panel",
+    ...describe("command.panel"),
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+    // Visible for everyone, access is checked against the manager roles
+    options: [
+      {
+        type: 7, // CHANNEL
+        name: "channel",
+        ...describe("command.panel.channel"),
+        required: false,
+        channel_types: [0], // GUILD_TEXT
+      },
+      categoryOption,
+    ],
+  },
+  {
+    name: "report",
+    ...describe("command.report"),
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+    // Visible for everyone, access is checked against the manager roles
+    options: [
+      {
+        type: 1, // SUB_COMMAND
+        name: "add",
+        ...describe("command.report.add"),
+        options: [
+          {
+            type: 7, // CHANNEL
+            name: "channel",
+            ...describe("command.report.add.channel"),
+            required: true,
+            channel_types: [0], // GUILD_TEXT
+          },
+          {
+            type: 3, // STRING
+            name: "frequency",
+            ...describe("command.report.add.frequency"),
+            required: true,
+            choices: [
+              choice("command.choice.frequency.DAILY", "DAILY"),
+              choice("command.choice.frequency.WEEKLY", "WEEKLY"),
+              choice("command.choice.frequency.MONTHLY", "MONTHLY"),
+            ],
+          },
+          {
+            type: 4, // INTEGER
+            name: "hour",
+            ...describe("command.report.add.hour"),
+            required: true,
+            min_value: 0,
+            max_value: 23,
+          },
+          {
+            type: 4, // INTEGER
+            name: "minute",
+            ...describe("command.report.add.minute"),
+            required: false,
+            min_value: 0,
+            max_value: 59,
+          },
+          {
+            type: 3, // STRING
+            name: "timezone",
+            ...describe("command.report.add.timezone"),
+            required: false,
+            max_length: 64,
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "list",
+        ...describe("command.report.list"),
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "remove",
+        ...describe("command.report.remove"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "id",
+            ...describe("command.report.remove.id"),
+            required: true,
+          },
+        ],
+      },
+    ],
+  },
+  {
+    name: "webhook",
+    ...describe("command.webhook"),
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+    default_member_permissions: "8", // ADMINISTRATOR
+    options: [
+      {
+        type: 1, // SUB_COMMAND
+        name: "add",
+        ...describe("command.webhook.add"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "url",
+            ...describe("command.webhook.add.url"),
+            required: true,
+            max_length: 500,
+          },
+          {
+            type: 3, // STRING
+            name: "events",
+            ...describe("command.webhook.add.events"),
+            required: false,
+            max_length: 50,
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "list",
+        ...describe("command.webhook.list"),
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "remove",
+        ...describe("command.webhook.remove"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "id",
+            ...describe("command.webhook.remove.id"),
+            required: true,
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "deliveries",
+        ...describe("command.webhook.deliveries"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "status",
+            ...describe("command.webhook.deliveries.status"),
+            required: false,
+            choices: [
+              choice("command.choice.delivery.PENDING", "PENDING"),
+              choice("command.choice.delivery.DELIVERED", "DELIVERED"),
+              choice("command.choice.delivery.FAILED", "FAILED"),
+            ],
+          },
+        ],
+      },
+      {
+        type: 1, // SUB_COMMAND
+        name: "replay",
+        ...describe("command.webhook.replay"),
+        options: [
+          {
+            type: 3, // STRING
+            name: "delivery",
+            ...describe("command.webhook.replay.delivery"),
+            required: false,
+          },
+        ],
+      },
     ],
   },
 ];
@@ -1,4 +1,8 @@
-import { PrismaClient } from "@prisma/client";
+import { Prisma, PrismaClient } from "@prisma/client";
+import { SESSION_TRANSITIONS } from "../utils/sessionEvents.js";
+
+// An online list update claimed longer ago was abandoned (e.g. a crash)
+const LIVE_LIST_CLAIM_MS = 2 * 60 * 1000;
 
 class PrismaService {
   constructor() {
@@ -14,114 +18,100 @@ class PrismaService {
 
   /**
    * Start a new tracking session
+   *
+   * A partial unique index allows one running session per user and guild,
+   * so of several parallel starts only one creates a session.
    * @param {string} userId - Discord user ID
    * @param {string} guildId - Discord guild ID
    * @param {Date} startTime - Session start time
-   * @returns {Promise<string>} Session ID
+   * @param {string|null} categoryId - Tracking category
+   * @param {boolean} startedByVoice - Started by joining a tracked voice channel
+   * @returns {Promise<string|null>} Session ID, null if the user already has a running session
    */
-  async startSession(userId, guildId, startTime) {
-    const session = await this.prisma.session.create({
-      data: {
-        userId,
-        guildId,
-        status: "ACTIVE",
-        events: {
-          create: {
-            eventType: "START",
-            timestamp: startTime,
+  async startSession(
+    userId,
+    guildId,
+    startTime,
+    categoryId = null,
+    startedByVoice = false
+  ) {
+    try {
+      const session = await this.prisma.session.create({
+        data: {
+          userId,
+          guildId,
+          categoryId,
+          startedByVoice,
+          status: "ACTIVE",
+          events: {
+            create: {
+              eventType: "START",
+              timestamp: startTime,
+            },
           },
         },
-      },
-    });
-
-    return session.id;
-  }
+      });
 
-  /**
-   * Stop an active session
-   * @param {string} userId - Discord user ID
-   * @param {string} guildId - Discord guild ID
-   * @param {Date} endTime - Session end time
-   */
-  async stopSession(userId, guildId, endTime) {
-    const activeSession = await this.getActiveSession(userId, guildId);
-    if (!activeSession) {
-      throw new Error("No active session found");
+      return session.id;
+    } catch (error) {
+      if (
+        error instanceof Prisma.PrismaClientKnownRequestError &&
+        error.code === "P2002"
+      ) {
+        return null;
+      }
+      throw error;
     }
-
-    await this.prisma.$transaction([
-      // Add stop event
-      this.prisma.sessionEvent.create({
-        data: {
-          sessionId: activeSession.id,
-          eventType: "STOP",
-          timestamp: endTime,
-        },
-      }),
-      // Update session status
-      this.prisma.session.update({
-        where: { id: activeSession.id },
-        data: { status: "COMPLETED" },
-      }),
-    ]);
   }
 
   /**
-   * Pause an active session
-   * @param {string} userId - Discord user ID
-   * @param {string} guildId - Discord guild ID
-   * @param {Date} pauseTime - Pause timestamp
+   * Record a PAUSE, RESUME or STOP event of a running session
+   *
+   * The status check and update happen in one conditional statement, so of
+   * several parallel requests (double clicks, other instances) only those
+   * allowed by the state machine at the time they run record an event.
+   * @param {string} sessionId - Session ID
+   * @param {"PAUSE"|"RESUME"|"STOP"} eventType - Event to record
+   * @param {Date} timestamp - Time of the event
+   * @returns {Promise<boolean>} True if this call recorded the event
    */
-  async pauseSession(userId, guildId, pauseTime) {
-    const activeSession = await this.getActiveSession(userId, guildId);
-    if (!activeSession) {
-      throw new Error("No active session found");
+  async transitionSession(sessionId, eventType, timestamp) {
+    const transition = SESSION_TRANSITIONS[eventType];
+    if (!transition) {
+      throw new Error(`Invalid session transition: ${eventType}`);
     }
 
-    await this.prisma.$transaction([
-      // Add pause event
-      this.prisma.sessionEvent.create({
-        data: {
-          sessionId: activeSession.id,
-          eventType: "PAUSE",
-          timestamp: pauseTime,
-        },
-      }),
-      // Update session status
-      this.prisma.session.update({
-        where: { id: activeSession.id },
-        data: { status: "PAUSED" },
-      }),
-    ]);
-  }
+    return await this.prisma.$transaction(async (tx) => {
+      const { count } = await tx.session.updateMany({
+        where: { id: sessionId, status: { in: transition.from } },
+        data: { status: transition.to },
+      });
 
-  /**
-   * Resume a paused session
-   * @param {string} userId - Discord user ID
-   * @param {string} guildId - Discord guild ID
-   * @param {Date} resumeTime - Resume time
-   */
-  async resumeSession(userId, guildId, resumeTime) {
-    const activeSession = await this.getActiveSession(userId, guildId);
-    if (!activeSession) {
-      throw new Error("No active session found");
-    }
+      if (count === 0) {
+        return false;
+      }
+
+      // The session row is locked now. A parallel request may have taken
+      // its time earlier but recorded its event first: keep the order.
+      const lastEvent = await tx.sessionEvent.findFirst({
+        where: { sessionId },
+        orderBy: { timestamp: "desc" },
+      });
+      const eventTime =
+        lastEvent && lastEvent.timestamp >= timestamp
+          ? new Date(lastEvent.timestamp.getTime() + 1)
+          : timestamp;
 
-    await this.prisma.$transaction([
-      // Add resume event
-      this.prisma.sessionEvent.create({
+      await tx.sessionEvent.create({
         data: {
-          sessionId: activeSession.id,
-          eventType: "RESUME",
-          timestamp: resumeTime,
+          sessionId,
+          eventType,
+          timestamp: eventTime,
         },
-      }),
-      // Update session status
-      this.prisma.session.update({
-        where: { id: activeSession.id },
-        data: { status: "ACTIVE" },
-      }),
-    ]);
+      });
+
+      return true;
+    });
   }
 
   /**
@@ -141,6 +131,7 @@ class PrismaService {
         events: {
           orderBy: { timestamp: "asc" },
         },
+        category: true,
       },
     });
 
@@ -170,6 +161,7 @@ class PrismaService {
         events: {
           orderBy: { timestamp: "asc" },
         },
+        category: true,
       },
       orderBy: { createdAt: "asc" },
     });
@@ -188,14 +180,30 @@ class PrismaService {
    * Calculate session duration from events
    * @param {Array} events - Array of session events
    * @param {Date} currentTime - Current time (for active sessions)
+   * @param {{start: Date, end: Date}|null} range - Only count active time inside this range
    * @returns {number} Duration in milliseconds
    */
-  calculateSessionDuration(events, currentTime = new Date()) {
+  calculateSessionDuration(events, currentTime = new Date(), range = null) {
     if (!events || events.length === 0) return 0;
 
     let totalDuration = 0;
     let lastActiveStart = null;
 
+    // Add an active interval, clipped to the requested range
+    const addInterval = (from, to) => {
+      let fromMs = from.getTime();
+      let toMs = to.getTime();
+
+      if (range) {
+        fromMs = Math.max(fromMs, range.start.getTime());
+        toMs = Math.min(toMs, range.end.getTime());
+      }
+
+      if (toMs > fromMs) {
+        totalDuration += toMs - fromMs;
+      }
+    };
+
     for (const event of events) {
       const timestamp = new Date(event.timestamp);
 
@@ -207,14 +215,14 @@ class PrismaService {
 
         case "PAUSE":
           if (lastActiveStart) {
-            totalDuration += timestamp.getTime() - lastActiveStart.getTime();
+            addInterval(lastActiveStart, timestamp);
             lastActiveStart = null;
           }
           break;
 
         case "STOP":
           if (lastActiveStart) {
-            totalDuration += timestamp.getTime() - lastActiveStart.getTime();
+            addInterval(lastActiveStart, timestamp);
             lastActiveStart = null;
           }
           break;
@@ -223,36 +231,77 @@ class PrismaService {
 
     // If session is still active (no stop event and has active start)
     if (lastActiveStart) {
-      totalDuration += currentTime.getTime() - lastActiveStart.getTime();
+      addInterval(lastActiveStart, currentTime);
     }
 
     return totalDuration;
   }
 
+  /**
+   * Build a session filter for sessions overlapping a time range
+   * @param {{start: Date, end: Date}|null} range - Time range
+   * @returns {Object} Prisma where clause
+   */
+  buildRangeFilter(range) {
+    if (!range) return {};
+
+    return {
+      // Started before the range ends...
+      events: {
+        some: { eventType: "START", timestamp: { lt: range.end } },
+      },
+      // ...and not stopped before the range starts
+      NOT: {
+        events: {
+          some: { eventType: "STOP", timestamp: { lte: range.start } },
+        },
+      },
+    };
+  }
+
   /**
    * Get user statistics
    * @param {string} userId - Discord user ID
    * @param {string} guildId - Discord guild ID
+   * @param {{start: Date, end: Date}|null} range - Optional time range
    * @returns {Promise<Object>} User stats
    */
-  async getUserStats(userId, guildId) {
+  async getUserStats(userId, guildId, range = null) {
+    const now = new Date();
     const sessions = await this.prisma.session.findMany({
-      where: { userId, guildId },
+      where: { userId, guildId, ...this.buildRangeFilter(range) },
       include: {
         events: {
           orderBy: { timestamp: "asc" },
         },
+        category: true,
       },
     });
 
     let totalTimeMs = 0;
     let lastSeen = null;
+    const categories = new Map();
 
     // Calculate total time from all sessions using events
     for (const session of sessions) {
-      const sessionDuration = this.calculateSessionDuration(session.events);
+      const sessionDuration = this.calculateSessionDuration(
+        session.events,
+        now,
+        range
+      );
       totalTimeMs += sessionDuration;
 
+      const categoryKey = session.categoryId || null;
+      const categoryStats = categories.get(categoryKey) || {
+        categoryId: categoryKey,
+        name: session.category?.name || null,
+        sessionsCount: 0,
+        totalTimeMs: 0,
+      };
+      categoryStats.sessionsCount++;
+      categoryStats.totalTimeMs += sessionDuration;
+      categories.set(categoryKey, categoryStats);
+
       // Find the latest event timestamp
       if (session.events.length > 0) {
         const latestEvent = session.events[session.events.length - 1];
@@ -266,41 +315,854 @@ class PrismaService {
       sessionsCount: sessions.length,
       totalTimeMs: Math.round(totalTimeMs),
       lastSeen: lastSeen,
+      categories: [...categories.values()]
+        .map((category) => ({
+          ...category,
+          totalTimeMs: Math.round(category.totalTimeMs),
+        }))
+        .sort((a, b) => b.totalTimeMs - a.totalTimeMs),
     };
   }
 
+  /**
+   * Build the common table expressions for per-session active time
+   *
+   * Every START/RESUME event opens an active interval that lasts until the
+   * next event of the session (PAUSE/STOP) or until now for running
+   * sessions - the same model as calculateSessionDuration. The resulting
+   * `session_totals` only contains sessions overlapping the range.
+   * @param {string} guildId - Discord guild ID
+   * @param {{start: Date, end: Date}|null} range - Optional time range
+   * @param {string|null} categoryId - Only sessions of this category
+   * @returns {Prisma.Sql} SQL fragment starting with WITH
+   */
+  sessionTotalsSql(guildId, range = null, categoryId = null) {
+    // Timestamps are stored as UTC without time zone, so pass ISO strings
+    // and let Postgres drop the offset. Infinity bounds disable clipping.
+    const now = new Date().toISOString();
+    const rangeStart = range ? range.start.toISOString() : "-infinity";
+    const rangeEnd = range ? range.end.toISOString() : "infinity";
+
+    return Prisma.sql`
+      WITH ordered_events AS (
+        SELECT
+          s."userId",
+          s."categoryId",
+          e."sessionId",
+          e."eventType",
+          e."timestamp",
+          LEAD(e."timestamp") OVER (
+            PARTITION BY e."sessionId"
+            ORDER BY e."timestamp", e."createdAt"
+          ) AS "nextTimestamp"
+        FROM "session_events" e
+        JOIN "sessions" s ON s."id" = e."sessionId"
+        WHERE s."guildId" = ${guildId}
+          AND (${categoryId}::text IS NULL OR s."categoryId" = ${categoryId})
+      ),
+      session_spans AS (
+        SELECT
+          "userId",
+          "categoryId",
+          "sessionId",
+          MIN("timestamp") FILTER (WHERE "eventType" = 'START') AS "startedAt",
+          MAX("timestamp") FILTER (WHERE "eventType" = 'STOP') AS "stoppedAt",
+          COALESCE(
+            SUM(
+              GREATEST(
+                EXTRACT(EPOCH FROM (
+                  LEAST(
+                    COALESCE("nextTimestamp", ${now}::timestamp),
+                    ${rangeEnd}::timestamp
+                  ) - GREATEST("timestamp", ${rangeStart}::timestamp)
+                )) * 1000,
+                0
+              )
+            ) FILTER (WHERE "eventType" IN ('START', 'RESUME')),
+            0
+          ) AS "activeMs"
+        FROM ordered_events
+        GROUP BY "userId", "categoryId", "sessionId"
+      ),
+      session_totals AS (
+        SELECT *
+        FROM session_spans
+        WHERE "startedAt" < ${rangeEnd}::timestamp
+          AND ("stoppedAt" IS NULL OR "stoppedAt" > ${rangeStart}::timestamp)
+      )
+    `;
+  }
+
   /**
    * Get leaderboard for a guild
    * @param {string} guildId - Discord guild ID
-   * @param {number} limit - Number of entries to return
+   * @param {number|null} limit - Number of entries to return (null = all)
+   * @param {{start: Date, end: Date}|null} range - Optional time range
+   * @param {string|null} categoryId - Only count sessions of this category
+   * @param {"total"|"sessions"|"average"} sort - Sort by total time, session count or average session length
    * @returns {Promise<Array>} Leaderboard entries
    */
-  async getLeaderboard(guildId, limit = 10) {
-    // Get all users who have sessions
-    const users = await this.prisma.session.findMany({
-      where: { guildId },
-      select: { userId: true },
-      distinct: ["userId"],
+  async getLeaderboard(
+    guildId,
+    limit = 10,
+    range = null,
+    categoryId = null,
+    sort = "total"
+  ) {
+    // The user ID keeps the order stable for pagination
+    const orderBy =
+      sort === "sessions"
+        ? Prisma.sql`"sessionsCount" DESC, "totalTimeMs" DESC, "userId"`
+        : sort === "average"
+        ? Prisma.sql`"averageTimeMs" DESC, "userId"`
+        : Prisma.sql`"totalTimeMs" DESC, "userId"`;
+
+    const rows = await this.prisma.$queryRaw`
+      ${this.sessionTotalsSql(guildId, range, categoryId)}
+      SELECT
+        "userId",
+        COUNT(*)::int AS "sessionsCount",
+        ROUND(SUM("activeMs"))::float8 AS "totalTimeMs",
+        ROUND(SUM("activeMs") / COUNT(*))::float8 AS "averageTimeMs"
+      FROM session_totals
+      GROUP BY "userId"
+      HAVING SUM("activeMs") > 0
+      ORDER BY ${orderBy}
+      LIMIT ${limit}::int
+    `;
+
+    return rows.map((row) => ({
+      userId: row.userId,
+      sessionsCount: row.sessionsCount,
+      totalTimeMs: row.totalTimeMs,
+      averageTimeMs: row.averageTimeMs,
+    }));
+  }
+
+  /**
+   * Get the total time per category of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {{start: Date, end: Date}|null} range - Optional time range
+   * @returns {Promise<Array>} Totals, uncategorized sessions have no categoryId
+   */
+  async getCategoryTotals(guildId, range = null) {
+    const rows = await this.prisma.$queryRaw`
+      ${this.sessionTotalsSql(guildId, range)}
+      SELECT
+        t."categoryId",
+        c."name",
+        COUNT(*)::int AS "sessionsCount",
+        ROUND(SUM(t."activeMs"))::float8 AS "totalTimeMs"
+      FROM session_totals t
+      LEFT JOIN "categories" c ON c."id" = t."categoryId"
+      GROUP BY t."categoryId", c."name"
+      HAVING SUM(t."activeMs") > 0
+      ORDER BY "totalTimeMs" DESC
+    `;
+
+    return rows.map((row) => ({
+      categoryId: row.categoryId,
+      name: row.name,
+      sessionsCount: row.sessionsCount,
+      totalTimeMs: row.totalTimeMs,
+    }));
+  }
+
+  /**
+   * Get the most recent sessions of a user
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @param {number} limit - Number of sessions to return
+   * @param {number} offset - Number of newer sessions to skip
+   * @returns {Promise<Array>} Sessions with events, newest first
+   */
+  async getRecentSessions(userId, guildId, limit = 10, offset = 0) {
+    return await this.prisma.session.findMany({
+      where: { userId, guildId },
+      include: {
+        events: {
+          orderBy: { timestamp: "asc" },
+        },
+        category: true,
+      },
+      orderBy: { createdAt: "desc" },
+      skip: offset,
+      take: limit,
     });
+  }
 
-    const leaderboard = [];
+  /**
+   * Count all sessions of a user
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} Number of sessions
+   */
+  async countSessions(userId, guildId) {
+    return await this.prisma.session.count({
+      where: { userId, guildId },
+    });
+  }
 
-    // Calculate total time for each user
-    for (const { userId } of users) {
-      const userStats = await this.getUserStats(userId, guildId);
-      if (userStats.totalTimeMs > 0) {
-        leaderboard.push({
-          userId,
-          sessionsCount: userStats.sessionsCount,
-          totalTimeMs: userStats.totalTimeMs,
-        });
-      }
+  /**
+   * Get a session of a guild by ID
+   * @param {string} sessionId - Session ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} Session with events or null
+   */
+  async getSession(sessionId, guildId) {
+    return await this.prisma.session.findFirst({
+      where: { id: sessionId, guildId },
+      include: {
+        events: {
+          orderBy: { timestamp: "asc" },
+        },
+        category: true,
+      },
+    });
+  }
+
+  /**
+   * Find a session of a user overlapping a time span
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @param {Date} start - Start of the time span
+   * @param {Date|null} end - End of the time span (null = still running)
+   * @param {string|null} excludeSessionId - Session to ignore
+   * @returns {Promise<Object|null>} Overlapping session or null
+   */
+  async findOverlappingSession(
+    userId,
+    guildId,
+    start,
+    end,
+    excludeSessionId = null
+  ) {
+    return await this.prisma.session.findFirst({
+      where: {
+        userId,
+        guildId,
+        ...(excludeSessionId && { id: { not: excludeSessionId } }),
+        ...(end && {
+          events: { some: { eventType: "START", timestamp: { lt: end } } },
+        }),
+        NOT: {
+          events: {
+            some: { eventType: "STOP", timestamp: { lte: start } },
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Change the timestamp of a session event
+   * @param {string} eventId - Session event ID
+   * @param {Date} timestamp - New timestamp
+   */
+  async updateSessionEventTime(eventId, timestamp) {
+    await this.prisma.sessionEvent.update({
+      where: { id: eventId },
+      data: { timestamp },
+    });
+  }
+
+  /**
+   * Insert a completed session
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @param {Date} startTime - Session start time
+   * @param {Date} endTime - Session end time
+   * @returns {Promise<string>} Session ID
+   */
+  async createCompletedSession(userId, guildId, startTime, endTime) {
+    const session = await this.prisma.session.create({
+      data: {
+        userId,
+        guildId,
+        status: "COMPLETED",
+        events: {
+          create: [
+            { eventType: "START", timestamp: startTime },
+            { eventType: "STOP", timestamp: endTime },
+          ],
+        },
+      },
+    });
+
+    return session.id;
+  }
+
+  /**
+   * Delete a session and its events
+   * @param {string} sessionId - Session ID
+   */
+  async deleteSession(sessionId) {
+    await this.prisma.session.delete({
+      where: { id: sessionId },
+    });
+  }
+
+  /**
+   * Iterate over the sessions of a guild in batches
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} filter - Optional filter
+   * @param {{start: Date, end: Date}|null} filter.range - Time range
+   * @param {string|null} filter.userId - Only sessions of this user
+   * @param {number} batchSize - Sessions loaded per query
+   * @returns {AsyncGenerator<Array>} Batches of sessions with events
+   */
+  async *iterateSessions(
+    guildId,
+    { range = null, userId = null } = {},
+    batchSize = 500
+  ) {
+    let cursor = null;
+
+    while (true) {
+      const sessions = await this.prisma.session.findMany({
+        where: {
+          guildId,
+          ...(userId && { userId }),
+          ...this.buildRangeFilter(range),
+        },
+        include: {
+          events: {
+            orderBy: { timestamp: "asc" },
+          },
+          category: true,
+        },
+        orderBy: { id: "asc" },
+        take: batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      });
+
+      if (sessions.length === 0) return;
+
+      yield sessions;
+
+      if (sessions.length < batchSize) return;
+      cursor = sessions[sessions.length - 1].id;
     }
+  }
+
+  /**
+   * Get one page of the sessions of a guild, newest first
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} options - Filter and page options
+   * @param {{start: Date, end: Date}|null} options.range - Only sessions overlapping this range
+   * @param {string|null} options.userId - Only sessions of this user
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Sessions to skip
+   * @returns {Promise<{sessions: Array, total: number}>} Sessions with events and total count
+   */
+  async getSessionsPage(
+    guildId,
+    { range = null, userId = null, limit = 50, offset = 0 } = {}
+  ) {
+    const where = {
+      guildId,
+      ...(userId && { userId }),
+      ...this.buildRangeFilter(range),
+    };
+
+    const [sessions, total] = await this.prisma.$transaction([
+      this.prisma.session.findMany({
+        where,
+        include: {
+          events: {
+            orderBy: { timestamp: "asc" },
+          },
+          category: true,
+        },
+        orderBy: [{ createdAt: "desc" }, { id: "asc" }],
+        skip: offset,
+        take: limit,
+      }),
+      this.prisma.session.count({ where }),
+    ]);
+
+    return { sessions, total };
+  }
+
+  /**
+   * Get all categories of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Categories sorted by name
+   */
+  async getCategories(guildId) {
+    return await this.prisma.category.findMany({
+      where: { guildId },
+      orderBy: { name: "asc" },
+    });
+  }
+
+  /**
+   * Find a category by name (case-insensitive)
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Category name
+   * @returns {Promise<Object|null>} Category or null
+   */
+  async findCategory(guildId, name) {
+    return await this.prisma.category.findFirst({
+      where: { guildId, name: { equals: name, mode: "insensitive" } },
+    });
+  }
+
+  /**
+   * Create a category
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Category name
+   * @returns {Promise<Object>} Created category
+   */
+  async createCategory(guildId, name) {
+    return await this.prisma.category.create({
+      data: { guildId, name },
+    });
+  }
+
+  /**
+   * Delete a category, its sessions become uncategorized
+   * @param {string} categoryId - Category ID
+   */
+  async deleteCategory(categoryId) {
+    await this.prisma.category.delete({
+      where: { id: categoryId },
+    });
+  }
+
+  /**
+   * Get all role quotas of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Role quotas
+   */
+  async getRoleQuotas(guildId) {
+    return await this.prisma.roleQuota.findMany({
+      where: { guildId },
+      orderBy: { minutes: "desc" },
+    });
+  }
+
+  /**
+   * Set the weekly quota of a role
+   * @param {string} guildId - Discord guild ID
+   * @param {string} roleId - Discord role ID
+   * @param {number} minutes - Required minutes per week
+   */
+  async setRoleQuota(guildId, roleId, minutes) {
+    await this.prisma.roleQuota.upsert({
+      where: { guildId_roleId: { guildId, roleId } },
+      update: { minutes },
+      create: { guildId, roleId, minutes },
+    });
+  }
+
+  /**
+   * Remove the weekly quota of a role
+   * @param {string} guildId - Discord guild ID
+   * @param {string} roleId - Discord role ID
+   */
+  async deleteRoleQuota(guildId, roleId) {
+    await this.prisma.roleQuota.deleteMany({
+      where: { guildId, roleId },
+    });
+  }
 
-    // Sort by total time descending and limit results
-    return leaderboard
-      .sort((a, b) => b.totalTimeMs - a.totalTimeMs)
-      .slice(0, limit);
+  /**
+   * Get settings of all guilds with a quota summary channel
+   * @returns {Promise<Array>} Guild settings
+   */
+  async getQuotaSummaryGuildSettings() {
+    return await this.prisma.guildSettings.findMany({
+      where: { quotaChannelId: { not: null } },
+    });
+  }
+
+  /**
+   * Claim the weekly quota summary of a guild
+   *
+   * Only one instance succeeds for each week, so the summary is posted once.
+   * @param {string} guildId - Discord guild ID
+   * @param {Date} weekStart - Start of the current week
+   * @returns {Promise<boolean>} True if the summary should be posted
+   */
+  async claimQuotaSummary(guildId, weekStart) {
+    const { count } = await this.prisma.guildSettings.updateMany({
+      where: {
+        guildId,
+        OR: [
+          { quotaReportedWeek: null },
+          { quotaReportedWeek: { lt: weekStart } },
+        ],
+      },
+      data: { quotaReportedWeek: weekStart },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Undo the claim of a weekly quota summary that could not be posted
+   *
+   * Only if the claim is still in place, the channel may have been changed
+   * meanwhile.
+   * @param {string} guildId - Discord guild ID
+   * @param {Date} weekStart - Week stored by claimQuotaSummary
+   * @param {Date|null} previousWeek - Week stored before the claim
+   */
+  async releaseQuotaSummary(guildId, weekStart, previousWeek) {
+    await this.prisma.guildSettings.updateMany({
+      where: { guildId, quotaReportedWeek: weekStart },
+      data: { quotaReportedWeek: previousWeek },
+    });
+  }
+
+  /**
+   * Get all report schedules of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Report schedules
+   */
+  async getReportSchedules(guildId) {
+    return await this.prisma.reportSchedule.findMany({
+      where: { guildId },
+      orderBy: { createdAt: "asc" },
+    });
+  }
+
+  /**
+   * Create a report schedule
+   * @param {Object} data - Schedule fields including the first nextRunAt
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createReportSchedule(data) {
+    return await this.prisma.reportSchedule.create({ data });
+  }
+
+  /**
+   * Delete a report schedule of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} True if a schedule was deleted
+   */
+  async deleteReportSchedule(guildId, scheduleId) {
+    const { count } = await this.prisma.reportSchedule.deleteMany({
+      where: { id: scheduleId, guildId },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Get all report schedules that are due
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Due schedules
+   */
+  async getDueReportSchedules(now) {
+    return await this.prisma.reportSchedule.findMany({
+      where: { nextRunAt: { lte: now } },
+      orderBy: { nextRunAt: "asc" },
+    });
+  }
+
+  /**
+   * Claim a due report schedule and move it to its next run
+   *
+   * The claim only succeeds if nextRunAt is unchanged, so each run is
+   * posted by exactly one instance.
+   * @param {Object} schedule - Due schedule as read from the database
+   * @param {Date} nextRunAt - Next run time
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} True if this instance should post the report
+   */
+  async claimReportSchedule(schedule, nextRunAt, now) {
+    const { count } = await this.prisma.reportSchedule.updateMany({
+      where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt, lastRunAt: now },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Retry a claimed run whose post failed
+   *
+   * Only if the schedule still has the next run set by the claim, it may
+   * have been changed or removed meanwhile.
+   * @param {string} scheduleId - Schedule ID
+   * @param {Date} claimedNextRunAt - Next run set by claimReportSchedule
+   * @param {Date} retryAt - Time of the retry
+   */
+  async retryReportSchedule(scheduleId, claimedNextRunAt, retryAt) {
+    await this.prisma.reportSchedule.updateMany({
+      where: { id: scheduleId, nextRunAt: claimedNextRunAt },
+      data: { nextRunAt: retryAt },
+    });
+  }
+
+  /**
+   * Move a report schedule to a new next run, e.g. after a calendar change
+   * @param {string} scheduleId - Schedule ID
+   * @param {Date} nextRunAt - Next run time
+   */
+  async rescheduleReport(scheduleId, nextRunAt) {
+    await this.prisma.reportSchedule.update({
+      where: { id: scheduleId },
+      data: { nextRunAt },
+    });
+  }
+
+  /**
+   * Get all API keys of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} API keys (hashes only)
+   */
+  async getApiKeys(guildId) {
+    return await this.prisma.apiKey.findMany({
+      where: { guildId },
+      orderBy: { createdAt: "asc" },
+    });
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} data - Key fields including the hash of the key
+   * @returns {Promise<Object>} Created API key
+   */
+  async createApiKey(data) {
+    return await this.prisma.apiKey.create({ data });
+  }
+
+  /**
+   * Delete an API key of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<boolean>} True if a key was deleted
+   */
+  async deleteApiKey(guildId, keyId) {
+    const { count } = await this.prisma.apiKey.deleteMany({
+      where: { id: keyId, guildId },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Find an API key by the hash of the key
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<Object|null>} API key or null
+   */
+  async findApiKey(keyHash) {
+    return await this.prisma.apiKey.findUnique({
+      where: { keyHash },
+    });
+  }
+
+  /**
+   * Remember when an API key was last used
+   * @param {string} keyId - API key ID
+   * @param {Date} usedAt - Time of the request
+   */
+  async touchApiKey(keyId, usedAt) {
+    await this.prisma.apiKey.updateMany({
+      where: { id: keyId },
+      data: { lastUsedAt: usedAt },
+    });
+  }
+
+  /**
+   * Get the webhooks of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} eventType - Only webhooks subscribed to this event
+   * @returns {Promise<Array>} Webhooks
+   */
+  async getWebhooks(guildId, eventType = null) {
+    return await this.prisma.webhook.findMany({
+      where: {
+        guildId,
+        ...(eventType ? { events: { has: eventType } } : {}),
+      },
+      orderBy: { createdAt: "asc" },
+    });
+  }
+
+  /**
+   * Create a webhook
+   * @param {Object} data - Webhook fields including URL, secret and events
+   * @returns {Promise<Object>} Created webhook
+   */
+  async createWebhook(data) {
+    return await this.prisma.webhook.create({ data });
+  }
+
+  /**
+   * Delete a webhook of a guild together with its delivery log
+   * @param {string} guildId - Discord guild ID
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<boolean>} True if a webhook was deleted
+   */
+  async deleteWebhook(guildId, webhookId) {
+    const { count } = await this.prisma.webhook.deleteMany({
+      where: { id: webhookId, guildId },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Create pending webhook deliveries
+   * @param {Array<Object>} deliveries - Delivery fields (webhook, event, payload)
+   * @returns {Promise<Array>} Created deliveries with their webhook
+   */
+  async createWebhookDeliveries(deliveries) {
+    return await this.prisma.$transaction(
+      deliveries.map((data) =>
+        this.prisma.webhookDelivery.create({
+          data,
+          include: { webhook: true },
+        })
+      )
+    );
+  }
+
+  /**
+   * Get pending webhook deliveries that are due for an attempt
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Array>} Deliveries with their webhook
+   */
+  async getDueWebhookDeliveries(now, limit = 50) {
+    return await this.prisma.webhookDelivery.findMany({
+      where: { status: "PENDING", nextAttemptAt: { lte: now } },
+      include: { webhook: true },
+      orderBy: { nextAttemptAt: "asc" },
+      take: limit,
+    });
+  }
+
+  /**
+   * Claim a pending webhook delivery for one attempt
+   *
+   * The claim only succeeds if nextAttemptAt is unchanged and moves it to
+   * the end of the lease, so each attempt is made by exactly one instance.
+   * An instance dying during the attempt leaves the delivery pending and it
+   * is retried once the lease has expired.
+   * @param {Object} delivery - Due delivery as read from the database
+   * @param {Date} leaseUntil - End of the lease
+   * @returns {Promise<boolean>} True if this instance should send it
+   */
+  async claimWebhookDelivery(delivery, leaseUntil) {
+    const { count } = await this.prisma.webhookDelivery.updateMany({
+      where: {
+        id: delivery.id,
+        status: "PENDING",
+        nextAttemptAt: delivery.nextAttemptAt,
+      },
+      data: { nextAttemptAt: leaseUntil },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Record the result of a delivery attempt
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} data - Status, attempts, response and next attempt
+   */
+  async updateWebhookDelivery(deliveryId, data) {
+    await this.prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data,
+    });
+  }
+
+  /**
+   * Get the latest webhook deliveries of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} status - Only deliveries with this status
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Array>} Deliveries with their webhook, newest first
+   */
+  async getWebhookDeliveries(guildId, status = null, limit = 10) {
+    return await this.prisma.webhookDelivery.findMany({
+      where: { guildId, ...(status ? { status } : {}) },
+      include: { webhook: true },
+      orderBy: { createdAt: "desc" },
+      take: limit,
+    });
+  }
+
+  /**
+   * Queue failed webhook deliveries of a guild again
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} deliveryId - Single delivery, all failed ones if null
+   * @param {Date} now - Time of the next attempt
+   * @returns {Promise<number>} Number of queued deliveries
+   */
+  async replayWebhookDeliveries(guildId, deliveryId, now) {
+    const { count } = await this.prisma.webhookDelivery.updateMany({
+      where: {
+        guildId,
+        status: "FAILED",
+        ...(deliveryId ? { id: deliveryId } : {}),
+      },
+      data: { status: "PENDING", attempts: 0, nextAttemptAt: now },
+    });
+
+    return count;
+  }
+
+  /**
+   * Delete finished webhook deliveries from the log
+   * @param {Date} before - Delete deliveries created before this time
+   * @returns {Promise<number>} Number of deleted deliveries
+   */
+  async pruneWebhookDeliveries(before) {
+    const { count } = await this.prisma.webhookDelivery.deleteMany({
+      where: {
+        status: { in: ["DELIVERED", "FAILED"] },
+        createdAt: { lt: before },
+      },
+    });
+
+    return count;
+  }
+
+  /**
+   * Add an entry to the audit log
+   * @param {Object} data - Guild, action, actor, target user and changes
+   * @returns {Promise<Object>} Created entry
+   */
+  async createAuditLogEntry(data) {
+    return await this.prisma.auditLogEntry.create({ data });
+  }
+
+  /**
+   * Search the audit log of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} filter - Optional filter
+   * @param {string|null} filter.userId - Entries by or about this user
+   * @param {{start: Date, end: Date}|null} filter.range - Time range
+   * @param {number} filter.limit - Maximum number of entries
+   * @returns {Promise<{entries: Array, total: number}>} Newest entries first
+   */
+  async searchAuditLog(guildId, { userId = null, range = null, limit = 15 }) {
+    const where = {
+      guildId,
+      ...(userId
+        ? { OR: [{ actorId: userId }, { targetUserId: userId }] }
+        : {}),
+      ...(range ? { createdAt: { gte: range.start, lt: range.end } } : {}),
+    };
+
+    const [entries, total] = await this.prisma.$transaction([
+      this.prisma.auditLogEntry.findMany({
+        where,
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        take: limit,
+      }),
+      this.prisma.auditLogEntry.count({ where }),
+    ]);
+
+    return { entries, total };
   }
 
   /**
@@ -314,6 +1176,127 @@ class PrismaService {
     });
   }
 
+  /**
+   * Get settings of all guilds with an automatic stop limit
+   * @returns {Promise<Array>} Guild settings
+   */
+  async getAutoStopGuildSettings() {
+    return await this.prisma.guildSettings.findMany({
+      where: {
+        OR: [
+          { maxSessionMinutes: { not: null } },
+          { maxPauseMinutes: { not: null } },
+        ],
+      },
+    });
+  }
+
+  /**
+   * Get settings of all guilds with an on-duty role
+   * @returns {Promise<Array>} Guild settings
+   */
+  async getDutyRoleGuildSettings() {
+    return await this.prisma.guildSettings.findMany({
+      where: { onDutyRoleId: { not: null } },
+    });
+  }
+
+  /**
+   * Store an on-duty role error unless it is already stored
+   *
+   * Conditional update, so only one instance reports the same error.
+   * @param {string} guildId - Discord guild ID
+   * @param {string} error - Error kind
+   * @returns {Promise<boolean>} True if the error is new
+   */
+  async claimDutyRoleError(guildId, error) {
+    const result = await this.prisma.guildSettings.updateMany({
+      where: {
+        guildId,
+        OR: [{ onDutyRoleError: null }, { onDutyRoleError: { not: error } }],
+      },
+      data: { onDutyRoleError: error },
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * Clear the stored on-duty role error
+   * @param {string} guildId - Discord guild ID
+   */
+  async clearDutyRoleError(guildId) {
+    await this.prisma.guildSettings.updateMany({
+      where: { guildId, onDutyRoleError: { not: null } },
+      data: { onDutyRoleError: null },
+    });
+  }
+  /**
+   * Get settings of all guilds with a live online list
+   * @returns {Promise<Array>} Guild settings
+   */
+  async getLiveListGuildSettings() {
+    return await this.prisma.guildSettings.findMany({
+      where: { liveChannelId: { not: null } },
+    });
+  }
+
+  /**
+   * Store the ID of a newly posted online list message
+   *
+   * Only stored if the live channel is still the one the message was posted
+   * in, the channel may have been changed in the meantime.
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Channel the message was posted in
+   * @param {string} messageId - Message ID
+   * @returns {Promise<boolean>} True if the ID was stored
+   */
+  async setLiveMessageId(guildId, channelId, messageId) {
+    const result = await this.prisma.guildSettings.updateMany({
+      where: { guildId, liveChannelId: channelId },
+      data: { liveMessageId: messageId },
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * Claim the online list of a guild for an update
+   *
+   * Conditional update instead of a database lock, so no connection is
+   * held while the update waits for Discord. Only one instance holds the
+   * claim, an expired claim can be taken over.
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Date|null>} Expiry of the claim, null if another instance holds it
+   */
+  async claimLiveList(guildId) {
+    const now = new Date();
+    const claimedUntil = new Date(now.getTime() + LIVE_LIST_CLAIM_MS);
+    const result = await this.prisma.guildSettings.updateMany({
+      where: {
+        guildId,
+        OR: [
+          { liveListClaimedUntil: null },
+          { liveListClaimedUntil: { lt: now } },
+        ],
+      },
+      data: { liveListClaimedUntil: claimedUntil },
+    });
+    return result.count > 0 ? claimedUntil : null;
+  }
+
+  /**
+   * Release a claim of the online list
+   *
+   * A claim that expired and was taken over by another instance is kept.
+   * @param {string} guildId - Discord guild ID
+   * @param {Date} claimedUntil - Expiry returned by claimLiveList
+   */
+  async releaseLiveList(guildId, claimedUntil) {
+    await this.prisma.guildSettings.updateMany({
+      where: { guildId, liveListClaimedUntil: claimedUntil },
+      data: { liveListClaimedUntil: null },
+    });
+  }
+
   /**
    * Set guild settings
    * @param {string} guildId - Discord guild ID
@@ -0,0 +1,267 @@
+import { EventEmitter } from "node:events";
+import WebSocket from "ws";
+import { DiscordRequest } from "../utils/discordApi.js";
+
+/**
+ * Minimal Discord Gateway connection
+ *
+ * The bot answers interactions over HTTP, the Gateway is only needed for
+ * events Discord does not send there (voice states). The client identifies,
+ * keeps the heartbeat, resumes after disconnects and emits every dispatch
+ * as `dispatch` (type, data).
+ */
+
+const GATEWAY_VERSION = 10;
+
+// Gateway opcodes
+const OP = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11,
+};
+
+export const GATEWAY_INTENTS = {
+  GUILDS: 1 << 0,
+  GUILD_VOICE_STATES: 1 << 7,
+};
+
+// Close codes after which reconnecting cannot help (bad token, intents, ...)
+const FATAL_CLOSE_CODES = [4004, 4010, 4011, 4012, 4013, 4014];
+
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+export class GatewayClient extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Bot token
+   * @param {number} options.intents - Gateway intents
+   * @param {string} [options.url] - Gateway URL, looked up via the API if omitted
+   */
+  constructor({ token, intents, url = null }) {
+    super();
+    this.token = token;
+    this.intents = intents;
+    this.url = url;
+
+    this.ws = null;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.acknowledged = true;
+    this.sequence = null;
+    this.sessionId = null;
+    this.resumeUrl = null;
+    this.reconnectAttempts = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Open the connection, reconnects happen automatically until close()
+   */
+  async connect() {
+    this.closed = false;
+    if (!this.url) {
+      this.url = await this.getGatewayUrl();
+    }
+    this.open(this.url);
+  }
+
+  /**
+   * Look up the Gateway URL of the bot
+   */
+  async getGatewayUrl() {
+    try {
+      const response = await DiscordRequest("gateway/bot", { method: "GET" });
+      const { url } = await response.json();
+      return url;
+    } catch (error) {
+      console.error("Error fetching gateway URL, using default:", error);
+      return "wss://gateway.discord.gg";
+    }
+  }
+
+  /**
+   * Open a WebSocket to the Gateway
+   */
+  open(baseUrl) {
+    const url = new URL(baseUrl);
+    url.searchParams.set("v", String(GATEWAY_VERSION));
+    url.searchParams.set("encoding", "json");
+
+    const ws = new WebSocket(url);
+    this.ws = ws;
+
+    ws.on("message", (data) => {
+      try {
+        this.handlePayload(JSON.parse(data.toString()));
+      } catch (error) {
+        console.error("Error handling gateway payload:", error);
+      }
+    });
+    ws.on("close", (code) => this.handleClose(ws, code));
+    ws.on("error", (error) => {
+      console.error("Gateway connection error:", error.message);
+    });
+  }
+
+  /**
+   * Send a payload if the connection is open
+   */
+  send(op, d) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ op, d }));
+    }
+  }
+
+  handlePayload({ op, d, s, t }) {
+    if (s !== null && s !== undefined) {
+      this.sequence = s;
+    }
+
+    switch (op) {
+      case OP.HELLO:
+        this.startHeartbeat(d.heartbeat_interval);
+        if (this.sessionId) {
+          this.send(OP.RESUME, {
+            token: this.token,
+            session_id: this.sessionId,
+            seq: this.sequence,
+          });
+        } else {
+          this.identify();
+        }
+        break;
+
+      case OP.HEARTBEAT:
+        this.send(OP.HEARTBEAT, this.sequence);
+        break;
+
+      case OP.HEARTBEAT_ACK:
+        this.acknowledged = true;
+        break;
+
+      case OP.RECONNECT:
+        this.ws?.close(4000, "Reconnect requested");
+        break;
+
+      case OP.INVALID_SESSION:
+        // Not resumable: start a new session after a short wait
+        if (!d) {
+          this.sessionId = null;
+          this.sequence = null;
+          this.resumeUrl = null;
+        }
+        setTimeout(() => {
+          if (d) {
+            this.ws?.close(4000, "Resuming session");
+          } else {
+            this.identify();
+          }
+        }, 1000 + Math.random() * 4000);
+        break;
+
+      case OP.DISPATCH:
+        if (t === "READY") {
+          this.sessionId = d.session_id;
+          this.resumeUrl = d.resume_gateway_url;
+          this.reconnectAttempts = 0;
+          console.log(
+            `🛰️ Gateway ready as ${d.user?.username} (${d.guilds.length} guilds)`
+          );
+        } else if (t === "RESUMED") {
+          this.reconnectAttempts = 0;
+          console.log("🛰️ Gateway session resumed");
+        }
+        this.emit("dispatch", t, d);
+        break;
+    }
+  }
+
+  identify() {
+    this.send(OP.IDENTIFY, {
+      token: this.token,
+      intents: this.intents,
+      properties: {
+        os: process.platform,
+        browser: "bloods-timetracker",
+        device: "bloods-timetracker",
+      },
+    });
+  }
+
+  /**
+   * Send heartbeats, a missing acknowledgement means a dead connection
+   */
+  startHeartbeat(intervalMs) {
+    this.stopHeartbeat();
+    this.acknowledged = true;
+
+    const beat = () => {
+      if (!this.acknowledged) {
+        console.warn("🛰️ Gateway heartbeat not acknowledged, reconnecting");
+        this.ws?.close(4000, "Heartbeat timeout");
+        return;
+      }
+      this.acknowledged = false;
+      this.send(OP.HEARTBEAT, this.sequence);
+      this.heartbeatTimer = setTimeout(beat, intervalMs);
+    };
+
+    // The first heartbeat is jittered as documented by Discord
+    this.heartbeatTimer = setTimeout(beat, intervalMs * Math.random());
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearTimeout(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  handleClose(ws, code) {
+    // Ignore sockets that were already replaced
+    if (ws !== this.ws) return;
+
+    this.stopHeartbeat();
+    this.ws = null;
+    if (this.closed) return;
+
+    if (FATAL_CLOSE_CODES.includes(code)) {
+      console.error(`❌ Gateway closed with code ${code}, not reconnecting`);
+      return;
+    }
+
+    const delay = Math.min(
+      1000 * 2 ** this.reconnectAttempts,
+      MAX_RECONNECT_DELAY_MS
+    );
+    this.reconnectAttempts++;
+    console.warn(
+      `🛰️ Gateway closed with code ${code}, reconnecting in ${Math.round(
+        delay / 1000
+      )}s`
+    );
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.open(this.sessionId && this.resumeUrl ? this.resumeUrl : this.url);
+    }, delay);
+  }
+
+  /**
+   * Close the connection for good
+   */
+  close() {
+    this.closed = true;
+    this.stopHeartbeat();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.ws?.close(1000);
+  }
+}
@@ -0,0 +1,295 @@
+import { getGuildMember } from "../utils/discordApi.js";
+import { resolveLanguage, runWithLanguage } from "../utils/i18n.js";
+import { canTrack } from "../utils/permissions.js";
+
+/**
+ * Automatic tracking by voice channel presence
+ *
+ * Joining one of the guild's tracked voice channels starts (or resumes) a
+ * session, moving to the AFK channel pauses it and leaving the tracked
+ * channels stops it. Only the channel changes of VOICE_STATE_UPDATE events
+ * matter, mute and deafen updates are ignored. Sessions are changed through
+ * the SessionManager, so the online list, webhooks and audit log behave
+ * exactly like with /play and /stop.
+ *
+ * The events come from the Gateway client or any other emitter of
+ * `dispatch` (type, data), e.g. a recorded feed in tests.
+ */
+
+/**
+ * Decide what a move between two voice channels means for tracking
+ * @param {string|null} previousChannelId - Channel before, null if not connected
+ * @param {string|null} channelId - Channel after, null if disconnected
+ * @param {Object} config
+ * @param {string[]} config.channelIds - Tracked voice channels
+ * @param {string|null} config.afkChannelId - Channel that pauses tracking
+ * @returns {"START"|"PAUSE"|"STOP"|null} START also resumes a paused session
+ */
+export function getVoiceAction(
+  previousChannelId,
+  channelId,
+  { channelIds, afkChannelId }
+) {
+  const isTracked = (id) => Boolean(id) && channelIds.includes(id);
+  const isAfk = (id) => Boolean(id) && id === afkChannelId;
+
+  if (isTracked(channelId)) return "START";
+  if (isAfk(channelId)) return isTracked(previousChannelId) ? "PAUSE" : null;
+  if (isTracked(previousChannelId) || isAfk(previousChannelId)) return "STOP";
+  return null;
+}
+
+export class VoiceTracker {
+  /**
+   * @param {import("../database/prisma.js").default} database - Database service
+   * @param {import("../utils/sessionManager.js").SessionManager} sessionManager - Session manager
+   */
+  constructor(database, sessionManager) {
+    this.database = database;
+    this.sessionManager = sessionManager;
+    // guildId -> Map(userId -> voice channel ID)
+    this.voiceStates = new Map();
+    // guildId -> AFK channel configured in Discord
+    this.afkChannels = new Map();
+    // Changes of one user run one after another
+    this.queues = new Map();
+  }
+
+  /**
+   * Process the events of a Gateway client (or a fake feed)
+   * @param {import("node:events").EventEmitter} feed - Emitter of `dispatch` events
+   */
+  attach(feed) {
+    feed.on("dispatch", (type, data) => {
+      this.handleDispatch(type, data).catch((error) => {
+        console.error(`Error handling ${type} for voice tracking:`, error);
+      });
+    });
+  }
+
+  /**
+   * Handle a single Gateway dispatch
+   * @param {string} type - Event name, e.g. VOICE_STATE_UPDATE
+   * @param {Object} data - Event data
+   * @returns {Promise<void>} Resolves when all resulting changes are done
+   */
+  async handleDispatch(type, data) {
+    switch (type) {
+      case "GUILD_CREATE":
+        return await this.syncGuild(data);
+
+      case "GUILD_UPDATE":
+        this.afkChannels.set(data.id, data.afk_channel_id || null);
+        return;
+
+      case "GUILD_DELETE":
+        // Unavailable guilds come back with GUILD_CREATE
+        if (!data.unavailable) {
+          this.voiceStates.delete(data.id);
+          this.afkChannels.delete(data.id);
+        }
+        return;
+
+      case "VOICE_STATE_UPDATE":
+        return await this.handleVoiceState(data.guild_id, data);
+    }
+  }
+
+  /**
+   * Take over the voice states of a guild after (re)connecting
+   *
+   * Users already sitting in a tracked channel start tracking, so nobody is
+   * missed after a restart. Voice started sessions of users who left the
+   * tracked channels in the meantime are stopped.
+   */
+  async syncGuild(guild) {
+    if (guild.unavailable) return;
+
+    this.afkChannels.set(guild.id, guild.afk_channel_id || null);
+
+    const members = new Map(
+      (guild.members || []).map((member) => [member.user.id, member])
+    );
+    const states = new Map(
+      (guild.voice_states || []).map((state) => [state.user_id, state])
+    );
+    const known = this.voiceStates.get(guild.id) || new Map();
+
+    const changes = [];
+    for (const userId of new Set([...known.keys(), ...states.keys()])) {
+      const state = states.get(userId);
+      changes.push(
+        this.handleVoiceState(guild.id, {
+          user_id: userId,
+          channel_id: state?.channel_id || null,
+          member: state?.member || members.get(userId),
+        })
+      );
+    }
+    await Promise.all(changes);
+
+    await this.stopAbandonedSessions(guild.id);
+  }
+
+  /**
+   * Stop voice started sessions whose user is in no tracked or AFK channel
+   *
+   * Leaving a channel while the bot was offline sends no event, the session
+   * would keep running. It is stopped at the time of the sync.
+   */
+  async stopAbandonedSessions(guildId) {
+    const settings = await this.database.getGuildSettings(guildId);
+    const channelIds = settings?.voiceChannelIds || [];
+    if (channelIds.length === 0) return;
+
+    const sessions = await this.database.getAllActiveSessions(guildId);
+    await Promise.all(
+      sessions
+        .filter((session) => session.startedByVoice)
+        .map((session) =>
+          this.enqueue(`${guildId}:${session.userId}`, () =>
+            this.stopAbandonedSession(settings, session)
+          )
+        )
+    );
+  }
+
+  /**
+   * Stop one voice started session, unless its user is back in a channel
+   */
+  async stopAbandonedSession(settings, session) {
+    const { guildId, userId } = session;
+    const channelId = this.voiceStates.get(guildId)?.get(userId) || null;
+    const afkChannelId =
+      settings.voiceAfkChannelId || this.afkChannels.get(guildId) || null;
+    if (
+      channelId &&
+      (settings.voiceChannelIds.includes(channelId) ||
+        channelId === afkChannelId)
+    ) {
+      return;
+    }
+
+    // Queued changes of the user may have stopped or replaced the session
+    const current = await this.database.getActiveSession(userId, guildId);
+    if (current?.id !== session.id) return;
+
+    await runWithLanguage(resolveLanguage(settings), () =>
+      this.sessionManager.stopSession(userId, guildId)
+    );
+    console.log(
+      `🎙️ Voice tracking: STOP for ${userId} in ${guildId} (not in a tracked channel after sync)`
+    );
+  }
+
+  /**
+   * Remember a user's voice channel and apply the change to tracking
+   */
+  async handleVoiceState(guildId, state) {
+    const { user_id: userId, member } = state;
+    const channelId = state.channel_id || null;
+    if (!guildId || member?.user?.bot) return;
+
+    if (!this.voiceStates.has(guildId)) {
+      this.voiceStates.set(guildId, new Map());
+    }
+    const guildStates = this.voiceStates.get(guildId);
+    const previousChannelId = guildStates.get(userId) || null;
+
+    if (channelId) {
+      guildStates.set(userId, channelId);
+    } else {
+      guildStates.delete(userId);
+    }
+
+    // Mute, deafen, stream, ... do not change the channel
+    if (previousChannelId === channelId) return;
+
+    await this.enqueue(`${guildId}:${userId}`, () =>
+      this.applyChange(guildId, userId, member, previousChannelId, channelId)
+    );
+  }
+
+  /**
+   * Run a task after the previous tasks with the same key
+   */
+  enqueue(key, task) {
+    const previous = this.queues.get(key) || Promise.resolve();
+    const next = previous.then(task).catch((error) => {
+      console.error(`Error applying voice change (${key}):`, error);
+    });
+
+    this.queues.set(key, next);
+    next.then(() => {
+      if (this.queues.get(key) === next) this.queues.delete(key);
+    });
+    return next;
+  }
+
+  /**
+   * Start, pause or stop the session of a user after a channel change
+   */
+  async applyChange(guildId, userId, member, previousChannelId, channelId) {
+    const settings = await this.database.getGuildSettings(guildId);
+    const channelIds = settings?.voiceChannelIds || [];
+    if (channelIds.length === 0) return;
+
+    const action = getVoiceAction(previousChannelId, channelId, {
+      channelIds,
+      afkChannelId:
+        settings.voiceAfkChannelId || this.afkChannels.get(guildId) || null,
+    });
+    if (!action) return;
+
+    const session = await this.database.getActiveSession(userId, guildId);
+
+    // Session change that was made, if any
+    const applied = await runWithLanguage(
+      resolveLanguage(settings),
+      async () => {
+        switch (action) {
+          case "START": {
+            if (session?.status === "ACTIVE") return null;
+            if (session?.status === "PAUSED") {
+              await this.sessionManager.resumeSession(userId, guildId);
+              return "RESUME";
+            }
+
+            // Events of the guild sync come without roles
+            const guildMember =
+              member || (await getGuildMember(guildId, userId));
+            if (guildMember?.user?.bot || !canTrack(guildMember, settings)) {
+              return null;
+            }
+            await this.sessionManager.startSession(
+              userId,
+              guildId,
+              channelId,
+              null,
+              true
+            );
+            return "START";
+          }
+
+          case "PAUSE":
+            if (session?.status !== "ACTIVE") return null;
+            await this.sessionManager.pauseSession(userId, guildId);
+            return "PAUSE";
+
+          case "STOP":
+            if (!session) return null;
+            await this.sessionManager.stopSession(userId, guildId);
+            return "STOP";
+        }
+      }
+    );
+
+    if (applied) {
+      console.log(
+        `🎙️ Voice tracking: ${applied} for ${userId} in ${guildId} (${
+          previousChannelId || "-"
+        } → ${channelId || "-"})`
+      );
+    }
+  }
+}
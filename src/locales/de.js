@@ -0,0 +1,575 @@
+/**
+ * German message catalog (default language)
+ */
+export default {
+  // Periods
+  "period.choice.all": "Gesamt",
+  "period.choice.day": "Heute",
+  "period.choice.week": "Diese Woche",
+  "period.choice.month": "Dieser Monat",
+  "period.choice.custom": "Benutzerdefiniert (von/bis)",
+  "period.today": "Heute",
+  "period.thisWeek": "Diese Woche",
+  "period.thisMonth": "Dieser Monat",
+  "period.error.fromRequired":
+    "❌ Für einen benutzerdefinierten Zeitraum wird `from` benötigt.",
+  "period.error.invalidDate":
+    "❌ Ungültiges Datum. Bitte nutze das Format `YYYY-MM-DD`.",
+  "period.error.endBeforeStart":
+    "❌ Das Enddatum muss nach dem Startdatum liegen.",
+  "period.error.unknown": "❌ Unbekannter Zeitraum.",
+  "weekday.0": "Sonntag",
+  "weekday.1": "Montag",
+  "weekday.2": "Dienstag",
+  "weekday.3": "Mittwoch",
+  "weekday.4": "Donnerstag",
+  "weekday.5": "Freitag",
+  "weekday.6": "Samstag",
+
+  // Permissions
+  "roles.scope.track": "Zeiterfassung",
+  "roles.scope.viewStats": "Fremde Statistiken",
+  "roles.scope.manager": "Manager",
+  "permissions.denied.track":
+    "❌ Du hast keine Berechtigung für die Zeiterfassung.",
+  "permissions.denied.viewOthers":
+    "❌ Du hast keine Berechtigung, die Statistiken anderer User anzusehen.",
+  "permissions.denied.manage":
+    "❌ Du benötigst eine Manager-Rolle um diesen Befehl zu verwenden.",
+  "permissions.denied.administrator":
+    "❌ Du benötigst Administrator-Berechtigung um diesen Befehl zu verwenden.",
+  "permissions.denied.channel":
+    "❌ Zeiterfassung-Befehle sind nur in {channel} erlaubt.",
+
+  // Leaderboard
+  "leaderboard.sort.total": "Gesamtzeit",
+  "leaderboard.sort.sessions": "Sessions",
+  "leaderboard.sort.average": "Durchschnitt",
+  "leaderboard.title": "Leaderboard",
+  "leaderboard.topTitle": "Leaderboard - Top Spieler",
+  "leaderboard.empty": "Noch keine Daten vorhanden.",
+  "leaderboard.categoryTotals": "Gesamt nach Kategorie",
+  "leaderboard.sortedBy": "nach {sort}",
+  "leaderboard.ownRank":
+    "📍 Platz von {user}: **#{rank}** - {time} ({count} Sessions)",
+  "leaderboard.notRanked":
+    "📍 {user} ist in diesem Zeitraum noch nicht platziert.",
+  "leaderboard.page": "Seite {page}/{pages}",
+  "leaderboard.button.me": "📍 Mein Rang",
+  "leaderboard.sort.placeholder": "Sortierung",
+  "leaderboard.sort.option": "Sortiert nach {sort}",
+
+  // Reports
+  "report.frequency.daily": "Täglich",
+  "report.frequency.weekly": "Wöchentlich (Wochenbeginn)",
+  "report.frequency.monthly": "Monatlich (1. Tag)",
+  "report.title.daily": "Tagesbericht",
+  "report.title.weekly": "Wochenbericht",
+  "report.title.monthly": "Monatsbericht",
+  "report.summary.totalTime": "⏱️ **Gesamtzeit:** {time}",
+  "report.summary.sessions": "📈 **Sessions:** {count}",
+  "report.summary.members": "👥 **Aktive Mitglieder:** {count}",
+  "report.schedule":
+    "{id} – {frequency} um {time} ({timeZone}) in {channel}\nNächster Bericht: {next}",
+  "report.added": "✅ Bericht eingerichtet:",
+  "report.removed": "🗑️ Bericht entfernt.",
+  "report.list.title": "**Automatische Berichte**",
+  "report.list.empty": "Noch keine Berichte eingerichtet. Nutze `/report add`.",
+  "report.error.timeZone":
+    "❌ Unbekannte Zeitzone {timeZone}. Bitte nutze einen Namen wie `Europe/Berlin`.",
+  "report.error.limit":
+    "❌ Es sind bereits {count} Berichte eingerichtet. Bitte entferne zuerst einen.",
+  "report.error.notFound":
+    "❌ Bericht nicht gefunden. Die ID steht in `/report list`.",
+  "report.error.MISSING_PERMISSIONS":
+    "⚠️ Der {title} konnte nicht in {channel} gepostet werden, dem Bot fehlen dort Berechtigungen. Er versucht es bis zum nächsten regulären Bericht alle 15 Minuten erneut.",
+  "report.error.FAILED":
+    "⚠️ Der {title} konnte nicht in {channel} gepostet werden. Der Bot versucht es bis zum nächsten regulären Bericht alle 15 Minuten erneut.",
+
+  // Quotas
+  "quota.report.title": "**Wochenziel-Bericht** ({range})",
+  "quota.report.allReached":
+    "✅ Alle {total} Mitglieder haben ihr Wochenziel erreicht.",
+  "quota.report.below":
+    "❌ **{count} von {total}** Mitgliedern unter dem Wochenziel:",
+  "quota.report.more": "… und {count} weitere",
+  "quota.field": "🎯 Wochenziel",
+  "quota.text": "🎯 **Wochenziel:** {progress}",
+  "quota.role.set": "✅ Wochenziel für {role} auf **{time}** gesetzt.",
+  "quota.role.removed": "✅ Wochenziel für {role} entfernt.",
+  "quota.default.set": "✅ Standard-Wochenziel auf **{time}** gesetzt.",
+  "quota.default.removed": "✅ Standard-Wochenziel entfernt.",
+  "quota.show.title": "**Wochenziele**",
+  "quota.show.default": "🎯 **Standard:** {time}",
+  "quota.show.none": "Keins",
+  "quota.show.channel": "📢 **Wochenbericht:** {channel}",
+  "quota.show.off": "Aus",
+  "quota.show.rule":
+    "Bei mehreren Rollen gilt das höchste Rollenziel, sonst das Standard-Wochenziel.",
+  "quota.channel.set":
+    "✅ Der Wochenbericht wird zu Beginn jeder Woche in {channel} gepostet.",
+  "quota.channel.cleared": "✅ Wochenbericht deaktiviert.",
+  "quota.error.notConfigured":
+    "❌ Es sind keine Wochenziele konfiguriert. Nutze `/quota set`.",
+  "quota.error.reportFailed":
+    "❌ Der Bericht konnte nicht erstellt werden. Ist der Server Members Intent aktiviert?",
+
+  // Auto stop
+  "autoStop.reason.sessionLimit": "maximale Session-Dauer von {time} erreicht",
+  "autoStop.reason.pauseLimit": "maximale Pausendauer von {time} überschritten",
+  "autoStop.notice":
+    "⏹️ {user} Deine Session wurde automatisch beendet ({reason}).",
+  "autoStop.endedAt": "🕐 **Beendet um:** {time}",
+  "autoStop.duration": "📊 **Session-Dauer:** {duration}",
+
+  // Session events
+  "sessionEvents.invalid.noEvents": "Die Session hat keine Events.",
+  "sessionEvents.invalid.mustStart":
+    "Die Session muss mit einem Start beginnen.",
+  "sessionEvents.invalid.order":
+    "Die Events müssen zeitlich aufeinander folgen.",
+  "sessionEvents.invalid.afterStop":
+    "Nach dem Stopp sind keine weiteren Events erlaubt.",
+  "sessionEvents.invalid.doubleStart": "Doppelter Start in der Session.",
+  "sessionEvents.invalid.pauseInactive":
+    "Eine Pause ist nur in einer aktiven Session möglich.",
+  "sessionEvents.invalid.resumeNotPaused":
+    "Fortsetzen ist nur nach einer Pause möglich.",
+
+  // General
+  "app.name": "Zeiterfassung",
+  "category.general": "Allgemein",
+  "common.sessionsCount": "{count} Sessions",
+  "error.command": "❌ Ein Fehler ist aufgetreten. Bitte versuche es erneut.",
+  "error.component": "❌ Ein Fehler ist aufgetreten.",
+  "error.missingSubcommand": "❌ Subcommand fehlt.",
+  "error.unknownSubcommand": "❌ Unbekannter Subcommand.",
+
+  // Sessions
+  "session.error.noActive": "❌ Du hast keine aktive Session!",
+  "session.error.noPaused": "❌ Du hast keine pausierte Session!",
+  "session.error.noData": "Keine Session-Daten gefunden.",
+  "session.error.startNotFound": "Session-Start nicht gefunden.",
+  "session.error.startFailed":
+    "❌ Die Session konnte nicht gestartet werden, bitte versuche es erneut.",
+  "session.field.duration": "Session-Dauer",
+  "session.field.totalTime": "Gesamtzeit",
+  "session.field.totalSessions": "Sessions Gesamt",
+  "session.field.status": "Status",
+  "session.field.currentDuration": "Dauer",
+  "session.field.category": "Kategorie",
+  "session.field.history": "Session-Verlauf",
+  "session.stopped.title": "✅ Session beendet",
+  "session.status.activeSince": "🟢 Aktiv seit {time}",
+  "session.status.paused": "⏸️ Pausiert",
+  "session.event.START": "Gestartet",
+  "session.event.PAUSE": "Pausiert",
+  "session.event.RESUME": "Fortgesetzt",
+  "session.event.STOP": "Beendet",
+  "session.text.title": "**Zeiterfassung für {user}**",
+  "session.text.category": "🏷️ **Kategorie:** {category}",
+  "session.text.stopped": "✅ **Session beendet**",
+  "session.text.duration": "📊 **Session-Dauer:** {duration}",
+  "session.text.finalDuration": "📊 **Gesamtzeit:** {time}",
+  "session.text.totalTime": "🏆 **Gesamtzeit:** {time}",
+  "session.text.totalSessions": "📈 **Sessions Gesamt:** {count}",
+  "session.text.activeSince": "🟢 **Aktiv** seit {time}",
+  "session.text.paused": "⏸️ **Pausiert** - {duration}",
+  "session.text.history": "**Session-Verlauf:**",
+  "session.button.pause": "Pausieren",
+  "session.button.resume": "Fortsetzen",
+  "session.button.stop": "Beenden",
+
+  // Online list
+  "onlineList.title": "Online-Liste",
+  "onlineList.empty": "Zurzeit niemand online.",
+  "onlineList.since": "seit {time}",
+  "onlineList.paused": "(pausiert)",
+  "onlineList.more": "… und {count} weitere",
+  "onlineList.count": "{count} Benutzer online",
+  "onlineList.today": "⏱️ Heute gesamt: **{time}**",
+  "onlineList.group.ACTIVE": "Aktiv",
+  "onlineList.group.PAUSED": "Pausiert",
+  "onlineList.noRank": "Ohne Rang",
+  "onlineList.updated": "Zuletzt aktualisiert",
+
+  // Stats
+  "stats.title": "Statistiken",
+  "stats.field.totalTime": "📊 Gesamtzeit",
+  "stats.field.sessions": "🎮 Sessions",
+  "stats.field.average": "📈 Durchschnitt",
+  "stats.field.lastSeen": "👀 Zuletzt",
+  "stats.field.byCategory": "Nach Kategorie",
+  "stats.text.title": "**Statistiken für {user}**",
+  "stats.text.totalTime": "📊 **Gesamtzeit:** {time}",
+  "stats.text.sessions": "🎮 **Sessions:** {count}",
+  "stats.text.average": "📈 **Durchschnitt:** {time}",
+  "stats.text.lastSeen": "👀 **Zuletzt:** {time}",
+
+  // History
+  "history.title": "Session-Verlauf",
+  "history.text.title": "**Session-Verlauf von {user}**",
+  "history.entry": "{status} {date} {start} – {end} • ⏱️ {active} • ⏸️ {pause}",
+  "history.running": "läuft",
+  "history.empty": "Noch keine Sessions erfasst.",
+  "history.page": "Seite {page}/{pages}",
+  "history.select.placeholder": "Session für Details auswählen",
+  "history.select.option": "{number}. {start} – {active}",
+  "history.button.back": "◀ Zurück zum Verlauf",
+  "history.notFound": "❌ Diese Session existiert nicht mehr.",
+
+  // Admin
+  "admin.sessions.title": "**Sessions von {user}**",
+  "admin.sessions.recent": "(letzte {count})",
+  "admin.sessions.empty": "Keine Sessions gefunden.",
+  "admin.sessions.running": "läuft",
+  "admin.error.invalidCorrection": "❌ Ungültige Korrektur: {reason}",
+  "admin.error.future": "❌ Zeitpunkte in der Zukunft sind nicht erlaubt.",
+  "admin.error.overlap":
+    "❌ Die Session überschneidet sich mit Session {session}.",
+  "admin.error.notFound": "❌ Session nicht gefunden.",
+  "admin.error.notStopped": "❌ Die Session ist noch nicht beendet.",
+  "admin.error.startNotFound": "❌ Session-Start nicht gefunden.",
+  "admin.edit.start":
+    "✅ Start der Session {session} von {user} auf {time} gesetzt.",
+  "admin.edit.end":
+    "✅ Ende der Session {session} von {user} auf {time} gesetzt.",
+  "admin.add.done":
+    "✅ Session {session} für {user} eingetragen: {start} – {end} ({duration})",
+  "admin.delete.done": "🗑️ Session {session} von {user} gelöscht ({duration}).",
+  "admin.error.invalidTime":
+    "❌ Ungültiger Zeitpunkt. Bitte nutze das Format `YYYY-MM-DD HH:mm` (Zeitzone des Servers).",
+  "admin.error.invalidStart":
+    "❌ Ungültiger Startzeitpunkt. Bitte nutze das Format `YYYY-MM-DD HH:mm` (Zeitzone des Servers).",
+
+  // Categories
+  "category.list.title": "**Kategorien**",
+  "category.list.empty":
+    "Noch keine Kategorien angelegt. Sessions ohne Kategorie zählen als **{general}**.",
+  "category.added": "✅ Kategorie **{name}** angelegt.",
+  "category.removed":
+    "🗑️ Kategorie **{name}** gelöscht. Bisherige Sessions zählen jetzt als **{general}**.",
+  "category.error.missingName": "❌ Bitte gib einen Namen an.",
+  "category.error.exists": "❌ Die Kategorie **{name}** existiert bereits.",
+  "category.error.notFound": "❌ Die Kategorie **{name}** existiert nicht.",
+
+  // Settings
+  "settings.channel.set": "✅ Zeiterfassung auf {channel} beschränkt.",
+  "settings.channel.cleared": "✅ Zeiterfassung in allen Kanälen erlaubt.",
+  "settings.liveChannel.set": "✅ Online-Liste in {channel} aktiviert.",
+  "settings.liveChannel.cleared": "✅ Online-Liste deaktiviert.",
+  "settings.auditChannel.set": "✅ Audit-Log wird in {channel} gepostet.",
+  "settings.auditChannel.cleared":
+    "✅ Audit-Log-Kanal deaktiviert. Einträge werden weiterhin gespeichert und sind über `/admin audit` abrufbar.",
+  "settings.dutyRole.set":
+    "✅ Mitglieder mit aktiver Session erhalten die Rolle {role}. Der Bot braucht dafür die Berechtigung „Rollen verwalten“ und eine Rolle oberhalb von {role}.",
+  "settings.dutyRole.cleared": "✅ Dienst-Rolle deaktiviert.",
+  "settings.output.text": "✅ Nachrichten werden als einfacher Text gesendet.",
+  "settings.output.embed": "✅ Nachrichten werden als Embeds gesendet.",
+  "settings.liveBoard.compact": "✅ Die Online-Liste wird kompakt angezeigt.",
+  "settings.liveBoard.board":
+    "✅ Die Online-Liste wird als Dienst-Übersicht angezeigt.",
+  "settings.liveBoard.ranks": "Ränge: {ranks}",
+  "settings.language.set":
+    "✅ Der Bot antwortet auf diesem Server auf Deutsch.",
+  "settings.language.auto":
+    "✅ Der Bot antwortet in der Discord-Sprache des jeweiligen Users.",
+  "settings.timeZone.set":
+    "✅ Zeiträume werden in der Zeitzone **{timeZone}** berechnet, die Woche beginnt am **{weekStart}**.",
+  "settings.timeZone.show":
+    "🌐 Zeitzone: **{timeZone}** – Wochenbeginn: **{weekStart}**",
+  "settings.autoStop.title": "✅ **Automatischer Stopp**",
+  "settings.autoStop.maxSession": "⏱️ Max. Session-Dauer: {limit}",
+  "settings.autoStop.maxPause": "⏸️ Max. Pausendauer: {limit}",
+  "settings.autoStop.notify": "🔔 Benachrichtigung: {notify}",
+  "settings.autoStop.disabled": "deaktiviert",
+  "settings.autoStop.notify.NONE": "keine",
+  "settings.autoStop.notify.DM": "Direktnachricht",
+  "settings.autoStop.notify.CHANNEL": "Ping im Zeiterfassungs-Kanal",
+  "settings.roles.title": "🔐 **Berechtigungen**",
+  "settings.roles.adminsOnly": "nur Administratoren",
+  "settings.roles.everyone": "alle",
+  "settings.roles.missingScope": "❌ Bitte wähle einen Bereich (`scope`).",
+  "settings.roles.missingRole": "❌ Bitte gib eine Rolle an.",
+  "settings.voice.title": "🎙️ **Voice-Tracking**",
+  "settings.voice.channels": "• **Erfasste Sprachkanäle:** {channels}",
+  "settings.voice.afk": "• **AFK-Kanal (pausiert):** {channel}",
+  "settings.voice.disabled": "keine – Voice-Tracking ist aus",
+  "settings.voice.serverAfk": "AFK-Kanal des Servers",
+  "settings.voice.hint":
+    "Betreten startet die Zeiterfassung, der AFK-Kanal pausiert sie und Verlassen stoppt sie.",
+  "settings.voice.gatewayDisabled":
+    "⚠️ Die Gateway-Verbindung ist in diesem Bot nicht aktiv (`ENABLE_GATEWAY`), Sprachkanäle werden noch nicht erfasst.",
+  "settings.voice.missingChannel": "❌ Bitte gib einen Sprachkanal an.",
+  "settings.apiKey.title": "🔑 **API-Keys**",
+  "settings.apiKey.empty":
+    "Noch keine API-Keys erstellt. Nutze `/settings api-key create`.",
+  "settings.apiKey.entry":
+    "{id} – **{name}** ({prefix})\nErstellt {created} von {user} • Zuletzt benutzt: {lastUsed}",
+  "settings.apiKey.neverUsed": "nie",
+  "settings.apiKey.created":
+    "✅ API-Key **{name}** erstellt (ID {id}):\n{key}\n\n⚠️ Der Key wird nur jetzt angezeigt und nicht im Klartext gespeichert. Bewahre ihn sicher auf und nutze ihn nur serverseitig.",
+  "settings.apiKey.revoked":
+    "🗑️ API-Key widerrufen. Anfragen mit diesem Key werden ab sofort abgelehnt.",
+  "settings.apiKey.notFound":
+    "❌ API-Key nicht gefunden. Die ID steht in `/settings api-key list`.",
+  "settings.apiKey.missingName":
+    "❌ Bitte gib einen Namen für den API-Key an (`name`).",
+  "settings.apiKey.missingId": "❌ Bitte gib die ID des API-Keys an (`id`).",
+  "settings.apiKey.limit":
+    "❌ Es sind maximal {count} API-Keys pro Server möglich.",
+
+  // Export
+  "export.done": "{count} Sessions exportiert.",
+  "export.part": "Teil {part}",
+  "export.truncated":
+    "⚠️ Der Export war zu groß und wurde nach {files} Dateien abgeschnitten, weitere Sessions fehlen. Für einen vollständigen Export wähle einen kürzeren Zeitraum oder einen einzelnen User.",
+  "export.error.failed":
+    "❌ Der Export ist fehlgeschlagen. Bitte versuche es erneut.",
+
+  // Webhooks
+  "webhook.added":
+    "✅ Webhook erstellt (ID {id}) für {events}:\n{url}\n\n🔐 Signatur-Secret: {secret}\n\n⚠️ Das Secret wird nur jetzt angezeigt. Prüfe damit die Signatur im Header `X-Timetracker-Signature`.",
+  "webhook.removed":
+    "🗑️ Webhook entfernt. Es werden keine Events mehr an ihn gesendet.",
+  "webhook.list.title": "🪝 **Webhooks**",
+  "webhook.list.empty":
+    "Noch keine Webhooks eingerichtet. Nutze `/webhook add`.",
+  "webhook.entry":
+    "{id} – {url}\nEvents: {events} • Erstellt {created} von {user}",
+  "webhook.deliveries.title": "📬 **Webhook-Zustellungen**",
+  "webhook.deliveries.empty": "Keine Zustellungen gefunden.",
+  "webhook.delivery":
+    "{icon} {id} – **{event}** an {host} {time}\nVersuche: {attempts}/{max} • {result}",
+  "webhook.delivery.pending": "Noch nicht versucht",
+  "webhook.delivery.next": "nächster Versuch {time}",
+  "webhook.replayed":
+    "🔁 {count} fehlgeschlagene Zustellung(en) werden in Kürze erneut gesendet.",
+  "webhook.error.url":
+    "❌ Ungültige URL. Erlaubt sind `http://` und `https://` Adressen.",
+  "webhook.error.events":
+    "❌ Unbekanntes Event {event}. Erlaubt sind: {events}.",
+  "webhook.error.limit":
+    "❌ Es sind höchstens {count} Webhooks pro Server möglich.",
+  "webhook.error.notFound":
+    "❌ Webhook nicht gefunden. Die ID steht in `/webhook list`.",
+  "webhook.error.noFailed": "❌ Keine fehlgeschlagene Zustellung gefunden.",
+
+  // Audit log
+  "audit.action.SESSION_START": "▶️ Session gestartet",
+  "audit.action.SESSION_PAUSE": "⏸️ Session pausiert",
+  "audit.action.SESSION_RESUME": "▶️ Session fortgesetzt",
+  "audit.action.SESSION_STOP": "⏹️ Session beendet",
+  "audit.action.SESSION_AUTO_STOP": "⏹️ Session automatisch beendet",
+  "audit.action.SESSION_EDIT": "✏️ Session korrigiert",
+  "audit.action.SESSION_ADD": "➕ Session nachgetragen",
+  "audit.action.SESSION_DELETE": "🗑️ Session gelöscht",
+  "audit.action.SETTINGS_UPDATE": "⚙️ Einstellungen geändert",
+  "audit.action.CATEGORY_ADD": "🏷️ Kategorie hinzugefügt",
+  "audit.action.CATEGORY_REMOVE": "🏷️ Kategorie entfernt",
+  "audit.action.QUOTA_UPDATE": "🎯 Rollen-Wochenziel geändert",
+  "audit.action.REPORT_ADD": "📅 Bericht eingerichtet",
+  "audit.action.REPORT_REMOVE": "📅 Bericht entfernt",
+  "audit.action.API_KEY_CREATE": "🔑 API-Key erstellt",
+  "audit.action.API_KEY_REVOKE": "🔑 API-Key widerrufen",
+  "audit.action.WEBHOOK_ADD": "🪝 Webhook eingerichtet",
+  "audit.action.WEBHOOK_REMOVE": "🪝 Webhook entfernt",
+  "audit.actor": "Von {user}",
+  "audit.system": "System",
+  "audit.target": "Betrifft {user}",
+  "audit.session": "Session {session}",
+  "audit.search.title": "📜 **Audit-Log**",
+  "audit.search.empty": "Keine Einträge gefunden.",
+  "audit.search.more":
+    "… {shown} von {total} Einträgen angezeigt. Grenze die Suche mit `user`, `period` oder `from`/`to` ein.",
+  "dutyRole.error.MISSING_PERMISSIONS":
+    "⚠️ Die Dienst-Rolle {role} konnte nicht vergeben werden: Dem Bot fehlt die Berechtigung „Rollen verwalten“ oder seine höchste Rolle steht nicht über {role}.",
+  "dutyRole.error.UNKNOWN_ROLE":
+    "⚠️ Die Dienst-Rolle existiert nicht mehr. Bitte lege mit `/settings on-duty-role` eine neue fest.",
+  "dutyRole.error.MEMBER_LIST":
+    "⚠️ Die Dienst-Rolle {role} kann nicht abgeglichen werden, weil die Mitgliederliste nicht geladen werden kann. Bitte aktiviere den „Server Members Intent“ des Bots.",
+
+  // Panel
+  "panel.title": "🛡️ Dienst-Panel",
+  "panel.description":
+    "Starte, pausiere oder beende hier deine Zeiterfassung. Die Antwort siehst nur du.",
+  "panel.category": "Kategorie: **{category}**",
+  "panel.button.start": "Dienst starten",
+  "panel.button.toggle": "Pause / Fortsetzen",
+  "panel.posted": "✅ Dienst-Panel in {channel} gepostet.",
+  "panel.error.post":
+    "❌ Das Panel konnte nicht in {channel} gepostet werden. Darf der Bot dort schreiben?",
+  "panel.error.category":
+    "❌ Die Kategorie dieses Panels gibt es nicht mehr. Bitte poste das Panel neu.",
+
+  // Commands
+  "command.option.period": "Zeitraum der Auswertung (Standard: Gesamt)",
+  "command.option.from":
+    "Startdatum für benutzerdefinierten Zeitraum (YYYY-MM-DD)",
+  "command.option.to": "Enddatum für benutzerdefinierten Zeitraum (YYYY-MM-DD)",
+  "command.option.category":
+    "Kategorie der Zeiterfassung (z.B. Dienst, Training)",
+  "command.play": "Starte die On-Off Zeiterfassung",
+  "command.stop": "Stoppe die On-Off Zeiterfassung",
+  "command.status": "Zeige aktuell aktive On-Off Sessions",
+  "command.stats": "Zeige On-Off Statistiken für einen Benutzer",
+  "command.stats.user":
+    "Benutzer für den die Statistiken angezeigt werden sollen",
+  "command.history": "Zeige deine letzten Sessions mit Details",
+  "command.history.user":
+    "Benutzer dessen Verlauf angezeigt wird (nur Manager)",
+  "command.leaderboard": "Zeige das On-Off Leaderboard",
+  "command.leaderboard.sort": "Sortierung (Standard: Gesamtzeit)",
+  "command.settings": "Zeiterfassung Bot Einstellungen konfigurieren",
+  "command.settings.channel": "Speziellen Zeiterfassungs-Kanal festlegen",
+  "command.settings.channel.channel":
+    "Kanal für Zeiterfassung (leer lassen um alle Kanäle zu erlauben)",
+  "command.settings.live-channel": "Live-Tracking Anzeige-Kanal festlegen",
+  "command.settings.live-channel.channel":
+    "Kanal für Live-Tracking Anzeige (leer lassen um Live-Tracking zu deaktivieren)",
+  "command.settings.audit-channel": "Kanal für das Audit-Log festlegen",
+  "command.settings.audit-channel.channel":
+    "Kanal für das Audit-Log (leer lassen zum Deaktivieren)",
+  "command.settings.on-duty-role": "Rolle für Mitglieder im Dienst festlegen",
+  "command.settings.on-duty-role.role":
+    "Rolle während einer aktiven Session (leer = deaktivieren)",
+  "command.settings.roles":
+    "Rollen für Zeiterfassung, Statistiken und Manager festlegen",
+  "command.settings.roles.action": "Aktion",
+  "command.settings.roles.scope": "Berechtigung die konfiguriert wird",
+  "command.settings.roles.role": "Rolle die hinzugefügt oder entfernt wird",
+  "command.settings.api-key": "API-Keys für die REST-API verwalten",
+  "command.settings.api-key.action": "Aktion",
+  "command.settings.api-key.name": "Name des neuen Keys, z.B. Webseite",
+  "command.settings.api-key.id": "ID des Keys der widerrufen wird (siehe list)",
+  "command.settings.voice":
+    "Sprachkanäle für automatische Zeiterfassung festlegen",
+  "command.settings.voice.action": "Aktion",
+  "command.settings.voice.channel":
+    "Sprachkanal (bei afk: leer = AFK-Kanal des Servers)",
+  "command.settings.output": "Darstellung der Bot-Nachrichten festlegen",
+  "command.settings.output.style": "Embeds (Standard) oder einfacher Text",
+  "command.settings.live-board": "Layout der Online-Liste festlegen",
+  "command.settings.live-board.layout":
+    "Kompakte Liste (Standard) oder Dienst-Übersicht",
+  "command.settings.live-board.rank-1": "Höchster Rang der Dienst-Übersicht",
+  "command.settings.live-board.rank-2": "Zweiter Rang der Dienst-Übersicht",
+  "command.settings.live-board.rank-3": "Dritter Rang der Dienst-Übersicht",
+  "command.settings.live-board.rank-4": "Vierter Rang der Dienst-Übersicht",
+  "command.settings.live-board.rank-5": "Fünfter Rang der Dienst-Übersicht",
+  "command.settings.auto-stop": "Vergessene Sessions automatisch beenden",
+  "command.settings.auto-stop.max-session":
+    "Maximale aktive Session-Dauer in Minuten (0 = aus)",
+  "command.settings.auto-stop.max-pause":
+    "Maximale Pausendauer in Minuten (0 = aus)",
+  "command.settings.auto-stop.notify":
+    "Benachrichtigung bei automatischem Stopp",
+  "command.admin": "Administrative Korrekturen der Zeiterfassung",
+  "command.admin.session": "Sessions von Benutzern korrigieren",
+  "command.admin.session.list": "Letzte Sessions eines Benutzers anzeigen",
+  "command.admin.session.list.user":
+    "Benutzer dessen Sessions angezeigt werden",
+  "command.admin.session.edit": "Start- oder Endzeit einer Session ändern",
+  "command.admin.session.edit.session":
+    "Session-ID (siehe /admin session list)",
+  "command.admin.session.edit.event": "Welcher Zeitpunkt geändert werden soll",
+  "command.admin.session.edit.time":
+    "Neuer Zeitpunkt (YYYY-MM-DD HH:mm, Zeitzone des Servers)",
+  "command.admin.session.add": "Abgeschlossene Session manuell eintragen",
+  "command.admin.session.add.user":
+    "Benutzer für den die Session eingetragen wird",
+  "command.admin.session.add.start":
+    "Startzeitpunkt (YYYY-MM-DD HH:mm, Zeitzone des Servers)",
+  "command.admin.session.add.minutes": "Dauer der Session in Minuten",
+  "command.admin.session.delete": "Session löschen",
+  "command.admin.session.delete.session":
+    "Session-ID (siehe /admin session list)",
+  "command.admin.category": "Kategorien der Zeiterfassung verwalten",
+  "command.admin.category.list": "Alle Kategorien anzeigen",
+  "command.admin.category.add": "Neue Kategorie anlegen",
+  "command.admin.category.add.name": "Name der Kategorie",
+  "command.admin.category.remove":
+    "Kategorie löschen (Sessions bleiben erhalten)",
+  "command.admin.category.remove.name": "Name der Kategorie",
+  "command.admin.audit": "Audit-Log nach User und Zeitraum durchsuchen",
+  "command.admin.audit.user": "Nur Einträge von oder über diesen User",
+  "command.export": "Sessions als CSV- oder JSON-Datei exportieren",
+  "command.export.format": "Dateiformat des Exports",
+  "command.export.user": "Nur Sessions dieses Benutzers exportieren",
+  "command.quota": "Wochenziele verwalten und auswerten",
+  "command.quota.set": "Wochenziel für den Server oder eine Rolle setzen",
+  "command.quota.set.hours": "Benötigte Stunden pro Woche (0 = entfernen)",
+  "command.quota.set.role": "Nur für diese Rolle (sonst Standard für alle)",
+  "command.quota.show": "Konfigurierte Wochenziele anzeigen",
+  "command.quota.channel": "Kanal für den wöchentlichen Bericht setzen",
+  "command.quota.channel.channel":
+    "Kanal für den Bericht (leer = deaktivieren)",
+  "command.quota.report": "Mitglieder unter dem Wochenziel anzeigen",
+  "command.quota.report.week": "Auszuwertende Woche",
+  "command.report": "Automatische Berichte in einem Kanal einrichten",
+  "command.report.add": "Neuen wiederkehrenden Bericht einrichten",
+  "command.report.add.channel": "Kanal für den Bericht",
+  "command.report.add.frequency": "Wie oft der Bericht gepostet wird",
+  "command.report.add.hour": "Uhrzeit: Stunde (0-23)",
+  "command.report.add.minute": "Uhrzeit: Minute (Standard: 0)",
+  "command.report.add.timezone":
+    "Zeitzone, z.B. Europe/Berlin (Standard: Zeitzone des Servers)",
+  "command.report.list": "Eingerichtete Berichte anzeigen",
+  "command.report.remove": "Bericht entfernen",
+  "command.report.remove.id": "ID des Berichts (siehe /report list)",
+  "command.panel": "Dienst-Panel mit Buttons zum Starten und Beenden posten",
+  "command.panel.channel":
+    "Kanal für das Panel (Standard: Zeiterfassungs-Kanal)",
+  "command.settings.language": "Sprache der Bot-Nachrichten festlegen",
+  "command.settings.language.language":
+    "Sprache (Automatisch = Discord-Sprache des Users)",
+  "command.settings.time-zone":
+    "Zeitzone und Wochenbeginn für Zeiträume festlegen",
+  "command.settings.time-zone.timezone": "IANA-Zeitzone, z.B. Europe/Berlin",
+  "command.settings.time-zone.week-start": "Erster Tag der Woche",
+  "command.choice.language.auto": "Automatisch",
+  "command.choice.roles.action.show": "Anzeigen",
+  "command.choice.roles.action.add": "Rolle hinzufügen",
+  "command.choice.roles.action.remove": "Rolle entfernen",
+  "command.choice.roles.action.reset": "Zurücksetzen",
+  "command.choice.api-key.action.list": "Anzeigen",
+  "command.choice.api-key.action.create": "Erstellen",
+  "command.choice.api-key.action.revoke": "Widerrufen",
+  "command.choice.voice.action.show": "Anzeigen",
+  "command.choice.voice.action.add": "Kanal hinzufügen",
+  "command.choice.voice.action.remove": "Kanal entfernen",
+  "command.choice.voice.action.afk": "AFK-Kanal festlegen",
+  "command.choice.voice.action.reset": "Deaktivieren",
+  "command.choice.roles.scope.track": "Zeiterfassung nutzen",
+  "command.choice.roles.scope.view-stats": "Statistiken anderer ansehen",
+  "command.choice.roles.scope.manager": "Manager (Admin-Befehle)",
+  "command.choice.output.embed": "Embeds",
+  "command.choice.output.text": "Einfacher Text",
+  "command.choice.live-board.compact": "Kompakt",
+  "command.choice.live-board.board": "Dienst-Übersicht",
+  "command.choice.notify.NONE": "Keine",
+  "command.choice.notify.DM": "Direktnachricht",
+  "command.choice.notify.CHANNEL": "Ping im Zeiterfassungs-Kanal",
+  "command.choice.event.START": "Start",
+  "command.choice.event.STOP": "Ende",
+  "command.choice.week.current": "Diese Woche",
+  "command.choice.week.previous": "Letzte Woche",
+  "command.choice.frequency.DAILY": "Täglich (Vortag)",
+  "command.choice.frequency.WEEKLY": "Wöchentlich (Wochenbeginn, Vorwoche)",
+  "command.choice.frequency.MONTHLY": "Monatlich (1. Tag, Vormonat)",
+  "command.webhook": "Webhooks für Session-Events verwalten",
+  "command.webhook.add": "Webhook für Session-Events einrichten",
+  "command.webhook.add.url": "URL, an die die Events gesendet werden",
+  "command.webhook.add.events": "Events, z. B. START,STOP (Standard: alle)",
+  "command.webhook.list": "Eingerichtete Webhooks anzeigen",
+  "command.webhook.remove": "Webhook entfernen",
+  "command.webhook.remove.id": "ID des Webhooks (siehe /webhook list)",
+  "command.webhook.deliveries": "Letzte Zustellungen anzeigen",
+  "command.webhook.deliveries.status": "Nur Zustellungen mit diesem Status",
+  "command.webhook.replay": "Fehlgeschlagene Zustellungen erneut senden",
+  "command.webhook.replay.delivery":
+    "ID der Zustellung (Standard: alle fehlgeschlagenen)",
+  "command.choice.delivery.PENDING": "Ausstehend",
+  "command.choice.delivery.DELIVERED": "Zugestellt",
+  "command.choice.delivery.FAILED": "Fehlgeschlagen",
+};
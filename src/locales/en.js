@@ -0,0 +1,548 @@
+/**
+ * English message catalog
+ */
+export default {
+  // Periods
+  "period.choice.all": "All time",
+  "period.choice.day": "Today",
+  "period.choice.week": "This week",
+  "period.choice.month": "This month",
+  "period.choice.custom": "Custom (from/to)",
+  "period.today": "Today",
+  "period.thisWeek": "This week",
+  "period.thisMonth": "This month",
+  "period.error.fromRequired": "❌ A custom period requires `from`.",
+  "period.error.invalidDate":
+    "❌ Invalid date. Please use the format `YYYY-MM-DD`.",
+  "period.error.endBeforeStart":
+    "❌ The end date must be after the start date.",
+  "period.error.unknown": "❌ Unknown period.",
+  "weekday.0": "Sunday",
+  "weekday.1": "Monday",
+  "weekday.2": "Tuesday",
+  "weekday.3": "Wednesday",
+  "weekday.4": "Thursday",
+  "weekday.5": "Friday",
+  "weekday.6": "Saturday",
+
+  // Permissions
+  "roles.scope.track": "Time tracking",
+  "roles.scope.viewStats": "Other users' stats",
+  "roles.scope.manager": "Manager",
+  "permissions.denied.track": "❌ You are not allowed to track time.",
+  "permissions.denied.viewOthers":
+    "❌ You are not allowed to view other users' stats.",
+  "permissions.denied.manage":
+    "❌ You need a manager role to use this command.",
+  "permissions.denied.administrator":
+    "❌ You need the Administrator permission to use this command.",
+  "permissions.denied.channel":
+    "❌ Time tracking commands are only allowed in {channel}.",
+
+  // Leaderboard
+  "leaderboard.sort.total": "Total time",
+  "leaderboard.sort.sessions": "Sessions",
+  "leaderboard.sort.average": "Average",
+  "leaderboard.title": "Leaderboard",
+  "leaderboard.topTitle": "Leaderboard - Top players",
+  "leaderboard.empty": "No data yet.",
+  "leaderboard.categoryTotals": "Total by category",
+  "leaderboard.sortedBy": "by {sort}",
+  "leaderboard.ownRank":
+    "📍 Rank of {user}: **#{rank}** - {time} ({count} sessions)",
+  "leaderboard.notRanked": "📍 {user} is not ranked in this period yet.",
+  "leaderboard.page": "Page {page}/{pages}",
+  "leaderboard.button.me": "📍 My rank",
+  "leaderboard.sort.placeholder": "Sorting",
+  "leaderboard.sort.option": "Sorted by {sort}",
+
+  // Reports
+  "report.frequency.daily": "Daily",
+  "report.frequency.weekly": "Weekly (start of week)",
+  "report.frequency.monthly": "Monthly (1st day)",
+  "report.title.daily": "Daily report",
+  "report.title.weekly": "Weekly report",
+  "report.title.monthly": "Monthly report",
+  "report.summary.totalTime": "⏱️ **Total time:** {time}",
+  "report.summary.sessions": "📈 **Sessions:** {count}",
+  "report.summary.members": "👥 **Active members:** {count}",
+  "report.schedule":
+    "{id} – {frequency} at {time} ({timeZone}) in {channel}\nNext report: {next}",
+  "report.added": "✅ Report scheduled:",
+  "report.removed": "🗑️ Report removed.",
+  "report.list.title": "**Scheduled reports**",
+  "report.list.empty": "No reports scheduled yet. Use `/report add`.",
+  "report.error.timeZone":
+    "❌ Unknown time zone {timeZone}. Please use a name like `Europe/Berlin`.",
+  "report.error.limit":
+    "❌ There are already {count} reports scheduled. Please remove one first.",
+  "report.error.notFound":
+    "❌ Report not found. The ID is shown in `/report list`.",
+  "report.error.MISSING_PERMISSIONS":
+    "⚠️ The {title} could not be posted in {channel}, the bot lacks permissions there. It retries every 15 minutes until the next regular report.",
+  "report.error.FAILED":
+    "⚠️ The {title} could not be posted in {channel}. The bot retries every 15 minutes until the next regular report.",
+
+  // Quotas
+  "quota.report.title": "**Weekly goal report** ({range})",
+  "quota.report.allReached":
+    "✅ All {total} members reached their weekly goal.",
+  "quota.report.below":
+    "❌ **{count} of {total}** members below the weekly goal:",
+  "quota.report.more": "… and {count} more",
+  "quota.field": "🎯 Weekly goal",
+  "quota.text": "🎯 **Weekly goal:** {progress}",
+  "quota.role.set": "✅ Weekly goal for {role} set to **{time}**.",
+  "quota.role.removed": "✅ Weekly goal for {role} removed.",
+  "quota.default.set": "✅ Default weekly goal set to **{time}**.",
+  "quota.default.removed": "✅ Default weekly goal removed.",
+  "quota.show.title": "**Weekly goals**",
+  "quota.show.default": "🎯 **Default:** {time}",
+  "quota.show.none": "None",
+  "quota.show.channel": "📢 **Weekly report:** {channel}",
+  "quota.show.off": "Off",
+  "quota.show.rule":
+    "With several roles the highest role goal applies, otherwise the default weekly goal.",
+  "quota.channel.set":
+    "✅ The weekly report is posted at the start of each week in {channel}.",
+  "quota.channel.cleared": "✅ Weekly report disabled.",
+  "quota.error.notConfigured":
+    "❌ No weekly goals are configured. Use `/quota set`.",
+  "quota.error.reportFailed":
+    "❌ The report could not be created. Is the Server Members Intent enabled?",
+
+  // Auto stop
+  "autoStop.reason.sessionLimit": "maximum session length of {time} reached",
+  "autoStop.reason.pauseLimit": "maximum pause length of {time} exceeded",
+  "autoStop.notice":
+    "⏹️ {user} Your session was stopped automatically ({reason}).",
+  "autoStop.endedAt": "🕐 **Ended at:** {time}",
+  "autoStop.duration": "📊 **Session duration:** {duration}",
+
+  // Session events
+  "sessionEvents.invalid.noEvents": "The session has no events.",
+  "sessionEvents.invalid.mustStart": "The session must begin with a start.",
+  "sessionEvents.invalid.order": "The events must be in chronological order.",
+  "sessionEvents.invalid.afterStop": "No events are allowed after the stop.",
+  "sessionEvents.invalid.doubleStart": "Duplicate start in the session.",
+  "sessionEvents.invalid.pauseInactive":
+    "A pause is only possible in an active session.",
+  "sessionEvents.invalid.resumeNotPaused":
+    "Resuming is only possible after a pause.",
+
+  // General
+  "app.name": "Time tracking",
+  "category.general": "General",
+  "common.sessionsCount": "{count} sessions",
+  "error.command": "❌ An error occurred. Please try again.",
+  "error.component": "❌ An error occurred.",
+  "error.missingSubcommand": "❌ Subcommand missing.",
+  "error.unknownSubcommand": "❌ Unknown subcommand.",
+
+  // Sessions
+  "session.error.noActive": "❌ You don't have an active session!",
+  "session.error.noPaused": "❌ You don't have a paused session!",
+  "session.error.noData": "No session data found.",
+  "session.error.startNotFound": "Session start not found.",
+  "session.error.startFailed":
+    "❌ The session could not be started, please try again.",
+  "session.field.duration": "Session duration",
+  "session.field.totalTime": "Total time",
+  "session.field.totalSessions": "Total sessions",
+  "session.field.status": "Status",
+  "session.field.currentDuration": "Duration",
+  "session.field.category": "Category",
+  "session.field.history": "Session history",
+  "session.stopped.title": "✅ Session stopped",
+  "session.status.activeSince": "🟢 Active since {time}",
+  "session.status.paused": "⏸️ Paused",
+  "session.event.START": "Started",
+  "session.event.PAUSE": "Paused",
+  "session.event.RESUME": "Resumed",
+  "session.event.STOP": "Stopped",
+  "session.text.title": "**Time tracking for {user}**",
+  "session.text.category": "🏷️ **Category:** {category}",
+  "session.text.stopped": "✅ **Session stopped**",
+  "session.text.duration": "📊 **Session duration:** {duration}",
+  "session.text.finalDuration": "📊 **Total time:** {time}",
+  "session.text.totalTime": "🏆 **Total time:** {time}",
+  "session.text.totalSessions": "📈 **Total sessions:** {count}",
+  "session.text.activeSince": "🟢 **Active** since {time}",
+  "session.text.paused": "⏸️ **Paused** - {duration}",
+  "session.text.history": "**Session history:**",
+  "session.button.pause": "Pause",
+  "session.button.resume": "Resume",
+  "session.button.stop": "Stop",
+
+  // Online list
+  "onlineList.title": "Online list",
+  "onlineList.empty": "Nobody is online right now.",
+  "onlineList.since": "since {time}",
+  "onlineList.paused": "(paused)",
+  "onlineList.more": "… and {count} more",
+  "onlineList.count": "{count} users online",
+  "onlineList.today": "⏱️ Today in total: **{time}**",
+  "onlineList.group.ACTIVE": "Active",
+  "onlineList.group.PAUSED": "Paused",
+  "onlineList.noRank": "No rank",
+  "onlineList.updated": "Last updated",
+
+  // Stats
+  "stats.title": "Statistics",
+  "stats.field.totalTime": "📊 Total time",
+  "stats.field.sessions": "🎮 Sessions",
+  "stats.field.average": "📈 Average",
+  "stats.field.lastSeen": "👀 Last seen",
+  "stats.field.byCategory": "By category",
+  "stats.text.title": "**Statistics for {user}**",
+  "stats.text.totalTime": "📊 **Total time:** {time}",
+  "stats.text.sessions": "🎮 **Sessions:** {count}",
+  "stats.text.average": "📈 **Average:** {time}",
+  "stats.text.lastSeen": "👀 **Last seen:** {time}",
+
+  // History
+  "history.title": "Session history",
+  "history.text.title": "**Session history of {user}**",
+  "history.entry": "{status} {date} {start} – {end} • ⏱️ {active} • ⏸️ {pause}",
+  "history.running": "running",
+  "history.empty": "No sessions recorded yet.",
+  "history.page": "Page {page}/{pages}",
+  "history.select.placeholder": "Select a session for details",
+  "history.select.option": "{number}. {start} – {active}",
+  "history.button.back": "◀ Back to history",
+  "history.notFound": "❌ This session no longer exists.",
+
+  // Admin
+  "admin.sessions.title": "**Sessions of {user}**",
+  "admin.sessions.recent": "(last {count})",
+  "admin.sessions.empty": "No sessions found.",
+  "admin.sessions.running": "running",
+  "admin.error.invalidCorrection": "❌ Invalid correction: {reason}",
+  "admin.error.future": "❌ Times in the future are not allowed.",
+  "admin.error.overlap": "❌ The session overlaps with session {session}.",
+  "admin.error.notFound": "❌ Session not found.",
+  "admin.error.notStopped": "❌ The session has not been stopped yet.",
+  "admin.error.startNotFound": "❌ Session start not found.",
+  "admin.edit.start": "✅ Start of session {session} by {user} set to {time}.",
+  "admin.edit.end": "✅ End of session {session} by {user} set to {time}.",
+  "admin.add.done":
+    "✅ Session {session} added for {user}: {start} – {end} ({duration})",
+  "admin.delete.done": "🗑️ Session {session} by {user} deleted ({duration}).",
+  "admin.error.invalidTime":
+    "❌ Invalid time. Please use the format `YYYY-MM-DD HH:mm` (server time zone).",
+  "admin.error.invalidStart":
+    "❌ Invalid start time. Please use the format `YYYY-MM-DD HH:mm` (server time zone).",
+
+  // Categories
+  "category.list.title": "**Categories**",
+  "category.list.empty":
+    "No categories yet. Sessions without a category count as **{general}**.",
+  "category.added": "✅ Category **{name}** created.",
+  "category.removed":
+    "🗑️ Category **{name}** deleted. Its sessions now count as **{general}**.",
+  "category.error.missingName": "❌ Please enter a name.",
+  "category.error.exists": "❌ The category **{name}** already exists.",
+  "category.error.notFound": "❌ The category **{name}** does not exist.",
+
+  // Settings
+  "settings.channel.set": "✅ Time tracking restricted to {channel}.",
+  "settings.channel.cleared": "✅ Time tracking allowed in all channels.",
+  "settings.liveChannel.set": "✅ Online list enabled in {channel}.",
+  "settings.liveChannel.cleared": "✅ Online list disabled.",
+  "settings.auditChannel.set": "✅ The audit log is posted in {channel}.",
+  "settings.auditChannel.cleared":
+    "✅ Audit log channel disabled. Entries are still stored and can be searched with `/admin audit`.",
+  "settings.dutyRole.set":
+    "✅ Members with an active session get the role {role}. The bot needs the Manage Roles permission and a role above {role}.",
+  "settings.dutyRole.cleared": "✅ On-duty role disabled.",
+  "settings.output.text": "✅ Messages are sent as plain text.",
+  "settings.output.embed": "✅ Messages are sent as embeds.",
+  "settings.liveBoard.compact":
+    "✅ The online list is shown in the compact layout.",
+  "settings.liveBoard.board": "✅ The online list is shown as duty board.",
+  "settings.liveBoard.ranks": "Ranks: {ranks}",
+  "settings.language.set": "✅ The bot now replies in English on this server.",
+  "settings.language.auto":
+    "✅ The bot replies in each user's Discord language.",
+  "settings.timeZone.set":
+    "✅ Periods are calculated in the time zone **{timeZone}**, weeks start on **{weekStart}**.",
+  "settings.timeZone.show":
+    "🌐 Time zone: **{timeZone}** – Start of week: **{weekStart}**",
+  "settings.autoStop.title": "✅ **Automatic stop**",
+  "settings.autoStop.maxSession": "⏱️ Max. session length: {limit}",
+  "settings.autoStop.maxPause": "⏸️ Max. pause length: {limit}",
+  "settings.autoStop.notify": "🔔 Notification: {notify}",
+  "settings.autoStop.disabled": "disabled",
+  "settings.autoStop.notify.NONE": "none",
+  "settings.autoStop.notify.DM": "Direct message",
+  "settings.autoStop.notify.CHANNEL": "Ping in the tracking channel",
+  "settings.roles.title": "🔐 **Permissions**",
+  "settings.roles.adminsOnly": "administrators only",
+  "settings.roles.everyone": "everyone",
+  "settings.roles.missingScope": "❌ Please choose a `scope`.",
+  "settings.roles.missingRole": "❌ Please specify a role.",
+  "settings.voice.title": "🎙️ **Voice tracking**",
+  "settings.voice.channels": "• **Tracked voice channels:** {channels}",
+  "settings.voice.afk": "• **AFK channel (pauses):** {channel}",
+  "settings.voice.disabled": "none – voice tracking is off",
+  "settings.voice.serverAfk": "the server's AFK channel",
+  "settings.voice.hint":
+    "Joining starts tracking, the AFK channel pauses it and leaving stops it.",
+  "settings.voice.gatewayDisabled":
+    "⚠️ The Gateway connection is not enabled for this bot (`ENABLE_GATEWAY`), voice channels are not tracked yet.",
+  "settings.voice.missingChannel": "❌ Please specify a voice channel.",
+  "settings.apiKey.title": "🔑 **API keys**",
+  "settings.apiKey.empty": "No API keys yet. Use `/settings api-key create`.",
+  "settings.apiKey.entry":
+    "{id} – **{name}** ({prefix})\nCreated {created} by {user} • Last used: {lastUsed}",
+  "settings.apiKey.neverUsed": "never",
+  "settings.apiKey.created":
+    "✅ API key **{name}** created (ID {id}):\n{key}\n\n⚠️ The key is only shown now and is not stored in plain text. Keep it safe and only use it server-side.",
+  "settings.apiKey.revoked":
+    "🗑️ API key revoked. Requests with this key are rejected from now on.",
+  "settings.apiKey.notFound":
+    "❌ API key not found. The ID is shown in `/settings api-key list`.",
+  "settings.apiKey.missingName":
+    "❌ Please specify a name for the API key (`name`).",
+  "settings.apiKey.missingId":
+    "❌ Please specify the ID of the API key (`id`).",
+  "settings.apiKey.limit": "❌ A server can have at most {count} API keys.",
+
+  // Export
+  "export.done": "{count} sessions exported.",
+  "export.part": "Part {part}",
+  "export.truncated":
+    "⚠️ The export was too large and was cut off after {files} files, further sessions are missing. Choose a shorter period or a single user for a complete export.",
+  "export.error.failed": "❌ The export failed. Please try again.",
+
+  // Webhooks
+  "webhook.added":
+    "✅ Webhook created (ID {id}) for {events}:\n{url}\n\n🔐 Signing secret: {secret}\n\n⚠️ The secret is only shown now. Use it to verify the signature in the `X-Timetracker-Signature` header.",
+  "webhook.removed": "🗑️ Webhook removed. No more events will be sent to it.",
+  "webhook.list.title": "🪝 **Webhooks**",
+  "webhook.list.empty": "No webhooks set up yet. Use `/webhook add`.",
+  "webhook.entry":
+    "{id} – {url}\nEvents: {events} • Created {created} by {user}",
+  "webhook.deliveries.title": "📬 **Webhook deliveries**",
+  "webhook.deliveries.empty": "No deliveries found.",
+  "webhook.delivery":
+    "{icon} {id} – **{event}** to {host} {time}\nAttempts: {attempts}/{max} • {result}",
+  "webhook.delivery.pending": "Not attempted yet",
+  "webhook.delivery.next": "next attempt {time}",
+  "webhook.replayed":
+    "🔁 {count} failed deliveries will be sent again shortly.",
+  "webhook.error.url":
+    "❌ Invalid URL. Only `http://` and `https://` addresses are allowed.",
+  "webhook.error.events": "❌ Unknown event {event}. Allowed are: {events}.",
+  "webhook.error.limit": "❌ A server can have at most {count} webhooks.",
+  "webhook.error.notFound":
+    "❌ Webhook not found. The ID is shown in `/webhook list`.",
+  "webhook.error.noFailed": "❌ No failed delivery found.",
+
+  // Audit log
+  "audit.action.SESSION_START": "▶️ Session started",
+  "audit.action.SESSION_PAUSE": "⏸️ Session paused",
+  "audit.action.SESSION_RESUME": "▶️ Session resumed",
+  "audit.action.SESSION_STOP": "⏹️ Session stopped",
+  "audit.action.SESSION_AUTO_STOP": "⏹️ Session stopped automatically",
+  "audit.action.SESSION_EDIT": "✏️ Session corrected",
+  "audit.action.SESSION_ADD": "➕ Session added",
+  "audit.action.SESSION_DELETE": "🗑️ Session deleted",
+  "audit.action.SETTINGS_UPDATE": "⚙️ Settings changed",
+  "audit.action.CATEGORY_ADD": "🏷️ Category added",
+  "audit.action.CATEGORY_REMOVE": "🏷️ Category removed",
+  "audit.action.QUOTA_UPDATE": "🎯 Role quota changed",
+  "audit.action.REPORT_ADD": "📅 Report added",
+  "audit.action.REPORT_REMOVE": "📅 Report removed",
+  "audit.action.API_KEY_CREATE": "🔑 API key created",
+  "audit.action.API_KEY_REVOKE": "🔑 API key revoked",
+  "audit.action.WEBHOOK_ADD": "🪝 Webhook added",
+  "audit.action.WEBHOOK_REMOVE": "🪝 Webhook removed",
+  "audit.actor": "By {user}",
+  "audit.system": "System",
+  "audit.target": "Affects {user}",
+  "audit.session": "Session {session}",
+  "audit.search.title": "📜 **Audit log**",
+  "audit.search.empty": "No entries found.",
+  "audit.search.more":
+    "… showing {shown} of {total} entries. Narrow the search with `user`, `period` or `from`/`to`.",
+  "dutyRole.error.MISSING_PERMISSIONS":
+    "⚠️ The on-duty role {role} could not be assigned: the bot lacks the Manage Roles permission or its highest role is not above {role}.",
+  "dutyRole.error.UNKNOWN_ROLE":
+    "⚠️ The on-duty role no longer exists. Please set a new one with `/settings on-duty-role`.",
+  "dutyRole.error.MEMBER_LIST":
+    "⚠️ The on-duty role {role} cannot be reconciled because the member list cannot be loaded. Please enable the bot's Server Members Intent.",
+
+  // Panel
+  "panel.title": "🛡️ Duty panel",
+  "panel.description":
+    "Start, pause or stop your time tracking here. Only you can see the reply.",
+  "panel.category": "Category: **{category}**",
+  "panel.button.start": "Start duty",
+  "panel.button.toggle": "Pause / Resume",
+  "panel.posted": "✅ Duty panel posted in {channel}.",
+  "panel.error.post":
+    "❌ The panel could not be posted in {channel}. Can the bot send messages there?",
+  "panel.error.category":
+    "❌ The category of this panel no longer exists. Please post the panel again.",
+
+  // Commands
+  "command.option.period": "Period to evaluate (default: all time)",
+  "command.option.from": "Start date of a custom period (YYYY-MM-DD)",
+  "command.option.to": "End date of a custom period (YYYY-MM-DD)",
+  "command.option.category":
+    "Category of the time tracking (e.g. duty, training)",
+  "command.play": "Start on-off time tracking",
+  "command.stop": "Stop on-off time tracking",
+  "command.status": "Show currently active on-off sessions",
+  "command.stats": "Show on-off statistics of a user",
+  "command.stats.user": "User whose statistics are shown",
+  "command.history": "Show your recent sessions with details",
+  "command.history.user": "User whose history is shown (managers only)",
+  "command.leaderboard": "Show the on-off leaderboard",
+  "command.leaderboard.sort": "Sorting (default: total time)",
+  "command.settings": "Configure the time tracking bot",
+  "command.settings.channel": "Set a dedicated time tracking channel",
+  "command.settings.channel.channel":
+    "Channel for time tracking (leave empty to allow all channels)",
+  "command.settings.live-channel": "Set the live tracking display channel",
+  "command.settings.live-channel.channel":
+    "Channel for the live tracking display (leave empty to disable it)",
+  "command.settings.audit-channel": "Set the channel for the audit log",
+  "command.settings.audit-channel.channel":
+    "Channel for the audit log (leave empty to disable)",
+  "command.settings.on-duty-role": "Set a role for members on duty",
+  "command.settings.on-duty-role.role":
+    "Role during an active session (empty = disable)",
+  "command.settings.roles":
+    "Set roles for time tracking, statistics and managers",
+  "command.settings.roles.action": "Action",
+  "command.settings.roles.scope": "Permission to configure",
+  "command.settings.roles.role": "Role to add or remove",
+  "command.settings.api-key": "Manage API keys for the REST API",
+  "command.settings.api-key.action": "Action",
+  "command.settings.api-key.name": "Name of the new key, e.g. website",
+  "command.settings.api-key.id": "ID of the key to revoke (see list)",
+  "command.settings.voice": "Set voice channels for automatic time tracking",
+  "command.settings.voice.action": "Action",
+  "command.settings.voice.channel":
+    "Voice channel (for afk: empty = server AFK channel)",
+  "command.settings.output": "Set how bot messages are displayed",
+  "command.settings.output.style": "Embeds (default) or plain text",
+  "command.settings.live-board": "Set the layout of the online list",
+  "command.settings.live-board.layout": "Compact list (default) or duty board",
+  "command.settings.live-board.rank-1": "Highest rank of the duty board",
+  "command.settings.live-board.rank-2": "Second rank of the duty board",
+  "command.settings.live-board.rank-3": "Third rank of the duty board",
+  "command.settings.live-board.rank-4": "Fourth rank of the duty board",
+  "command.settings.live-board.rank-5": "Fifth rank of the duty board",
+  "command.settings.auto-stop": "Stop forgotten sessions automatically",
+  "command.settings.auto-stop.max-session":
+    "Maximum active session length in minutes (0 = off)",
+  "command.settings.auto-stop.max-pause":
+    "Maximum pause length in minutes (0 = off)",
+  "command.settings.auto-stop.notify": "Notification on automatic stop",
+  "command.admin": "Administrative corrections of the time tracking",
+  "command.admin.session": "Correct sessions of users",
+  "command.admin.session.list": "Show recent sessions of a user",
+  "command.admin.session.list.user": "User whose sessions are shown",
+  "command.admin.session.edit": "Change the start or end time of a session",
+  "command.admin.session.edit.session": "Session ID (see /admin session list)",
+  "command.admin.session.edit.event": "Which time to change",
+  "command.admin.session.edit.time":
+    "New time (YYYY-MM-DD HH:mm, server time zone)",
+  "command.admin.session.add": "Add a completed session manually",
+  "command.admin.session.add.user": "User to add the session for",
+  "command.admin.session.add.start":
+    "Start time (YYYY-MM-DD HH:mm, server time zone)",
+  "command.admin.session.add.minutes": "Session length in minutes",
+  "command.admin.session.delete": "Delete a session",
+  "command.admin.session.delete.session":
+    "Session ID (see /admin session list)",
+  "command.admin.category": "Manage time tracking categories",
+  "command.admin.category.list": "Show all categories",
+  "command.admin.category.add": "Create a new category",
+  "command.admin.category.add.name": "Name of the category",
+  "command.admin.category.remove": "Delete a category (sessions are kept)",
+  "command.admin.category.remove.name": "Name of the category",
+  "command.admin.audit": "Search the audit log by user and period",
+  "command.admin.audit.user": "Only entries by or about this user",
+  "command.export": "Export sessions as a CSV or JSON file",
+  "command.export.format": "File format of the export",
+  "command.export.user": "Only export sessions of this user",
+  "command.quota": "Manage and evaluate weekly goals",
+  "command.quota.set": "Set the weekly goal for the server or a role",
+  "command.quota.set.hours": "Required hours per week (0 = remove)",
+  "command.quota.set.role":
+    "Only for this role (otherwise default for everyone)",
+  "command.quota.show": "Show the configured weekly goals",
+  "command.quota.channel": "Set the channel for the weekly report",
+  "command.quota.channel.channel": "Channel for the report (empty = disable)",
+  "command.quota.report": "Show members below their weekly goal",
+  "command.quota.report.week": "Week to evaluate",
+  "command.report": "Set up scheduled reports in a channel",
+  "command.report.add": "Set up a new recurring report",
+  "command.report.add.channel": "Channel for the report",
+  "command.report.add.frequency": "How often the report is posted",
+  "command.report.add.hour": "Time: hour (0-23)",
+  "command.report.add.minute": "Time: minute (default: 0)",
+  "command.report.add.timezone":
+    "Time zone, e.g. Europe/Berlin (default: server time zone)",
+  "command.report.list": "Show scheduled reports",
+  "command.report.remove": "Remove a report",
+  "command.report.remove.id": "ID of the report (see /report list)",
+  "command.panel": "Post a duty panel with buttons to start and stop",
+  "command.panel.channel": "Channel for the panel (default: tracking channel)",
+  "command.settings.language": "Set the language of bot messages",
+  "command.settings.language.language":
+    "Language (automatic = the user's Discord language)",
+  "command.settings.time-zone":
+    "Set the time zone and start of week for periods",
+  "command.settings.time-zone.timezone": "IANA time zone, e.g. Europe/Berlin",
+  "command.settings.time-zone.week-start": "First day of the week",
+  "command.choice.language.auto": "Automatic",
+  "command.choice.roles.action.show": "Show",
+  "command.choice.roles.action.add": "Add role",
+  "command.choice.roles.action.remove": "Remove role",
+  "command.choice.roles.action.reset": "Reset",
+  "command.choice.api-key.action.list": "Show",
+  "command.choice.api-key.action.create": "Create",
+  "command.choice.api-key.action.revoke": "Revoke",
+  "command.choice.voice.action.show": "Show",
+  "command.choice.voice.action.add": "Add channel",
+  "command.choice.voice.action.remove": "Remove channel",
+  "command.choice.voice.action.afk": "Set AFK channel",
+  "command.choice.voice.action.reset": "Disable",
+  "command.choice.roles.scope.track": "Use time tracking",
+  "command.choice.roles.scope.view-stats": "View other users' stats",
+  "command.choice.roles.scope.manager": "Manager (admin commands)",
+  "command.choice.output.embed": "Embeds",
+  "command.choice.output.text": "Plain text",
+  "command.choice.live-board.compact": "Compact",
+  "command.choice.live-board.board": "Duty board",
+  "command.choice.notify.NONE": "None",
+  "command.choice.notify.DM": "Direct message",
+  "command.choice.notify.CHANNEL": "Ping in the tracking channel",
+  "command.choice.event.START": "Start",
+  "command.choice.event.STOP": "End",
+  "command.choice.week.current": "This week",
+  "command.choice.week.previous": "Last week",
+  "command.choice.frequency.DAILY": "Daily (previous day)",
+  "command.choice.frequency.WEEKLY": "Weekly (start of week, previous week)",
+  "command.choice.frequency.MONTHLY": "Monthly (1st day, previous month)",
+  "command.webhook": "Manage webhooks for session events",
+  "command.webhook.add": "Set up a webhook for session events",
+  "command.webhook.add.url": "URL the events are sent to",
+  "command.webhook.add.events": "Events, e.g. START,STOP (default: all)",
+  "command.webhook.list": "Show the configured webhooks",
+  "command.webhook.remove": "Remove a webhook",
+  "command.webhook.remove.id": "ID of the webhook (see /webhook list)",
+  "command.webhook.deliveries": "Show the latest deliveries",
+  "command.webhook.deliveries.status": "Only deliveries with this status",
+  "command.webhook.replay": "Send failed deliveries again",
+  "command.webhook.replay.delivery":
+    "ID of the delivery (default: all failed ones)",
+  "command.choice.delivery.PENDING": "Pending",
+  "command.choice.delivery.DELIVERED": "Delivered",
+  "command.choice.delivery.FAILED": "Failed",
+};
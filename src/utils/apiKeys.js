@@ -0,0 +1,37 @@
+import { createHash, randomBytes } from "node:crypto";
+
+/**
+ * API key helpers
+ *
+ * Keys are random tokens that are shown once when they are created. Only a
+ * SHA-256 hash is stored, plus a short prefix to tell keys apart.
+ */
+
+const KEY_PREFIX = "btt_";
+const PREFIX_LENGTH = KEY_PREFIX.length + 6;
+
+// Keep the number of keys per guild reasonable
+export const MAX_API_KEYS = 10;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export function hashApiKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Generate a new API key
+ * @returns {{key: string, keyHash: string, prefix: string}} Plain key, hash and display prefix
+ */
+export function generateApiKey() {
+  const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+
+  return {
+    key,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, PREFIX_LENGTH),
+  };
+}
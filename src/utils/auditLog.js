@@ -0,0 +1,231 @@
+import { sendChannelMessage } from "./discordApi.js";
+import { resolveLanguage, runWithLanguage, t } from "./i18n.js";
+
+/**
+ * Audit log of tracking and admin actions
+ *
+ * Each entry records who did what and when, with the values before and
+ * after the change. Entries are stored in the database and, if the guild
+ * has an audit channel, also posted there in the guild's language.
+ */
+
+/**
+ * Recorded actions, each has a label `audit.action.<ACTION>`
+ */
+export const AUDIT_ACTIONS = [
+  "SESSION_START",
+  "SESSION_PAUSE",
+  "SESSION_RESUME",
+  "SESSION_STOP",
+  "SESSION_AUTO_STOP",
+  "SESSION_EDIT",
+  "SESSION_ADD",
+  "SESSION_DELETE",
+  "SETTINGS_UPDATE",
+  "CATEGORY_ADD",
+  "CATEGORY_REMOVE",
+  "QUOTA_UPDATE",
+  "REPORT_ADD",
+  "REPORT_REMOVE",
+  "API_KEY_CREATE",
+  "API_KEY_REVOKE",
+  "WEBHOOK_ADD",
+  "WEBHOOK_REMOVE",
+];
+
+// Settings that change as a side effect and are not worth logging
+const IGNORED_SETTINGS = [
+  "liveMessageId",
+  "quotaReportedWeek",
+  "onDutyRoleError",
+];
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Keep some room below Discord's 2000 character limit
+const MAX_MESSAGE_LENGTH = 1900;
+
+/**
+ * Format a logged value for Discord
+ */
+function formatValue(field, value) {
+  if (value === null || value === undefined) return "–";
+  if (Array.isArray(value)) {
+    return value.length > 0
+      ? value.map((item) => formatValue(field, item)).join(", ")
+      : "–";
+  }
+  if (/channelIds?$/i.test(field)) return `<#${value}>`;
+  if (/roleIds?$/i.test(field)) return `<@&${value}>`;
+  if (typeof value === "string" && ISO_TIMESTAMP.test(value)) {
+    return `<t:${Math.floor(Date.parse(value) / 1000)}:f>`;
+  }
+  return String(value);
+}
+
+/**
+ * Treat missing values and empty lists alike when comparing settings
+ */
+function normalizeSetting(value) {
+  if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Format an audit log entry as a message
+ * @param {Object} entry - Audit log entry
+ * @returns {string} Message content
+ */
+export function formatAuditEntry(entry) {
+  const lines = [
+    `**${t(`audit.action.${entry.action}`)}** • <t:${Math.floor(
+      entry.createdAt.getTime() / 1000
+    )}:f>`,
+  ];
+
+  const details = [
+    t("audit.actor", {
+      user: entry.actorId ? `<@${entry.actorId}>` : t("audit.system"),
+    }),
+  ];
+  if (entry.targetUserId && entry.targetUserId !== entry.actorId) {
+    details.push(t("audit.target", { user: `<@${entry.targetUserId}>` }));
+  }
+  if (entry.sessionId) {
+    details.push(t("audit.session", { session: `\`${entry.sessionId}\`` }));
+  }
+  lines.push(details.join(" • "));
+
+  const before = entry.before || {};
+  const after = entry.after || {};
+  for (const field of new Set([
+    ...Object.keys(before),
+    ...Object.keys(after),
+  ])) {
+    if (!(field in after)) {
+      lines.push(`• \`${field}\`: ~~${formatValue(field, before[field])}~~`);
+    } else if (!(field in before)) {
+      lines.push(`• \`${field}\`: ${formatValue(field, after[field])}`);
+    } else {
+      lines.push(
+        `• \`${field}\`: ${formatValue(field, before[field])} → ${formatValue(
+          field,
+          after[field]
+        )}`
+      );
+    }
+  }
+
+  const content = lines.join("\n");
+  return content.length > MAX_MESSAGE_LENGTH
+    ? `${content.slice(0, MAX_MESSAGE_LENGTH)}…`
+    : content;
+}
+
+/**
+ * Records actions in the audit log
+ */
+export class AuditLogger {
+  /**
+   * @param {import("../database/prisma.js").default} database - Database service
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Record an action
+   *
+   * Never throws: a failing audit log must not fail the action itself.
+   * Posting to the audit channel runs in the background.
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} entry - Logged action
+   * @param {string} entry.action - One of AUDIT_ACTIONS
+   * @param {string|null} entry.actorId - User who acted, null for the bot
+   * @param {string|null} entry.targetUserId - User whose data changed
+   * @param {string|null} entry.sessionId - Affected session
+   * @param {Object|null} entry.before - Values before the change
+   * @param {Object|null} entry.after - Values after the change
+   */
+  async record(
+    guildId,
+    {
+      action,
+      actorId = null,
+      targetUserId = null,
+      sessionId = null,
+      before = null,
+      after = null,
+    }
+  ) {
+    try {
+      const entry = await this.database.createAuditLogEntry({
+        guildId,
+        action,
+        actorId,
+        targetUserId,
+        sessionId,
+        before: before ?? undefined,
+        after: after ?? undefined,
+      });
+
+      this.post(entry).catch((error) => {
+        console.error(`Error posting audit log entry ${entry.id}:`, error);
+      });
+    } catch (error) {
+      console.error(`Error writing audit log (${action}, ${guildId}):`, error);
+    }
+  }
+
+  /**
+   * Record the changed fields of a settings update
+   * @param {string} guildId - Discord guild ID
+   * @param {string} actorId - User who changed the settings
+   * @param {Object|null} previous - Settings before the update
+   * @param {Object} settings - Settings after the update
+   * @param {string[]} fields - Updated fields
+   */
+  async recordSettingsChange(guildId, actorId, previous, settings, fields) {
+    const before = {};
+    const after = {};
+
+    for (const field of fields) {
+      if (IGNORED_SETTINGS.includes(field)) continue;
+
+      const oldValue = normalizeSetting(previous?.[field]);
+      const newValue = normalizeSetting(settings[field]);
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+      before[field] = oldValue;
+      after[field] = newValue;
+    }
+
+    if (Object.keys(after).length === 0) return;
+
+    await this.record(guildId, {
+      action: "SETTINGS_UPDATE",
+      actorId,
+      before,
+      after,
+    });
+  }
+
+  /**
+   * Post an entry to the audit channel of its guild, if there is one
+   * @param {Object} entry - Audit log entry
+   */
+  async post(entry) {
+    const settings = await this.database.getGuildSettings(entry.guildId);
+    if (!settings?.auditChannelId) return;
+
+    const content = runWithLanguage(resolveLanguage(settings), () =>
+      formatAuditEntry(entry)
+    );
+    await sendChannelMessage(settings.auditChannelId, {
+      content,
+      allowed_mentions: { parse: [] },
+    });
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Periodic background task running inside the app process
+ *
+ * Runs never overlap: if a run takes longer than the interval, the next
+ * tick is skipped. Errors are logged and do not stop the task.
+ */
+export class BackgroundTask {
+  /**
+   * @param {string} name - Task name for logging
+   * @param {number} intervalMs - Interval between runs
+   * @param {Function} run - Async function executed on every tick
+   */
+  constructor(name, intervalMs, run) {
+    this.name = name;
+    this.intervalMs = intervalMs;
+    this.run = run;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the task (first run happens after one interval)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Do not keep the process alive just for this task
+    this.timer.unref();
+    console.log(
+      `⏲️ Background task "${this.name}" started (every ${Math.round(
+        this.intervalMs / 1000
+      )}s)`
+    );
+  }
+
+  /**
+   * Execute one run unless the previous one is still in progress
+   */
+  async tick() {
+    if (this.running) return;
+
+    this.running = true;
+    try {
+      await this.run();
+    } catch (error) {
+      console.error(`Error in background task "${this.name}":`, error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Stop the task
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import {
+  InteractionResponseFlags,
+  InteractionResponseType,
+} from "discord-interactions";
+import { editOriginalMessage, sendFollowupMessage } from "./discordApi.js";
+
+/**
+ * Interaction responses within Discord's response deadline
+ *
+ * Discord shows "The application did not respond" if an interaction is not
+ * answered within 3 seconds. A DeferredResponse stands in for the Express
+ * response while a handler works: if the handler has not answered when the
+ * budget runs out, it sends a deferred response ("... is thinking") and
+ * delivers the handler's answer later through the interaction webhook.
+ * Handlers keep calling `send` with a regular interaction response.
+ */
+
+// Leaves a margin for the network below Discord's 3 second deadline
+export const RESPONSE_BUDGET_MS = 2000;
+
+const DEFERRED_TYPES = [
+  InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+  InteractionResponseType.DEFERRED_UPDATE_MESSAGE,
+];
+
+export class DeferredResponse {
+  /**
+   * @param {import("express").Response} res - Response of the interaction request
+   * @param {Object} options
+   * @param {string} options.token - Interaction token
+   * @param {"message"|"update"} options.defer - Defer a new message or an update of the message with the component
+   * @param {boolean} [options.ephemeral] - Whether a deferred new message is ephemeral
+   * @param {number} [options.budgetMs] - Time until the response is deferred
+   */
+  constructor(
+    res,
+    { token, defer, ephemeral = true, budgetMs = RESPONSE_BUDGET_MS }
+  ) {
+    this.res = res;
+    this.token = token;
+    this.defer = defer;
+    this.ephemeral = ephemeral;
+    this.deferred = false;
+    this.timer = setTimeout(() => this.deferNow(budgetMs), budgetMs);
+  }
+
+  /**
+   * Send the deferred response, the answer follows via the webhook
+   */
+  deferNow(budgetMs) {
+    this.timer = null;
+    // Answered directly, e.g. with an HTTP error
+    if (this.res.headersSent) return;
+
+    console.warn(`⏳ Interaction not answered within ${budgetMs}ms, deferring`);
+    this.deferred = true;
+    this.res.send(
+      this.defer === "update"
+        ? { type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE }
+        : {
+            type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+            data: this.ephemeral
+              ? { flags: InteractionResponseFlags.EPHEMERAL }
+              : {},
+          }
+    );
+  }
+
+  /**
+   * Answer the interaction, directly or through the webhook once deferred
+   *
+   * Never throws once deferred: a failed webhook request (expired token,
+   * deleted message) is logged, the interaction cannot be answered anymore.
+   * @param {Object} response - Interaction response ({type, data})
+   */
+  async send(response) {
+    this.cancel();
+
+    if (!this.deferred) {
+      // Answered already, e.g. a handler that failed after its response
+      if (this.res.headersSent) {
+        console.warn("⚠️ Interaction was already answered, dropping response");
+        return;
+      }
+      // Handlers that defer on their own complete the answer themselves
+      if (DEFERRED_TYPES.includes(response.type)) {
+        this.deferred = true;
+      }
+      return this.res.send(response);
+    }
+
+    // Already deferred by the budget, the handler continues via the webhook
+    if (DEFERRED_TYPES.includes(response.type)) return;
+
+    const applicationId = process.env.APPLICATION_ID;
+    const data = response.data || {};
+
+    try {
+      // After a deferred update a new message can only be a followup
+      if (
+        this.defer === "update" &&
+        response.type === InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE
+      ) {
+        return await sendFollowupMessage(applicationId, this.token, data);
+      }
+
+      // An ephemeral answer (e.g. an error) must not become a public edit
+      // of a public deferral, it is sent as an ephemeral followup instead
+      if (
+        !this.ephemeral &&
+        this.defer === "message" &&
+        data.flags & InteractionResponseFlags.EPHEMERAL
+      ) {
+        return await sendFollowupMessage(applicationId, this.token, data);
+      }
+
+      // Otherwise the visibility was fixed by the deferred response
+      const edit = { ...data };
+      delete edit.flags;
+      return await editOriginalMessage(applicationId, this.token, edit);
+    } catch (error) {
+      console.error("Error sending deferred interaction response:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop the budget, e.g. after answering through the Express response
+   */
+  cancel() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -1,28 +1,17 @@
-import "dotenv/config";
+import { DiscordRestClient } from "./discordRest.js";
 
-export async function DiscordRequest(endpoint, options = {}) {
-  const url = "https://discord.com/api/v10/" + endpoint;
-
-  if (options.body) {
-    options.body = JSON.stringify(options.body);
-  }
-
-  const res = await fetch(url, {
-    headers: {
-      Authorization: `Bot ${process.env.TOKEN}`,
-      "Content-Type": "application/json; charset=UTF-8",
-      "User-Agent": "BloodeTimeTracker/1.0.0",
-    },
-    ...options,
-  });
+// Shared by all callers, so they share the rate limits
+const discordRest = new DiscordRestClient();
 
-  if (!res.ok) {
-    const data = await res.json();
-    console.error("Discord API Error:", res.status, data);
-    throw new Error(JSON.stringify(data));
-  }
-
-  return res;
+/**
+ * Send a request to the Discord API, queued by its rate-limit bucket
+ * @param {string} endpoint - Endpoint without base URL, e.g. users/123
+ * @param {Object} options - fetch options, a non-FormData body is sent as JSON
+ * @returns {Promise<Response>} Successful response
+ * @throws {import("./discordRest.js").DiscordAPIError} If Discord rejected the request
+ */
+export async function DiscordRequest(endpoint, options = {}) {
+  return await discordRest.request(endpoint, options);
 }
 
 export async function sendFollowupMessage(
@@ -42,6 +31,42 @@ export async function sendFollowupMessage(
   }
 }
 
+/**
+ * Send a followup message with a file attachment
+ * @param {string} applicationId - Discord application ID
+ * @param {string} interactionToken - Interaction token
+ * @param {Object} content - Message content object
+ * @param {{name: string, data: Blob}} file - File to attach
+ */
+export async function sendFollowupFile(
+  applicationId,
+  interactionToken,
+  content,
+  file
+) {
+  const endpoint = `webhooks/${applicationId}/${interactionToken}`;
+
+  const form = new FormData();
+  form.append(
+    "payload_json",
+    JSON.stringify({
+      ...content,
+      attachments: [{ id: 0, filename: file.name }],
+    })
+  );
+  form.append("files[0]", file.data, file.name);
+
+  try {
+    await DiscordRequest(endpoint, {
+      method: "POST",
+      body: form,
+    });
+  } catch (error) {
+    console.error("Error sending followup file:", error);
+    throw error;
+  }
+}
+
 export async function editOriginalMessage(
   applicationId,
   interactionToken,
@@ -101,6 +126,37 @@ export async function editChannelMessage(channelId, messageId, messageContent) {
   }
 }
 
+/**
+ * Delete a message in a channel
+ * @param {string} channelId - Channel ID
+ * @param {string} messageId - Message ID to delete
+ */
+export async function deleteChannelMessage(channelId, messageId) {
+  await DiscordRequest(`channels/${channelId}/messages/${messageId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Send a direct message to a user
+ * @param {string} userId - Discord user ID
+ * @param {Object} messageContent - Message content object
+ * @returns {Promise<Object>} Message object
+ */
+export async function sendDirectMessage(userId, messageContent) {
+  try {
+    const response = await DiscordRequest("users/@me/channels", {
+      method: "POST",
+      body: { recipient_id: userId },
+    });
+    const channel = await response.json();
+    return await sendChannelMessage(channel.id, messageContent);
+  } catch (error) {
+    console.error(`Error sending direct message to ${userId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Get Discord user information
  * @param {string} userId - Discord user ID
@@ -120,6 +176,73 @@ export async function getDiscordUser(userId) {
   }
 }
 
+/**
+ * Get a member of a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {Object|null} Guild member object or null if not found
+ */
+export async function getGuildMember(guildId, userId) {
+  try {
+    const response = await DiscordRequest(
+      `guilds/${guildId}/members/${userId}`,
+      { method: "GET" }
+    );
+    return await response.json();
+  } catch (error) {
+    console.error(`Error fetching member ${userId} of ${guildId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Add a role to a guild member (requires Manage Roles)
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} roleId - Role ID
+ */
+export async function addGuildMemberRole(guildId, userId, roleId) {
+  await DiscordRequest(`guilds/${guildId}/members/${userId}/roles/${roleId}`, {
+    method: "PUT",
+  });
+}
+
+/**
+ * Remove a role from a guild member (requires Manage Roles)
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} roleId - Role ID
+ */
+export async function removeGuildMemberRole(guildId, userId, roleId) {
+  await DiscordRequest(`guilds/${guildId}/members/${userId}/roles/${roleId}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Get all members of a guild (requires the Server Members Intent)
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Array>} Guild member objects
+ */
+export async function getGuildMembers(guildId) {
+  const members = [];
+  let after = "0";
+
+  while (true) {
+    const response = await DiscordRequest(
+      `guilds/${guildId}/members?limit=1000&after=${after}`,
+      { method: "GET" }
+    );
+    const page = await response.json();
+    members.push(...page);
+
+    if (page.length < 1000) break;
+    after = page[page.length - 1].user.id;
+  }
+
+  return members;
+}
+
 /**
  * Get multiple Discord users
  * @param {string[]} userIds - Array of Discord user IDs
@@ -128,8 +251,8 @@ export async function getDiscordUser(userId) {
 export async function getDiscordUsers(userIds) {
   const users = {};
 
-  // Fetch users in parallel for better performance
-  const promises = userIds.map(async (userId) => {
+  // Requested together, the REST client queues them by rate limit
+  const promises = [...new Set(userIds)].map(async (userId) => {
     const user = await getDiscordUser(userId);
     if (user) {
       users[userId] = user;
@@ -0,0 +1,322 @@
+import "dotenv/config";
+
+/**
+ * Discord REST client with rate-limit handling
+ *
+ * Requests are queued per rate-limit bucket and sent one after another, a
+ * bucket without remaining requests waits for its reset. 429 responses are
+ * retried after `Retry-After` (a global limit pauses all buckets), server
+ * errors and network failures are retried with backoff. Failed requests
+ * throw a DiscordAPIError, or one of its subclasses for errors callers
+ * usually handle (deleted message, missing permissions).
+ *
+ * DISCORD_API_BASE_URL points the client to another server, e.g. a local
+ * mock of the Discord API for tests.
+ */
+
+const DEFAULT_BASE_URL = "https://discord.com/api/v10";
+const USER_AGENT = "BloodeTimeTracker/1.0.0";
+
+// Path segments followed by a "major parameter" with its own rate limits
+const MAJOR_PARAMETERS = ["channels", "guilds", "webhooks"];
+
+// Backoff for server errors and network failures
+const RETRY_DELAYS_MS = [500, 1000, 2000];
+// 429 responses are expected under load, give up only when it keeps failing
+const MAX_RATE_LIMIT_RETRIES = 5;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Discord JSON error codes
+export const DISCORD_ERROR_CODES = {
+  UNKNOWN_MEMBER: 10007,
+  UNKNOWN_MESSAGE: 10008,
+  UNKNOWN_ROLE: 10011,
+  UNKNOWN_USER: 10013,
+  MISSING_ACCESS: 50001,
+  MISSING_PERMISSIONS: 50013,
+};
+
+export class DiscordAPIError extends Error {
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Requested endpoint
+   * @param {number} status - HTTP status
+   * @param {Object|null} data - Error body sent by Discord
+   */
+  constructor(method, endpoint, status, data) {
+    super(
+      `${method} ${endpoint} failed with ${status}: ${
+        data?.message || JSON.stringify(data)
+      }`
+    );
+    this.name = this.constructor.name;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.status = status;
+    // e.g. 50013 (Missing Permissions), null if Discord sent none
+    this.code = data?.code ?? null;
+    this.data = data;
+  }
+}
+
+/**
+ * The message does not exist (anymore), e.g. deleted by a moderator
+ */
+export class UnknownMessageError extends DiscordAPIError {}
+
+/**
+ * The bot lacks a permission or access to the channel, also returned for
+ * roles above the bot's highest role
+ */
+export class MissingPermissionsError extends DiscordAPIError {}
+
+/**
+ * Still rate limited after all retries
+ */
+export class RateLimitError extends DiscordAPIError {}
+
+/**
+ * Create the error matching a failed response
+ */
+export function createDiscordError(method, endpoint, status, data) {
+  if (status === 429) {
+    return new RateLimitError(method, endpoint, status, data);
+  }
+
+  switch (data?.code) {
+    case DISCORD_ERROR_CODES.UNKNOWN_MESSAGE:
+      return new UnknownMessageError(method, endpoint, status, data);
+    case DISCORD_ERROR_CODES.MISSING_ACCESS:
+    case DISCORD_ERROR_CODES.MISSING_PERMISSIONS:
+      return new MissingPermissionsError(method, endpoint, status, data);
+    default:
+      return new DiscordAPIError(method, endpoint, status, data);
+  }
+}
+
+/**
+ * Rate-limit route of a request: IDs are replaced except major parameters
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint, e.g. channels/123/messages/456
+ * @returns {{route: string, major: string}} e.g. "PATCH channels/123/messages/:id"
+ */
+export function getRateLimitRoute(method, endpoint) {
+  const segments = endpoint.split("?")[0].split("/");
+  const major = [];
+
+  const route = segments.map((segment, index) => {
+    // Webhook tokens belong to the webhook, like its ID
+    const isWebhookToken = segments[index - 2] === "webhooks";
+    if (MAJOR_PARAMETERS.includes(segments[index - 1]) || isWebhookToken) {
+      major.push(segment);
+      return segment;
+    }
+    return /^\d{15,25}$/.test(segment) ? ":id" : segment;
+  });
+
+  return { route: `${method} ${route.join("/")}`, major: major.join("/") };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Requests sharing a rate limit, sent one after another
+ */
+class RateLimitBucket {
+  constructor() {
+    this.queue = Promise.resolve();
+    // Unknown until the first response
+    this.remaining = null;
+    this.resetAt = 0;
+  }
+
+  /**
+   * Run a request after the previous requests of the bucket
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+export class DiscordRestClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.token] - Bot token, defaults to TOKEN
+   * @param {string} [options.baseUrl] - API base URL, defaults to DISCORD_API_BASE_URL or Discord
+   */
+  constructor({
+    token = process.env.TOKEN,
+    baseUrl = process.env.DISCORD_API_BASE_URL || DEFAULT_BASE_URL,
+  } = {}) {
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    // route -> bucket key, known after the first response of a route
+    this.routes = new Map();
+    // bucket key -> RateLimitBucket
+    this.buckets = new Map();
+    this.globalResetAt = 0;
+  }
+
+  /**
+   * Send a request to the Discord API
+   * @param {string} endpoint - Endpoint without base URL, e.g. users/123
+   * @param {Object} options - fetch options, a non-FormData body is sent as JSON
+   * @returns {Promise<Response>} Successful response
+   * @throws {DiscordAPIError} If Discord rejected the request
+   */
+  async request(endpoint, options = {}) {
+    const method = (options.method || "GET").toUpperCase();
+    const { route, major } = getRateLimitRoute(method, endpoint);
+    const bucket = this.getBucket(route);
+
+    return await bucket.enqueue(() =>
+      this.execute(endpoint, method, options, route, major)
+    );
+  }
+
+  getBucket(route) {
+    const key = this.routes.get(route) || route;
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new RateLimitBucket());
+    }
+    return this.buckets.get(key);
+  }
+
+  async execute(endpoint, method, options, route, major) {
+    // Multipart bodies (file uploads) set their own content type
+    const isFormData = options.body instanceof FormData;
+    const body =
+      options.body && !isFormData ? JSON.stringify(options.body) : options.body;
+
+    let failures = 0;
+    let rateLimits = 0;
+
+    while (true) {
+      await this.waitForRateLimit(route);
+
+      let res;
+      try {
+        res = await fetch(`${this.baseUrl}/${endpoint}`, {
+          ...options,
+          method,
+          body,
+          headers: {
+            Authorization: `Bot ${this.token}`,
+            ...(!isFormData && {
+              "Content-Type": "application/json; charset=UTF-8",
+            }),
+            "User-Agent": USER_AGENT,
+            ...options.headers,
+          },
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+      } catch (error) {
+        // Network failure or timeout
+        if (failures >= RETRY_DELAYS_MS.length) throw error;
+        console.warn(`🔁 ${method} ${endpoint} failed (${error.message})`);
+        await sleep(RETRY_DELAYS_MS[failures++]);
+        continue;
+      }
+
+      this.updateRateLimit(route, major, res);
+
+      if (res.status === 429) {
+        const data = await res.json().catch(() => null);
+        if (rateLimits >= MAX_RATE_LIMIT_RETRIES) {
+          throw createDiscordError(method, endpoint, res.status, data);
+        }
+        rateLimits++;
+        this.handleRateLimit(route, res, data);
+        continue;
+      }
+
+      if (res.status >= 500 && failures < RETRY_DELAYS_MS.length) {
+        console.warn(`🔁 ${method} ${endpoint} failed with ${res.status}`);
+        await sleep(RETRY_DELAYS_MS[failures++]);
+        continue;
+      }
+
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        throw createDiscordError(method, endpoint, res.status, data);
+      }
+
+      return res;
+    }
+  }
+
+  /**
+   * Wait until the bucket of a route and the global limit allow a request
+   */
+  async waitForRateLimit(route) {
+    const bucket = this.getBucket(route);
+    const now = Date.now();
+    const wait = Math.max(
+      this.globalResetAt - now,
+      bucket.remaining === 0 ? bucket.resetAt - now : 0
+    );
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    if (bucket.remaining === 0 && bucket.resetAt <= Date.now()) {
+      bucket.remaining = null;
+    }
+  }
+
+  /**
+   * Remember the rate limit a response reported for its bucket
+   */
+  updateRateLimit(route, major, res) {
+    const hash = res.headers.get("x-ratelimit-bucket");
+    let bucket = this.getBucket(route);
+
+    // Routes with the same hash and major parameter share a bucket
+    if (hash) {
+      const key = `${hash}:${major}`;
+      if (this.routes.get(route) !== key) {
+        this.routes.set(route, key);
+        if (this.buckets.has(key)) {
+          bucket = this.buckets.get(key);
+        } else {
+          this.buckets.set(key, bucket);
+        }
+      }
+    }
+
+    const remaining = res.headers.get("x-ratelimit-remaining");
+    const resetAfter = res.headers.get("x-ratelimit-reset-after");
+    if (remaining !== null) {
+      bucket.remaining = Number(remaining);
+    }
+    if (resetAfter !== null) {
+      bucket.resetAt = Date.now() + Number(resetAfter) * 1000;
+    }
+  }
+
+  /**
+   * Pause the bucket (or all buckets) after a 429 response
+   */
+  handleRateLimit(route, res, data) {
+    const retryAfterMs =
+      Number(res.headers.get("retry-after") ?? data?.retry_after ?? 1) * 1000;
+    const isGlobal =
+      data?.global === true || res.headers.get("x-ratelimit-global") === "true";
+
+    if (isGlobal) {
+      this.globalResetAt = Date.now() + retryAfterMs;
+    } else {
+      const bucket = this.getBucket(route);
+      bucket.remaining = 0;
+      bucket.resetAt = Date.now() + retryAfterMs;
+    }
+
+    console.warn(
+      `⏳ Rate limited on ${route}${
+        isGlobal ? " (global)" : ""
+      }, retrying in ${retryAfterMs}ms`
+    );
+  }
+}
@@ -0,0 +1,212 @@
+import {
+  addGuildMemberRole,
+  getGuildMembers,
+  removeGuildMemberRole,
+  sendChannelMessage,
+} from "./discordApi.js";
+import { DISCORD_ERROR_CODES, MissingPermissionsError } from "./discordRest.js";
+import { resolveLanguage, runWithLanguage, t } from "./i18n.js";
+
+/**
+ * On-duty role for members with a running session
+ *
+ * The role is added on start and resume and removed on pause and stop, so
+ * the member list shows who is on duty. The reconciliation fixes drift,
+ * e.g. after a restart or a failed request. Failures an admin has to fix
+ * (permissions, role hierarchy, deleted role) are posted once to the audit
+ * channel (or the tracking channel) until they are fixed.
+ */
+
+/**
+ * Classify a failed role request
+ * @param {Error} error - Error of the Discord request
+ * @returns {string|null} Error kind to report to admins, null otherwise
+ */
+export function getDutyRoleErrorKind(error) {
+  if (error.code === DISCORD_ERROR_CODES.UNKNOWN_ROLE) {
+    return "UNKNOWN_ROLE";
+  }
+  // Also returned if the role is above the bot's highest role
+  if (error instanceof MissingPermissionsError) {
+    return "MISSING_PERMISSIONS";
+  }
+  // Members who left and temporary errors need no admin
+  return null;
+}
+
+export class DutyRoleManager {
+  /**
+   * @param {import("../database/prisma.js").default} database - Database service
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Add or remove the on-duty role of a user after a session change
+   *
+   * Never throws: a failing role update must not fail the session action.
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {boolean} onDuty - Whether the user has a running session
+   */
+  async update(guildId, userId, onDuty) {
+    try {
+      const settings = await this.database.getGuildSettings(guildId);
+      if (!settings?.onDutyRoleId) return;
+
+      await this.setRole(settings, userId, onDuty);
+    } catch (error) {
+      console.error(`Error updating on-duty role of ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Fix the on-duty role of all guilds that use one
+   */
+  async reconcile() {
+    const guilds = await this.database.getDutyRoleGuildSettings();
+
+    for (const settings of guilds) {
+      try {
+        await this.reconcileGuild(settings);
+      } catch (error) {
+        console.error(
+          `Error reconciling on-duty role of ${settings.guildId}:`,
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Give the role to exactly the members with an active (not paused) session
+   * @param {Object} settings - Guild settings with onDutyRoleId
+   */
+  async reconcileGuild(settings) {
+    const { guildId, onDutyRoleId } = settings;
+
+    // Members first: sessions changing in between are corrected, not undone
+    let members;
+    try {
+      members = await getGuildMembers(guildId);
+    } catch (error) {
+      console.error(`Error loading members of ${guildId}:`, error);
+      await this.reportFailure(settings, "MEMBER_LIST");
+      return;
+    }
+
+    const sessions = await this.database.getAllActiveSessions(guildId);
+    const onDuty = new Set(
+      sessions
+        .filter((session) => session.status === "ACTIVE")
+        .map((session) => session.userId)
+    );
+
+    let fixed = 0;
+    for (const member of members) {
+      if (member.user.bot) continue;
+
+      const shouldHaveRole = onDuty.has(member.user.id);
+      if (member.roles.includes(onDutyRoleId) === shouldHaveRole) continue;
+
+      // The same error would repeat for every member
+      if (!(await this.setRole(settings, member.user.id, shouldHaveRole))) {
+        break;
+      }
+      fixed++;
+    }
+
+    if (fixed > 0) {
+      console.log(
+        `🎖️ Fixed the on-duty role of ${fixed} members in ${guildId}`
+      );
+    }
+  }
+
+  /**
+   * Remove a role that is no longer the on-duty role from users on duty
+   * @param {string} guildId - Discord guild ID
+   * @param {string} roleId - Previous on-duty role
+   */
+  async release(guildId, roleId) {
+    const sessions = await this.database.getAllActiveSessions(guildId);
+
+    for (const session of sessions) {
+      try {
+        await removeGuildMemberRole(guildId, session.userId, roleId);
+      } catch (error) {
+        console.error(
+          `Error removing role ${roleId} from ${session.userId}:`,
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Send a single role request and record its outcome
+   * @returns {Promise<boolean>} True on success
+   */
+  async setRole(settings, userId, onDuty) {
+    const { guildId, onDutyRoleId } = settings;
+
+    try {
+      if (onDuty) {
+        await addGuildMemberRole(guildId, userId, onDutyRoleId);
+      } else {
+        await removeGuildMemberRole(guildId, userId, onDutyRoleId);
+      }
+    } catch (error) {
+      const kind = getDutyRoleErrorKind(error);
+      if (kind) {
+        await this.reportFailure(settings, kind);
+      } else {
+        console.warn(
+          `🎖️ On-duty role update of ${userId} failed:`,
+          error.message
+        );
+      }
+      return false;
+    }
+
+    // Working again, a new failure is reported again
+    if (settings.onDutyRoleError) {
+      await this.database.clearDutyRoleError(guildId);
+      settings.onDutyRoleError = null;
+    }
+    return true;
+  }
+
+  /**
+   * Tell the admins about a failure, once until it is fixed
+   * @param {Object} settings - Guild settings
+   * @param {string} kind - Error kind, e.g. MISSING_PERMISSIONS
+   */
+  async reportFailure(settings, kind) {
+    const claimed = await this.database.claimDutyRoleError(
+      settings.guildId,
+      kind
+    );
+    settings.onDutyRoleError = kind;
+    // Already reported (by this or another instance)
+    if (!claimed) return;
+
+    console.warn(`🎖️ On-duty role failure in ${settings.guildId}: ${kind}`);
+
+    const channelId = settings.auditChannelId || settings.trackingChannelId;
+    if (!channelId) return;
+
+    const content = runWithLanguage(resolveLanguage(settings), () =>
+      t(`dutyRole.error.${kind}`, { role: `<@&${settings.onDutyRoleId}>` })
+    );
+    try {
+      await sendChannelMessage(channelId, {
+        content,
+        allowed_mentions: { parse: [] },
+      });
+    } catch (error) {
+      console.error("Error reporting on-duty role failure:", error);
+    }
+  }
+}
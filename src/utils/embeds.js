@@ -0,0 +1,69 @@
+import { formatUserDisplayName } from "./discordApi.js";
+
+/**
+ * Discord embed helpers
+ */
+
+/**
+ * Embed colors, session colors reflect the session state
+ */
+export const EMBED_COLORS = {
+  ACTIVE: 0x57f287,
+  PAUSED: 0xfee75c,
+  COMPLETED: 0x95a5a6,
+  INFO: 0x5865f2,
+};
+
+/**
+ * Get the avatar URL of a user (default avatar if none is set)
+ * @param {Object|null} user - Discord user object
+ * @param {string} userId - Discord user ID
+ * @returns {string} Avatar URL
+ */
+export function getAvatarUrl(user, userId) {
+  if (user?.avatar) {
+    return `https://cdn.discordapp.com/avatars/${userId}/${user.avatar}.png?size=128`;
+  }
+
+  // New usernames use the user ID for the default avatar index
+  const index = Number((BigInt(userId) >> 22n) % 6n);
+  return `https://cdn.discordapp.com/embed/avatars/${index}.png`;
+}
+
+/**
+ * Create an embed author for a user
+ * @param {Object|null} user - Discord user object
+ * @param {string} userId - Discord user ID
+ * @returns {{name: string, icon_url: string}} Embed author
+ */
+export function createUserAuthor(user, userId) {
+  return {
+    name: formatUserDisplayName(user, userId),
+    icon_url: getAvatarUrl(user, userId),
+  };
+}
+
+/**
+ * Create an embed footer with the current time as timestamp
+ * @param {string} text - Footer text
+ * @param {Date} timestamp - Footer timestamp
+ * @returns {{footer: {text: string}, timestamp: string}} Embed properties
+ */
+export function createFooter(text, timestamp = new Date()) {
+  return {
+    footer: { text },
+    timestamp: timestamp.toISOString(),
+  };
+}
+
+/**
+ * Create a message payload with either text content or embeds
+ *
+ * The other field is always cleared, so editing an existing message after
+ * the output style changed does not keep stale content.
+ * @param {{content?: string, embeds?: Array}} message - Text or embeds
+ * @returns {{content: string, embeds: Array}} Message payload
+ */
+export function createMessagePayload({ content = "", embeds = [] }) {
+  return { content, embeds };
+}
@@ -0,0 +1,191 @@
+import { formatUserDisplayName, getDiscordUsers } from "./discordApi.js";
+import { getSessionBounds } from "./sessionEvents.js";
+import { getLocalDate, toZonedIsoString } from "./timeZone.js";
+
+// Discord's attachment limit for bots without boosted upload size
+const MAX_EXPORT_BYTES = 10 * 1024 * 1024;
+// Larger exports are cut off, a shorter period gives a complete export
+const MAX_EXPORT_FILES = 5;
+
+const CSV_COLUMNS = [
+  "session_id",
+  "user_id",
+  "user_name",
+  "status",
+  "category",
+  "start",
+  "end",
+  "active_seconds",
+  "pause_seconds",
+  "active_hours",
+  "events",
+];
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build an export record for a session
+ *
+ * With a range, start/end stay the real session bounds while active and
+ * pause durations only count the part inside the range. Timestamps carry
+ * the offset of the guild's time zone valid at that moment.
+ */
+function createRecord(database, session, userName, range, timeZone, now) {
+  const { start, end } = getSessionBounds(session.events);
+  const activeMs = database.calculateSessionDuration(
+    session.events,
+    now,
+    range
+  );
+
+  let spanStart = start ? start.getTime() : now.getTime();
+  let spanEnd = (end || now).getTime();
+  if (range) {
+    spanStart = Math.max(spanStart, range.start.getTime());
+    spanEnd = Math.min(spanEnd, range.end.getTime());
+  }
+  const pauseMs = Math.max(spanEnd - spanStart - activeMs, 0);
+
+  return {
+    sessionId: session.id,
+    userId: session.userId,
+    userName,
+    status: session.status,
+    category: session.category?.name || null,
+    start: start ? toZonedIsoString(start, timeZone) : null,
+    end: end ? toZonedIsoString(end, timeZone) : null,
+    activeSeconds: Math.round(activeMs / 1000),
+    pauseSeconds: Math.round(pauseMs / 1000),
+    events: session.events.map((event) => ({
+      type: event.eventType,
+      timestamp: toZonedIsoString(new Date(event.timestamp), timeZone),
+    })),
+  };
+}
+
+function recordToCsv(record) {
+  return [
+    record.sessionId,
+    record.userId,
+    record.userName,
+    record.status,
+    record.category,
+    record.start,
+    record.end,
+    record.activeSeconds,
+    record.pauseSeconds,
+    (record.activeSeconds / 3600).toFixed(2),
+    record.events.map((e) => `${e.type} ${e.timestamp}`).join(" | "),
+  ]
+    .map(csvCell)
+    .join(",");
+}
+
+/**
+ * Create a CSV or JSON export of the sessions of a guild
+ *
+ * Sessions are read in batches and written into files below Discord's
+ * attachment limit, so only one file is held in memory. Every file is a
+ * complete CSV (with header) or JSON array. Full files are handed to
+ * `sendFile` right away, the last one is returned. After MAX_EXPORT_FILES
+ * files the export is cut off.
+ * @param {import("../database/prisma.js").default} database - Database service
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} options - Export options
+ * @param {"csv"|"json"} options.format - Output format
+ * @param {{start: Date, end: Date}|null} options.range - Time range
+ * @param {string|null} options.userId - Only export this user
+ * @param {string} options.timeZone - IANA time zone of the timestamps
+ * @param {Function} sendFile - Async function receiving each full file and its number
+ * @returns {Promise<{file: {name: string, data: Blob}, files: number, sessionsCount: number, truncated: boolean}>}
+ */
+export async function createSessionExport(
+  database,
+  guildId,
+  { format, range = null, userId = null, timeZone = "UTC" },
+  sendFile
+) {
+  const now = new Date();
+  const userNames = {};
+  const date = getLocalDate(now, timeZone).toISOString().slice(0, 10);
+  const type = format === "csv" ? "text/csv" : "application/json";
+  const header = format === "csv" ? `${CSV_COLUMNS.join(",")}\n` : "[\n";
+  const footer = format === "csv" ? "" : "\n]\n";
+
+  // Current file
+  let chunks = [header];
+  let bytes = Buffer.byteLength(header) + Buffer.byteLength(footer);
+  let rows = 0;
+  let files = 1;
+  let sessionsCount = 0;
+  let truncated = false;
+
+  const createFile = () => ({
+    name: `zeiterfassung-${guildId}-${date}${
+      files > 1 ? `-${files}` : ""
+    }.${format}`,
+    data: new Blob([...chunks, footer], { type }),
+  });
+  const formatRow = (record) =>
+    format === "csv"
+      ? `${recordToCsv(record)}\n`
+      : `${rows > 0 ? ",\n" : ""}${JSON.stringify(record)}`;
+
+  for await (const sessions of database.iterateSessions(guildId, {
+    range,
+    userId,
+  })) {
+    // Resolve names of users not seen in previous batches
+    const unknownUserIds = [
+      ...new Set(sessions.map((session) => session.userId)),
+    ].filter((id) => !(id in userNames));
+    const users = await getDiscordUsers(unknownUserIds);
+    for (const id of unknownUserIds) {
+      userNames[id] = users[id] ? formatUserDisplayName(users[id], id) : "";
+    }
+
+    for (const session of sessions) {
+      const record = createRecord(
+        database,
+        session,
+        userNames[session.userId],
+        range,
+        timeZone,
+        now
+      );
+
+      let row = formatRow(record);
+      if (rows > 0 && bytes + Buffer.byteLength(row) > MAX_EXPORT_BYTES) {
+        if (files === MAX_EXPORT_FILES) {
+          truncated = true;
+          break;
+        }
+
+        await sendFile(createFile(), files);
+        files++;
+        chunks = [header];
+        bytes = Buffer.byteLength(header) + Buffer.byteLength(footer);
+        rows = 0;
+        row = formatRow(record);
+      }
+
+      chunks.push(row);
+      bytes += Buffer.byteLength(row);
+      rows++;
+      sessionsCount++;
+    }
+
+    if (truncated) break;
+  }
+
+  return { file: createFile(), files, sessionsCount, truncated };
+}
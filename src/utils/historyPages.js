@@ -0,0 +1,47 @@
+/**
+ * State of paginated session history messages
+ *
+ * Like the leaderboard, the view state lives in the custom_id of the
+ * components, so any instance can handle a click:
+ * history:<action>:<userId>:<page>
+ */
+
+export const HISTORY_PAGE_SIZE = 10;
+
+const CUSTOM_ID_PREFIX = "history";
+
+/**
+ * Check if a custom_id belongs to a history message
+ * @param {string} customId - Component custom_id
+ * @returns {boolean}
+ */
+export function isHistoryCustomId(customId) {
+  return customId?.startsWith(`${CUSTOM_ID_PREFIX}:`) ?? false;
+}
+
+/**
+ * Encode an action and the view state into a custom_id
+ * @param {string} action - prev, next, page, select or back
+ * @param {{userId: string, page: number}} state - View state
+ * @returns {string} custom_id
+ */
+export function encodeHistoryState(action, state) {
+  return [CUSTOM_ID_PREFIX, action, state.userId, state.page].join(":");
+}
+
+/**
+ * Decode a history custom_id
+ * @param {string} customId - Component custom_id
+ * @returns {{action: string, state: {userId: string, page: number}}}
+ */
+export function parseHistoryState(customId) {
+  const [, action, userId, page] = customId.split(":");
+
+  return {
+    action,
+    state: {
+      userId,
+      page: Math.max(parseInt(page) || 0, 0),
+    },
+  };
+}
@@ -0,0 +1,94 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import de from "../locales/de.js";
+import en from "../locales/en.js";
+
+/**
+ * Message catalogs per language
+ *
+ * Keys are flat ("session.stopped"), placeholders use {name}. German is the
+ * default and the fallback for missing keys.
+ */
+export const CATALOGS = { de, en };
+
+export const DEFAULT_LANGUAGE = "de";
+
+/**
+ * Discord locales that get the command localizations of a language
+ * (the default language is used for the base names and descriptions)
+ */
+const DISCORD_LOCALES = {
+  en: ["en-US", "en-GB"],
+};
+
+// Language of the interaction or background job currently being handled
+const languageStorage = new AsyncLocalStorage();
+
+/**
+ * Determine the language for an interaction
+ *
+ * The guild setting wins, otherwise the user's Discord locale is used if a
+ * catalog exists for it.
+ * @param {Object|null} settings - Guild settings
+ * @param {string|undefined} locale - Interaction locale, e.g. "en-US"
+ * @returns {string} Language code
+ */
+export function resolveLanguage(settings, locale) {
+  if (settings?.language && settings.language in CATALOGS) {
+    return settings.language;
+  }
+
+  const language = locale?.split("-")[0];
+  return language in CATALOGS ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Run a function with a language for all t() calls inside it
+ * @param {string} language - Language code
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithLanguage(language, fn) {
+  return languageStorage.run(language, fn);
+}
+
+/**
+ * Get the language of the current context
+ * @returns {string} Language code
+ */
+export function getLanguage() {
+  return languageStorage.getStore() || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translate a message key in the current language
+ * @param {string} key - Message key
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} Translated message
+ */
+export function t(key, params = {}) {
+  const template =
+    CATALOGS[getLanguage()][key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+/**
+ * Get the Discord localizations of a message key for command registration
+ * @param {string} key - Message key
+ * @returns {Object} Map of Discord locale -> text
+ */
+export function getLocalizations(key) {
+  const localizations = {};
+
+  for (const [language, locales] of Object.entries(DISCORD_LOCALES)) {
+    const text = CATALOGS[language][key];
+    if (!text) continue;
+    for (const locale of locales) {
+      localizations[locale] = text;
+    }
+  }
+
+  return localizations;
+}
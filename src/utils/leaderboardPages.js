@@ -0,0 +1,116 @@
+import { parseDateInput, PERIOD_CHOICES } from "./periods.js";
+
+/**
+ * State of paginated leaderboard messages
+ *
+ * The whole view state lives in the custom_id of the navigation components,
+ * so any instance can handle a click without stored state:
+ * leaderboard:<action>:<page>:<sort>:<period>:<from>:<to>:<categoryId>
+ */
+
+export const LEADERBOARD_PAGE_SIZE = 10;
+
+const CUSTOM_ID_PREFIX = "leaderboard";
+// Discord rejects messages with longer custom_ids
+const MAX_CUSTOM_ID_LENGTH = 100;
+
+const PERIODS = PERIOD_CHOICES.map((choice) => choice.value);
+
+/**
+ * Normalize a date option to YYYY-MM-DD, undefined if it is no valid date
+ */
+function normalizeDate(value) {
+  const date = parseDateInput(value);
+  return date ? date.toISOString().slice(0, 10) : undefined;
+}
+
+/**
+ * Period fields of the view state from the period options of a command
+ *
+ * Dates are only kept for custom periods and only as validated dates, so
+ * user input never reaches the custom_id.
+ * @param {string|undefined} period - Period choice
+ * @param {string|undefined} from - Custom start date option
+ * @param {string|undefined} to - Custom end date option
+ * @returns {{period: string, from: string|undefined, to: string|undefined}}
+ */
+export function normalizePeriodState(period, from, to) {
+  // Giving dates without a period implies a custom range (see resolvePeriod)
+  const selected = period || (from || to ? "custom" : "all");
+  if (selected !== "custom") {
+    return { period: selected, from: undefined, to: undefined };
+  }
+  return { period: selected, from: normalizeDate(from), to: normalizeDate(to) };
+}
+
+/**
+ * Sort modes with the message keys of their labels
+ */
+export const LEADERBOARD_SORTS = {
+  total: { labelKey: "leaderboard.sort.total" },
+  sessions: { labelKey: "leaderboard.sort.sessions" },
+  average: { labelKey: "leaderboard.sort.average" },
+};
+
+/**
+ * Slash command choices for the `sort` option (message key and value)
+ */
+export const SORT_CHOICES = Object.entries(LEADERBOARD_SORTS).map(
+  ([value, { labelKey }]) => ({ key: labelKey, value })
+);
+
+/**
+ * Check if a custom_id belongs to a leaderboard message
+ * @param {string} customId - Component custom_id
+ * @returns {boolean}
+ */
+export function isLeaderboardCustomId(customId) {
+  return customId?.startsWith(`${CUSTOM_ID_PREFIX}:`) ?? false;
+}
+
+/**
+ * Encode an action and the view state into a custom_id
+ * @param {string} action - prev, next, me, sort or page
+ * @param {Object} state - View state (page, sort, period, from, to, categoryId)
+ * @returns {string} custom_id (max. 100 characters)
+ * @throws {Error} If the state does not fit into a custom_id
+ */
+export function encodeLeaderboardState(action, state) {
+  const customId = [
+    CUSTOM_ID_PREFIX,
+    action,
+    state.page,
+    state.sort,
+    state.period || "",
+    state.from || "",
+    state.to || "",
+    state.categoryId || "",
+  ].join(":");
+
+  if (customId.length > MAX_CUSTOM_ID_LENGTH) {
+    throw new Error(`Leaderboard state too long for a custom_id: ${customId}`);
+  }
+  return customId;
+}
+
+/**
+ * Decode a leaderboard custom_id
+ * @param {string} customId - Component custom_id
+ * @returns {{action: string, state: Object}} Action and view state
+ */
+export function parseLeaderboardState(customId) {
+  const [, action, page, sort, period, from, to, categoryId] =
+    customId.split(":");
+
+  return {
+    action,
+    state: {
+      page: Math.max(parseInt(page) || 0, 0),
+      sort: sort in LEADERBOARD_SORTS ? sort : "total",
+      period: PERIODS.includes(period) ? period : undefined,
+      from: normalizeDate(from),
+      to: normalizeDate(to),
+      categoryId: categoryId || null,
+    },
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Buttons of the persistent control panel ("Dienst-Panel")
+ *
+ * The panel is a regular channel message shared by all members, so its
+ * buttons carry no user: the clicking user is resolved from the interaction
+ * and answered with an ephemeral message, the panel itself never changes.
+ * panel:<action>:<categoryId>
+ */
+
+const CUSTOM_ID_PREFIX = "panel";
+
+/**
+ * Panel actions, toggle pauses a running and resumes a paused session
+ */
+export const PANEL_ACTIONS = ["start", "toggle", "stop"];
+
+/**
+ * Check if a custom_id belongs to a panel button
+ * @param {string} customId - Component custom_id
+ * @returns {boolean}
+ */
+export function isPanelCustomId(customId) {
+  return customId?.startsWith(`${CUSTOM_ID_PREFIX}:`) ?? false;
+}
+
+/**
+ * Encode a panel action into a custom_id
+ * @param {string} action - One of PANEL_ACTIONS
+ * @param {string|null} categoryId - Category of sessions started by the panel
+ * @returns {string} custom_id
+ */
+export function encodePanelAction(action, categoryId = null) {
+  return [CUSTOM_ID_PREFIX, action, categoryId || ""].join(":");
+}
+
+/**
+ * Decode a panel custom_id
+ * @param {string} customId - Component custom_id
+ * @returns {{action: string, categoryId: string|null}}
+ */
+export function parsePanelAction(customId) {
+  const [, action, categoryId] = customId.split(":");
+  return { action, categoryId: categoryId || null };
+}
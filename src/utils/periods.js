@@ -0,0 +1,269 @@
+import { t } from "./i18n.js";
+import { getLocalDate, getZonedParts, localDateToUtc } from "./timeZone.js";
+
+/**
+ * Time period helpers for stats and leaderboards
+ *
+ * Boundaries follow the calendar of the guild: days start at local midnight
+ * in its time zone and weeks on its first day of the week. Days are counted
+ * on calendar dates (UTC midnight Date objects), so days around a DST change
+ * have their real length of 23 or 25 hours.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_TIME_ZONE = "UTC";
+export const DEFAULT_WEEK_START_DAY = 1; // Monday
+
+/**
+ * Get the calendar (time zone and first day of the week) of a guild
+ * @param {Object|null} settings - Guild settings
+ * @returns {{timeZone: string, weekStartDay: number}} Calendar
+ */
+export function getCalendar(settings) {
+  return {
+    timeZone: settings?.timeZone || DEFAULT_TIME_ZONE,
+    weekStartDay: settings?.weekStartDay ?? DEFAULT_WEEK_START_DAY,
+  };
+}
+
+const DEFAULT_CALENDAR = getCalendar(null);
+
+/**
+ * Slash command choices for the first day of the week (message key and value)
+ */
+export const WEEK_START_CHOICES = [1, 2, 3, 4, 5, 6, 0].map((day) => ({
+  key: `weekday.${day}`,
+  value: day,
+}));
+
+/**
+ * Slash command choices for the `period` option (message key and value)
+ */
+export const PERIOD_CHOICES = [
+  { key: "period.choice.all", value: "all" },
+  { key: "period.choice.day", value: "day" },
+  { key: "period.choice.week", value: "week" },
+  { key: "period.choice.month", value: "month" },
+  { key: "period.choice.custom", value: "custom" },
+];
+
+/**
+ * Add days to a calendar date
+ * @param {Date} calendarDate - Calendar date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} Calendar date
+ */
+function addDays(calendarDate, days) {
+  return new Date(calendarDate.getTime() + days * DAY_MS);
+}
+
+/**
+ * Get the first day of the week of a calendar date
+ * @param {Date} calendarDate - Calendar date
+ * @param {number} weekStartDay - First day of the week (0 = Sunday)
+ * @returns {Date} Calendar date
+ */
+function startOfWeek(calendarDate, weekStartDay) {
+  return addDays(
+    calendarDate,
+    -((calendarDate.getUTCDay() - weekStartDay + 7) % 7)
+  );
+}
+
+/**
+ * Convert calendar dates into a range of instants
+ * @param {Date} firstDay - First day (inclusive)
+ * @param {Date} endDay - Day after the last day (exclusive)
+ * @param {string} timeZone - IANA time zone
+ * @param {string} label - Display label
+ * @returns {{start: Date, end: Date, label: string}} Range
+ */
+function toRange(firstDay, endDay, timeZone, label) {
+  return {
+    start: localDateToUtc(firstDay, timeZone),
+    end: localDateToUtc(endDay, timeZone),
+    label,
+  };
+}
+
+/**
+ * Parse a date option in the format YYYY-MM-DD
+ * @param {string} value - User input
+ * @returns {Date|null} Calendar date (UTC midnight) or null if invalid
+ */
+export function parseDateInput(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value?.trim() || "");
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Reject overflowing dates like 2024-02-31
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Parse a date and time option in the format YYYY-MM-DD HH:mm
+ * @param {string} value - User input in local time of the time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} Parsed instant or null if invalid
+ */
+export function parseDateTimeInput(value, timeZone = DEFAULT_TIME_ZONE) {
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})$/.exec(
+    value?.trim() || ""
+  );
+  if (!match) return null;
+
+  const day = parseDateInput(match[1]);
+  const hours = Number(match[2]);
+  const minutes = Number(match[3]);
+  if (!day || hours > 23 || minutes > 59) return null;
+
+  return localDateToUtc(day, timeZone, hours, minutes);
+}
+
+/**
+ * Format a calendar date as DD.MM.YYYY
+ * @param {Date} date - Calendar date (UTC midnight)
+ * @returns {string} Formatted date
+ */
+export function formatDate(date) {
+  const day = String(date.getUTCDate()).padStart(2, "0");
+  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
+  return `${day}.${month}.${date.getUTCFullYear()}`;
+}
+
+/**
+ * Format an instant as DD.MM.YYYY HH:mm in a time zone
+ *
+ * For places where Discord timestamps are not rendered, e.g. select menus.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Formatted date and time
+ */
+export function formatDateTime(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${formatDate(getLocalDate(date, timeZone))} ${String(hour).padStart(
+    2,
+    "0"
+  )}:${String(minute).padStart(2, "0")}`;
+}
+
+/**
+ * Get the range of the current or a previous week
+ * @param {{timeZone: string, weekStartDay: number}} calendar - Guild calendar
+ * @param {number} weeksAgo - 0 for the current week, 1 for the previous week
+ * @param {Date} now - Current time
+ * @returns {{start: Date, end: Date, label: string}} Week range
+ */
+export function getWeekRange(
+  calendar = DEFAULT_CALENDAR,
+  weeksAgo = 0,
+  now = new Date()
+) {
+  const today = getLocalDate(now, calendar.timeZone);
+  const firstDay = addDays(
+    startOfWeek(today, calendar.weekStartDay),
+    -7 * weeksAgo
+  );
+  const endDay = addDays(firstDay, 7);
+
+  return toRange(
+    firstDay,
+    endDay,
+    calendar.timeZone,
+    weeksAgo === 0
+      ? t("period.thisWeek")
+      : `${formatDate(firstDay)} – ${formatDate(addDays(endDay, -1))}`
+  );
+}
+
+/**
+ * Resolve the period options of a command into a time range
+ * @param {string|undefined} period - Period choice (all, day, week, month, custom)
+ * @param {string|undefined} from - Custom start date (YYYY-MM-DD)
+ * @param {string|undefined} to - Custom end date, inclusive (YYYY-MM-DD)
+ * @param {{timeZone: string, weekStartDay: number}} calendar - Guild calendar
+ * @param {Date} now - Current time
+ * @returns {{range: {start: Date, end: Date, label: string}|null, error?: string}}
+ */
+export function resolvePeriod(
+  period,
+  from,
+  to,
+  calendar = DEFAULT_CALENDAR,
+  now = new Date()
+) {
+  // Giving dates without a period implies a custom range
+  const selected = period || (from || to ? "custom" : "all");
+  const { timeZone } = calendar;
+  const today = getLocalDate(now, timeZone);
+
+  switch (selected) {
+    case "all":
+      return { range: null };
+
+    case "day":
+      return {
+        range: toRange(today, addDays(today, 1), timeZone, t("period.today")),
+      };
+
+    case "week":
+      return { range: getWeekRange(calendar, 0, now) };
+
+    case "month": {
+      const year = today.getUTCFullYear();
+      const month = today.getUTCMonth();
+      return {
+        range: toRange(
+          new Date(Date.UTC(year, month, 1)),
+          new Date(Date.UTC(year, month + 1, 1)),
+          timeZone,
+          t("period.thisMonth")
+        ),
+      };
+    }
+
+    case "custom": {
+      if (!from) {
+        return {
+          range: null,
+          error: t("period.error.fromRequired"),
+        };
+      }
+
+      const firstDay = parseDateInput(from);
+      const lastDay = to ? parseDateInput(to) : today;
+      if (!firstDay || !lastDay) {
+        return {
+          range: null,
+          error: t("period.error.invalidDate"),
+        };
+      }
+
+      if (lastDay < firstDay) {
+        return {
+          range: null,
+          error: t("period.error.endBeforeStart"),
+        };
+      }
+
+      return {
+        range: toRange(
+          firstDay,
+          addDays(lastDay, 1),
+          timeZone,
+          `${formatDate(firstDay)} – ${formatDate(lastDay)}`
+        ),
+      };
+    }
+
+    default:
+      return { range: null, error: t("period.error.unknown") };
+  }
+}
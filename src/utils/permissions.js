@@ -0,0 +1,228 @@
+import { InteractionType } from "discord-interactions";
+import { t } from "./i18n.js";
+import { isHistoryCustomId, parseHistoryState } from "./historyPages.js";
+import { isLeaderboardCustomId } from "./leaderboardPages.js";
+import { isPanelCustomId } from "./panel.js";
+
+const ADMINISTRATOR = 0x8;
+
+/**
+ * Role lists in the guild settings per configurable permission
+ */
+export const ROLE_SCOPES = {
+  track: { field: "trackingRoleIds", labelKey: "roles.scope.track" },
+  "view-stats": {
+    field: "statsViewerRoleIds",
+    labelKey: "roles.scope.viewStats",
+  },
+  manager: { field: "managerRoleIds", labelKey: "roles.scope.manager" },
+};
+
+/**
+ * Requirements per slash command
+ * - permission: TRACK, MANAGE or ADMINISTRATOR
+ * - trackingChannel: only usable in the configured tracking channel
+ */
+const COMMAND_REQUIREMENTS = {
+  play: { permission: "TRACK", trackingChannel: true },
+  stop: { permission: "TRACK", trackingChannel: true },
+  status: { trackingChannel: true },
+  stats: { trackingChannel: true },
+  history: { trackingChannel: true },
+  leaderboard: { trackingChannel: true },
+  settings: { permission: "ADMINISTRATOR" },
+  admin: { permission: "MANAGE" },
+  export: { permission: "MANAGE" },
+  quota: { permission: "MANAGE" },
+  panel: { permission: "MANAGE" },
+  report: { permission: "MANAGE" },
+  webhook: { permission: "ADMINISTRATOR" },
+};
+
+/**
+ * Requirements for session control buttons
+ */
+const COMPONENT_REQUIREMENTS = { permission: "TRACK", trackingChannel: true };
+
+/**
+ * Requirements for panel buttons, the panel may be posted in any channel
+ */
+const PANEL_COMPONENT_REQUIREMENTS = { permission: "TRACK" };
+
+/**
+ * Requirements for leaderboard navigation, same as the command
+ */
+const LEADERBOARD_COMPONENT_REQUIREMENTS = COMMAND_REQUIREMENTS.leaderboard;
+
+/**
+ * Requirements for history navigation, same as the command
+ */
+const HISTORY_COMPONENT_REQUIREMENTS = COMMAND_REQUIREMENTS.history;
+
+const DENIED_MESSAGES = {
+  TRACK: "permissions.denied.track",
+  VIEW_OTHERS: "permissions.denied.viewOthers",
+  MANAGE: "permissions.denied.manage",
+  ADMINISTRATOR: "permissions.denied.administrator",
+};
+
+/**
+ * Check if a member has the Administrator permission
+ * @param {Object|undefined} member - Interaction member
+ * @returns {boolean}
+ */
+export function isAdministrator(member) {
+  return Boolean(
+    member?.permissions && BigInt(member.permissions) & BigInt(ADMINISTRATOR)
+  );
+}
+
+/**
+ * Check if a member has one of the given roles
+ */
+function hasAnyRole(member, roleIds) {
+  return (member?.roles || []).some((roleId) => roleIds.includes(roleId));
+}
+
+/**
+ * Check if a member counts as manager (Administrator or manager role)
+ * @param {Object|undefined} member - Interaction member
+ * @param {Object|null} settings - Guild settings
+ * @returns {boolean}
+ */
+export function isManager(member, settings) {
+  return (
+    isAdministrator(member) ||
+    hasAnyRole(member, settings?.managerRoleIds || [])
+  );
+}
+
+/**
+ * Check a single permission for a member
+ *
+ * Managers have every permission. Without configured roles tracking and
+ * viewing other users' stats are open to everyone.
+ */
+function hasPermission(permission, member, settings) {
+  switch (permission) {
+    case "ADMINISTRATOR":
+      return isAdministrator(member);
+
+    case "MANAGE":
+      return isManager(member, settings);
+
+    case "TRACK": {
+      const roleIds = settings?.trackingRoleIds || [];
+      return (
+        roleIds.length === 0 ||
+        hasAnyRole(member, roleIds) ||
+        isManager(member, settings)
+      );
+    }
+
+    case "VIEW_OTHERS": {
+      const roleIds = settings?.statsViewerRoleIds || [];
+      return (
+        roleIds.length === 0 ||
+        hasAnyRole(member, roleIds) ||
+        isManager(member, settings)
+      );
+    }
+
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check if a member may track time (used outside of interactions)
+ *
+ * Gateway members carry no permissions, so only roles are checked there.
+ * @param {Object|undefined} member - Guild member
+ * @param {Object|null} settings - Guild settings
+ * @returns {boolean}
+ */
+export function canTrack(member, settings) {
+  return hasPermission("TRACK", member, settings);
+}
+
+/**
+ * Get the permissions an interaction requires
+ */
+function getRequirements(interaction) {
+  const userId = interaction.member?.user?.id || interaction.user?.id;
+
+  if (interaction.type === InteractionType.MESSAGE_COMPONENT) {
+    const customId = interaction.data.custom_id;
+
+    // The history of other users stays reserved for managers on every click
+    if (isHistoryCustomId(customId)) {
+      const { state } = parseHistoryState(customId);
+      return {
+        ...HISTORY_COMPONENT_REQUIREMENTS,
+        extra: state.userId !== userId ? ["MANAGE"] : [],
+      };
+    }
+
+    const requirements = isLeaderboardCustomId(customId)
+      ? LEADERBOARD_COMPONENT_REQUIREMENTS
+      : isPanelCustomId(customId)
+      ? PANEL_COMPONENT_REQUIREMENTS
+      : COMPONENT_REQUIREMENTS;
+    return { ...requirements, extra: [] };
+  }
+
+  const { name, options } = interaction.data;
+  const requirements = COMMAND_REQUIREMENTS[name] || {};
+  const extra = [];
+  const targetUserId = options?.find((opt) => opt.name === "user")?.value;
+  const viewsOtherUser = Boolean(targetUserId) && targetUserId !== userId;
+
+  // Viewing someone else's stats needs its own permission
+  if (name === "stats" && viewsOtherUser) {
+    extra.push("VIEW_OTHERS");
+  }
+
+  // Someone else's session history is only visible to managers
+  if (name === "history" && viewsOtherUser) {
+    extra.push("MANAGE");
+  }
+
+  return { ...requirements, extra };
+}
+
+/**
+ * Central authorization for slash commands and components
+ * @param {Object} interaction - Raw interaction payload
+ * @param {Object|null} settings - Guild settings
+ * @returns {{allowed: boolean, message?: string}}
+ */
+export function authorizeInteraction(interaction, settings) {
+  const { member, channel_id: channelId } = interaction;
+  const requirements = getRequirements(interaction);
+
+  const permissions = [requirements.permission, ...requirements.extra].filter(
+    Boolean
+  );
+  for (const permission of permissions) {
+    if (!hasPermission(permission, member, settings)) {
+      return { allowed: false, message: t(DENIED_MESSAGES[permission]) };
+    }
+  }
+
+  // If a tracking channel is set, only allow tracking commands there
+  if (
+    requirements.trackingChannel &&
+    settings?.trackingChannelId &&
+    channelId !== settings.trackingChannelId
+  ) {
+    return {
+      allowed: false,
+      message: t("permissions.denied.channel", {
+        channel: `<#${settings.trackingChannelId}>`,
+      }),
+    };
+  }
+
+  return { allowed: true };
+}
@@ -0,0 +1,152 @@
+import { getGuildMembers, sendChannelMessage } from "./discordApi.js";
+import { resolveLanguage, runWithLanguage, t } from "./i18n.js";
+import { getCalendar, getWeekRange } from "./periods.js";
+import { hasQuotas, resolveQuotaMinutes } from "./quotas.js";
+
+// Keep some room below Discord's 2000 character limit
+const MAX_REPORT_LENGTH = 1900;
+
+/**
+ * Quota reports for members below their weekly quota
+ */
+export class QuotaReporter {
+  /**
+   * @param {import("../database/prisma.js").default} database - Database service
+   * @param {import("./sessionManager.js").SessionManager} sessionManager - Session manager
+   */
+  constructor(database, sessionManager) {
+    this.database = database;
+    this.sessionManager = sessionManager;
+  }
+
+  /**
+   * Build the report of members below quota for a week
+   * @param {string} guildId - Discord guild ID
+   * @param {number} weeksAgo - 0 for the current week, 1 for the previous week
+   * @returns {Promise<string|null>} Report content or null without quotas
+   */
+  async buildReport(guildId, weeksAgo = 0) {
+    const settings = await this.database.getGuildSettings(guildId);
+    const roleQuotas = await this.database.getRoleQuotas(guildId);
+    if (!hasQuotas(settings, roleQuotas)) return null;
+
+    const range = getWeekRange(getCalendar(settings), weeksAgo);
+    const members = await getGuildMembers(guildId);
+    const totals = await this.database.getLeaderboard(guildId, null, range);
+    const totalByUser = new Map(
+      totals.map((entry) => [entry.userId, entry.totalTimeMs])
+    );
+
+    let membersWithQuota = 0;
+    const belowQuota = [];
+
+    for (const member of members) {
+      if (member.user.bot) continue;
+
+      const quotaMinutes = resolveQuotaMinutes(
+        settings,
+        roleQuotas,
+        member.roles
+      );
+      if (!quotaMinutes) continue;
+
+      membersWithQuota++;
+      const doneMs = totalByUser.get(member.user.id) || 0;
+      const requiredMs = quotaMinutes * 60000;
+      if (doneMs < requiredMs) {
+        belowQuota.push({
+          userId: member.user.id,
+          doneMs,
+          requiredMs,
+          ratio: doneMs / requiredMs,
+        });
+      }
+    }
+
+    belowQuota.sort((a, b) => a.ratio - b.ratio);
+
+    let content = `${t("quota.report.title", { range: range.label })}\n\n`;
+
+    if (belowQuota.length === 0) {
+      content += t("quota.report.allReached", { total: membersWithQuota });
+      return content;
+    }
+
+    content += `${t("quota.report.below", {
+      count: belowQuota.length,
+      total: membersWithQuota,
+    })}\n\n`;
+
+    for (let i = 0; i < belowQuota.length; i++) {
+      const entry = belowQuota[i];
+      const line = `<@${entry.userId}> - ${this.sessionManager.formatTime(
+        entry.doneMs
+      )} / ${this.sessionManager.formatTime(entry.requiredMs)} (${Math.floor(
+        entry.ratio * 100
+      )}%)\n`;
+
+      if (content.length + line.length > MAX_REPORT_LENGTH) {
+        content += t("quota.report.more", { count: belowQuota.length - i });
+        break;
+      }
+      content += line;
+    }
+
+    return content;
+  }
+
+  /**
+   * Post the summary of the previous week once per guild and week
+   *
+   * Weeks follow the calendar of each guild, so the summary is posted at
+   * local midnight of its first day of the week.
+   * @param {Date} now - Current time
+   */
+  async postWeeklySummaries(now = new Date()) {
+    const guilds = await this.database.getQuotaSummaryGuildSettings();
+
+    for (const settings of guilds) {
+      let weekStart = null;
+      try {
+        weekStart = getWeekRange(getCalendar(settings), 0, now).start;
+        const claimed = await this.database.claimQuotaSummary(
+          settings.guildId,
+          weekStart
+        );
+        // Already posted for this week (possibly by another instance)
+        if (!claimed) continue;
+
+        const content = await runWithLanguage(resolveLanguage(settings), () =>
+          this.buildReport(settings.guildId, 1)
+        );
+        if (!content) continue;
+
+        await sendChannelMessage(settings.quotaChannelId, {
+          content,
+          allowed_mentions: { parse: [] },
+        });
+        console.log(`🎯 Posted weekly quota summary for ${settings.guildId}`);
+      } catch (error) {
+        console.error(
+          `Error posting quota summary for ${settings.guildId}:`,
+          error
+        );
+        // The next run tries again, the week is not lost
+        if (weekStart) {
+          await this.database
+            .releaseQuotaSummary(
+              settings.guildId,
+              weekStart,
+              settings.quotaReportedWeek
+            )
+            .catch((releaseError) => {
+              console.error(
+                `Error releasing quota summary for ${settings.guildId}:`,
+                releaseError
+              );
+            });
+        }
+      }
+    }
+  }
+}
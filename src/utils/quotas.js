@@ -0,0 +1,46 @@
+/**
+ * Weekly quota helpers
+ */
+
+/**
+ * Determine the weekly quota of a member
+ *
+ * Role quotas take precedence over the guild default; with several
+ * matching roles the highest quota applies.
+ * @param {Object|null} settings - Guild settings
+ * @param {Array} roleQuotas - Role quotas of the guild
+ * @param {string[]} memberRoles - Role IDs of the member
+ * @returns {number|null} Required minutes per week or null without quota
+ */
+export function resolveQuotaMinutes(settings, roleQuotas, memberRoles) {
+  const matching = roleQuotas.filter((quota) =>
+    memberRoles.includes(quota.roleId)
+  );
+
+  if (matching.length > 0) {
+    return Math.max(...matching.map((quota) => quota.minutes));
+  }
+
+  return settings?.quotaMinutes || null;
+}
+
+/**
+ * Check if a guild has any quota configured
+ * @param {Object|null} settings - Guild settings
+ * @param {Array} roleQuotas - Role quotas of the guild
+ * @returns {boolean}
+ */
+export function hasQuotas(settings, roleQuotas) {
+  return Boolean(settings?.quotaMinutes) || roleQuotas.length > 0;
+}
+
+/**
+ * Create a text progress bar
+ * @param {number} ratio - Progress between 0 and 1 (clamped)
+ * @param {number} length - Number of segments
+ * @returns {string} Progress bar
+ */
+export function createProgressBar(ratio, length = 10) {
+  const filled = Math.round(Math.min(Math.max(ratio, 0), 1) * length);
+  return "▰".repeat(filled) + "▱".repeat(length - filled);
+}
@@ -0,0 +1,133 @@
+import { DEFAULT_WEEK_START_DAY, formatDate } from "./periods.js";
+import { getLocalDate, localDateToUtc } from "./timeZone.js";
+
+/**
+ * Report schedule helpers
+ *
+ * Daily reports run every day, weekly reports on the guild's first day of
+ * the week and monthly reports on the first day of the month, each at the
+ * configured local time. A run covers the elapsed calendar period before its
+ * run day in the schedule's time zone.
+ *
+ * Schedules passed in here carry the guild's `weekStartDay` (0 = Sunday).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest distance between two runs (monthly) plus some margin
+const MAX_SEARCH_DAYS = 62;
+
+// Message keys of the frequency labels and report titles
+export const FREQUENCY_LABELS = {
+  DAILY: "report.frequency.daily",
+  WEEKLY: "report.frequency.weekly",
+  MONTHLY: "report.frequency.monthly",
+};
+
+export const REPORT_TITLES = {
+  DAILY: "report.title.daily",
+  WEEKLY: "report.title.weekly",
+  MONTHLY: "report.title.monthly",
+};
+
+/**
+ * Check if a report of the given frequency runs on a calendar date
+ */
+function isRunDay(schedule, calendarDate) {
+  switch (schedule.frequency) {
+    case "WEEKLY":
+      return (
+        calendarDate.getUTCDay() ===
+        (schedule.weekStartDay ?? DEFAULT_WEEK_START_DAY)
+      );
+    case "MONTHLY":
+      return calendarDate.getUTCDate() === 1;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Get the first run of a schedule after an instant
+ * @param {Object} schedule - Report schedule (frequency, hour, minute, timeZone, weekStartDay)
+ * @param {Date} after - Reference time (exclusive)
+ * @returns {Date} Next run
+ */
+export function getNextRunAt(schedule, after) {
+  const today = getLocalDate(after, schedule.timeZone);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const day = new Date(today.getTime() + offset * DAY_MS);
+    if (!isRunDay(schedule, day)) continue;
+
+    const runAt = localDateToUtc(
+      day,
+      schedule.timeZone,
+      schedule.hour,
+      schedule.minute
+    );
+    if (runAt > after) return runAt;
+  }
+
+  throw new Error(`No run found for schedule ${schedule.id}`);
+}
+
+/**
+ * Get the most recent run of a schedule that is due
+ *
+ * Used to catch up after downtime: only the latest missed period is
+ * reported, older ones are skipped.
+ * @param {Object} schedule - Report schedule (frequency, hour, minute, timeZone, weekStartDay)
+ * @param {Date} now - Current time
+ * @returns {{runAt: Date, day: Date}} Run time and its local calendar date
+ */
+export function getLatestRunAt(schedule, now) {
+  const today = getLocalDate(now, schedule.timeZone);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const day = new Date(today.getTime() - offset * DAY_MS);
+    if (!isRunDay(schedule, day)) continue;
+
+    const runAt = localDateToUtc(
+      day,
+      schedule.timeZone,
+      schedule.hour,
+      schedule.minute
+    );
+    if (runAt <= now) return { runAt, day };
+  }
+
+  throw new Error(`No run found for schedule ${schedule.id}`);
+}
+
+/**
+ * Get the period a run reports on
+ * @param {Object} schedule - Report schedule (frequency, timeZone)
+ * @param {Date} runDay - Local calendar date of the run
+ * @returns {{start: Date, end: Date, label: string}} Reported range
+ */
+export function getReportRange(schedule, runDay) {
+  let firstDay;
+  switch (schedule.frequency) {
+    case "WEEKLY":
+      firstDay = new Date(runDay.getTime() - 7 * DAY_MS);
+      break;
+    case "MONTHLY":
+      firstDay = new Date(
+        Date.UTC(runDay.getUTCFullYear(), runDay.getUTCMonth() - 1, 1)
+      );
+      break;
+    default:
+      firstDay = new Date(runDay.getTime() - DAY_MS);
+  }
+  const lastDay = new Date(runDay.getTime() - DAY_MS);
+
+  return {
+    start: localDateToUtc(firstDay, schedule.timeZone),
+    end: localDateToUtc(runDay, schedule.timeZone),
+    label:
+      schedule.frequency === "DAILY"
+        ? formatDate(lastDay)
+        : `${formatDate(firstDay)} – ${formatDate(lastDay)}`,
+  };
+}
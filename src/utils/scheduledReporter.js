@@ -0,0 +1,171 @@
+import { sendChannelMessage } from "./discordApi.js";
+import { MissingPermissionsError } from "./discordRest.js";
+import { resolveLanguage, runWithLanguage, t } from "./i18n.js";
+import { getCalendar } from "./periods.js";
+import {
+  getLatestRunAt,
+  getNextRunAt,
+  getReportRange,
+  REPORT_TITLES,
+} from "./reportSchedules.js";
+
+// A failed post is retried after this time, until the next regular run
+const REPORT_RETRY_MS = 15 * 60 * 1000;
+
+/**
+ * Posts the configured recurring reports
+ */
+export class ScheduledReporter {
+  /**
+   * @param {import("../database/prisma.js").default} database - Database service
+   * @param {import("./sessionManager.js").SessionManager} sessionManager - Session manager
+   */
+  constructor(database, sessionManager) {
+    this.database = database;
+    this.sessionManager = sessionManager;
+  }
+
+  /**
+   * Build the report content for a range
+   * @param {string} guildId - Discord guild ID
+   * @param {string} frequency - DAILY, WEEKLY or MONTHLY
+   * @param {{start: Date, end: Date, label: string}} range - Reported range
+   * @returns {Promise<{content: string, embeds: Array}>} Report message
+   */
+  async buildReport(guildId, frequency, range) {
+    const entries = await this.database.getLeaderboard(guildId, null, range);
+    const totalTimeMs = entries.reduce((sum, e) => sum + e.totalTimeMs, 0);
+    const sessionsCount = entries.reduce((sum, e) => sum + e.sessionsCount, 0);
+
+    let content = `📅 **${t(REPORT_TITLES[frequency])}** (${range.label})\n\n`;
+    content += `${t("report.summary.totalTime", {
+      time: this.sessionManager.formatTime(totalTimeMs),
+    })}\n`;
+    content += `${t("report.summary.sessions", { count: sessionsCount })}\n`;
+    content += `${t("report.summary.members", { count: entries.length })}\n\n`;
+
+    if (entries.length === 0) {
+      return { content, embeds: [] };
+    }
+
+    // The leaderboard follows the guild's output style
+    const leaderboard = await this.sessionManager.getLeaderboard(
+      guildId,
+      10,
+      range
+    );
+    return {
+      content: `${content}${leaderboard.content}`,
+      embeds: leaderboard.embeds,
+    };
+  }
+
+  /**
+   * Post all due reports
+   *
+   * Each due schedule is claimed before posting, so several instances never
+   * post the same run twice. After downtime only the latest missed run is
+   * posted and the schedule moves on to its next regular run.
+   * @param {Date} now - Current time
+   */
+  async runDueReports(now = new Date()) {
+    const schedules = await this.database.getDueReportSchedules(now);
+
+    for (const schedule of schedules) {
+      try {
+        await this.runReport(schedule, now);
+      } catch (error) {
+        console.error(`Error posting report ${schedule.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Claim and post a due report
+   *
+   * If the post fails, the run is retried every 15 minutes until the next
+   * regular run. The first failure of a run is reported to the admins.
+   * @param {Object} schedule - Due schedule
+   * @param {Date} now - Current time
+   */
+  async runReport(schedule, now) {
+    // Reports are posted in the guild's language, weekly reports run on
+    // the guild's first day of the week
+    const settings = await this.database.getGuildSettings(schedule.guildId);
+    const calendarSchedule = {
+      ...schedule,
+      weekStartDay: getCalendar(settings).weekStartDay,
+    };
+    const { runAt, day } = getLatestRunAt(calendarSchedule, now);
+    const nextRunAt = getNextRunAt(calendarSchedule, now);
+
+    const claimed = await this.database.claimReportSchedule(
+      schedule,
+      nextRunAt,
+      now
+    );
+    if (!claimed) return;
+
+    try {
+      const message = await runWithLanguage(resolveLanguage(settings), () =>
+        this.buildReport(
+          schedule.guildId,
+          schedule.frequency,
+          getReportRange(calendarSchedule, day)
+        )
+      );
+
+      await sendChannelMessage(schedule.channelId, {
+        ...message,
+        allowed_mentions: { parse: [] },
+      });
+    } catch (error) {
+      const retryAt = new Date(
+        Math.min(now.getTime() + REPORT_RETRY_MS, nextRunAt.getTime())
+      );
+      await this.database.retryReportSchedule(schedule.id, nextRunAt, retryAt);
+
+      // A retry was due after the run it reports, the first attempt at it
+      if (schedule.nextRunAt <= runAt) {
+        await this.reportFailure(settings, schedule, error);
+      }
+      throw error;
+    }
+
+    console.log(
+      `📅 Posted ${schedule.frequency.toLowerCase()} report for ${
+        schedule.guildId
+      }`
+    );
+  }
+
+  /**
+   * Tell the admins that a report could not be posted
+   * @param {Object|null} settings - Guild settings
+   * @param {Object} schedule - Report schedule
+   * @param {Error} error - Error of the failed post
+   */
+  async reportFailure(settings, schedule, error) {
+    const channelId = settings?.auditChannelId || settings?.trackingChannelId;
+    if (!channelId) return;
+
+    const kind =
+      error instanceof MissingPermissionsError
+        ? "MISSING_PERMISSIONS"
+        : "FAILED";
+    const content = runWithLanguage(resolveLanguage(settings), () =>
+      t(`report.error.${kind}`, {
+        title: t(REPORT_TITLES[schedule.frequency]),
+        channel: `<#${schedule.channelId}>`,
+      })
+    );
+    try {
+      await sendChannelMessage(channelId, {
+        content,
+        allowed_mentions: { parse: [] },
+      });
+    } catch (postError) {
+      console.error("Error reporting failed report:", postError);
+    }
+  }
+}
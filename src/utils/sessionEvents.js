@@ -0,0 +1,179 @@
+import { t } from "./i18n.js";
+
+/**
+ * Session event model helpers
+ *
+ * A session is a sequence of events: START, then any number of
+ * PAUSE/RESUME pairs, optionally closed by a STOP.
+ */
+
+/**
+ * Status changes of a running session, the state machine behind
+ * validateSessionEvents and the database transitions
+ */
+export const SESSION_TRANSITIONS = {
+  PAUSE: { from: ["ACTIVE"], to: "PAUSED" },
+  RESUME: { from: ["PAUSED"], to: "ACTIVE" },
+  STOP: { from: ["ACTIVE", "PAUSED"], to: "COMPLETED" },
+};
+
+/**
+ * Get the status of a session after an event
+ * @param {string|null} status - Current status, null before the START
+ * @param {string} eventType - START, PAUSE, RESUME or STOP
+ * @returns {string|null} New status, null if the event is not allowed
+ */
+export function getNextStatus(status, eventType) {
+  if (eventType === "START") {
+    return status === null ? "ACTIVE" : null;
+  }
+
+  const transition = SESSION_TRANSITIONS[eventType];
+  return transition?.from.includes(status) ? transition.to : null;
+}
+
+// Why an event is not allowed, by event type
+const INVALID_EVENT_MESSAGES = {
+  START: "sessionEvents.invalid.doubleStart",
+  PAUSE: "sessionEvents.invalid.pauseInactive",
+  RESUME: "sessionEvents.invalid.resumeNotPaused",
+  STOP: "sessionEvents.invalid.afterStop",
+};
+
+/**
+ * Sort events by timestamp
+ * @param {Array} events - Session events
+ * @returns {Array} New array sorted ascending
+ */
+export function sortEvents(events) {
+  return [...events].sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+}
+
+/**
+ * Validate a sequence of session events
+ * @param {Array} events - Session events (sorted by timestamp)
+ * @returns {{valid: boolean, message?: string}}
+ */
+export function validateSessionEvents(events) {
+  if (!events || events.length === 0) {
+    return { valid: false, message: t("sessionEvents.invalid.noEvents") };
+  }
+
+  if (events[0].eventType !== "START") {
+    return {
+      valid: false,
+      message: t("sessionEvents.invalid.mustStart"),
+    };
+  }
+
+  let state = null;
+  let previousTime = null;
+
+  for (const event of events) {
+    const time = new Date(event.timestamp).getTime();
+    if (previousTime !== null && time <= previousTime) {
+      return {
+        valid: false,
+        message: t("sessionEvents.invalid.order"),
+      };
+    }
+    previousTime = time;
+
+    if (state === "COMPLETED") {
+      return {
+        valid: false,
+        message: t("sessionEvents.invalid.afterStop"),
+      };
+    }
+
+    const nextState = getNextStatus(state, event.eventType);
+    if (!nextState) {
+      return {
+        valid: false,
+        message: t(INVALID_EVENT_MESSAGES[event.eventType]),
+      };
+    }
+    state = nextState;
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get start and end time of a session from its events
+ * @param {Array} events - Session events
+ * @returns {{start: Date|null, end: Date|null}} End is null for running sessions
+ */
+export function getSessionBounds(events) {
+  const startEvent = events.find((e) => e.eventType === "START");
+  const stopEvent = events.find((e) => e.eventType === "STOP");
+
+  return {
+    start: startEvent ? new Date(startEvent.timestamp) : null,
+    end: stopEvent ? new Date(stopEvent.timestamp) : null,
+  };
+}
+
+/**
+ * Determine when a running session should have been stopped automatically
+ *
+ * The session limit counts active time only. The cutoff is never placed
+ * before the last recorded event so the event sequence stays valid.
+ * @param {Array} events - Session events (sorted by timestamp)
+ * @param {{maxSessionMs?: number|null, maxPauseMs?: number|null}} limits - Guild limits
+ * @param {Date} now - Current time
+ * @returns {{stopTime: Date, reason: "SESSION_LIMIT"|"PAUSE_LIMIT"}|null}
+ */
+export function getAutoStopTime(events, limits, now = new Date()) {
+  if (!events || events.length === 0) return null;
+
+  let activeMs = 0;
+  let lastActiveStart = null;
+  let pausedSince = null;
+
+  for (const event of events) {
+    const time = new Date(event.timestamp).getTime();
+
+    switch (event.eventType) {
+      case "START":
+      case "RESUME":
+        lastActiveStart = time;
+        pausedSince = null;
+        break;
+
+      case "PAUSE":
+        if (lastActiveStart !== null) {
+          activeMs += time - lastActiveStart;
+          lastActiveStart = null;
+        }
+        pausedSince = time;
+        break;
+
+      case "STOP":
+        return null;
+    }
+  }
+
+  const lastEventTime = new Date(events[events.length - 1].timestamp).getTime();
+  let cutoff = null;
+  let reason = null;
+
+  if (lastActiveStart !== null && limits.maxSessionMs) {
+    cutoff = lastActiveStart + (limits.maxSessionMs - activeMs);
+    reason = "SESSION_LIMIT";
+  } else if (pausedSince !== null && limits.maxPauseMs) {
+    cutoff = pausedSince + limits.maxPauseMs;
+    reason = "PAUSE_LIMIT";
+  }
+
+  if (cutoff === null) return null;
+
+  // Limit was already exceeded before the last event (e.g. newly configured)
+  cutoff = Math.max(cutoff, lastEventTime + 1000);
+
+  if (cutoff > now.getTime()) return null;
+
+  return { stopTime: new Date(cutoff), reason };
+}
@@ -1,8 +1,73 @@
 import PrismaService from "../database/prisma.js";
-import { editChannelMessage, sendChannelMessage } from "./discordApi.js";
+import {
+  deleteChannelMessage,
+  editChannelMessage,
+  formatUserDisplayName,
+  getDiscordUser,
+  getDiscordUsers,
+  getGuildMember,
+  sendChannelMessage,
+} from "./discordApi.js";
 import { InteractionResponseFlags } from "discord-interactions";
+import {
+  getSessionBounds,
+  sortEvents,
+  validateSessionEvents,
+} from "./sessionEvents.js";
+import {
+  formatDateTime,
+  getCalendar,
+  getWeekRange,
+  resolvePeriod,
+} from "./periods.js";
+import { resolveLanguage, runWithLanguage, t } from "./i18n.js";
+import {
+  encodeLeaderboardState,
+  LEADERBOARD_PAGE_SIZE,
+  LEADERBOARD_SORTS,
+} from "./leaderboardPages.js";
+import { encodeHistoryState, HISTORY_PAGE_SIZE } from "./historyPages.js";
+import { encodePanelAction } from "./panel.js";
+import { createProgressBar, hasQuotas, resolveQuotaMinutes } from "./quotas.js";
+import {
+  createFooter,
+  createMessagePayload,
+  createUserAuthor,
+  EMBED_COLORS,
+  getAvatarUrl,
+} from "./embeds.js";
+import { WebhookDispatcher } from "./webhooks.js";
+import { AuditLogger } from "./auditLog.js";
+import { DutyRoleManager } from "./dutyRoles.js";
+import { MissingPermissionsError, UnknownMessageError } from "./discordRest.js";
 
 const database = new PrismaService();
+const webhooks = new WebhookDispatcher(database);
+const auditLog = new AuditLogger(database);
+const dutyRoles = new DutyRoleManager(database);
+
+// Online list updates in progress: guildId -> {pending}
+const onlineListUpdates = new Map();
+// Changes within this time are shown with a single edit of the online list
+const ONLINE_LIST_DEBOUNCE_MS = 2000;
+
+// Roles of users on the duty board: guildId:userId -> {roles, expiresAt}
+const memberRolesCache = new Map();
+// Rank changes show up on the board within this time
+const MEMBER_ROLES_TTL_MS = 10 * 60 * 1000;
+
+// Embed field values are limited to 1024 characters
+const MAX_HISTORY_EVENTS = 20;
+// Embed descriptions are limited to 4096 characters
+const MAX_ONLINE_LIST_LENGTH = 3900;
+// Room for title and footer below Discord's 2000 character limit
+const MAX_DUTY_BOARD_CONTENT_LENGTH = 1800;
+
+const SESSION_STATUS_ICONS = {
+  ACTIVE: "🟢",
+  PAUSED: "⏸️",
+  COMPLETED: "✅",
+};
 
 /**
  * Simple, clean session management
@@ -23,29 +88,102 @@ export class SessionManager {
     return `${minutes}min`;
   }
 
+  /**
+   * Display name of a category, sessions without category are "Allgemein"
+   */
+  formatCategoryName(name) {
+    return name || t("category.general");
+  }
+
+  /**
+   * Check if a guild wants embeds (default) or plain text messages
+   */
+  async isEmbedOutput(guildId) {
+    const settings = await database.getGuildSettings(guildId);
+    return !settings?.plainTextOutput;
+  }
+
+  /**
+   * Send a session event to the guild's webhooks without failing the action
+   */
+  async notifyWebhooks(guildId, sessionId, eventType) {
+    try {
+      await webhooks.dispatch(guildId, sessionId, eventType);
+    } catch (error) {
+      console.error(`Error queuing webhooks for session ${sessionId}:`, error);
+    }
+  }
+
+  /**
+   * Give or take the guild's on-duty role after a session change
+   */
+  async updateDutyRole(guildId, userId, onDuty) {
+    await dutyRoles.update(guildId, userId, onDuty);
+  }
+
   /**
    * Start tracking for a user
    */
-  async startSession(userId, guildId, channelId) {
+  async startSession(
+    userId,
+    guildId,
+    channelId,
+    categoryId = null,
+    startedByVoice = false
+  ) {
     // Check for existing active session
     const activeSession = await database.getActiveSession(userId, guildId);
     if (activeSession) {
-      return this.showExistingSession(activeSession);
+      return await this.showExistingSession(activeSession);
     }
 
-    // Create new session
+    // Create new session. A parallel request (double click, other instance)
+    // can be faster, then its session is shown. If that session was stopped
+    // again in between, starting is retried once.
     const startTime = new Date();
-    await database.startSession(userId, guildId, startTime);
+    let sessionId = null;
+    for (let attempt = 0; attempt < 2 && !sessionId; attempt++) {
+      sessionId = await database.startSession(
+        userId,
+        guildId,
+        startTime,
+        categoryId,
+        startedByVoice
+      );
+      if (!sessionId) {
+        const runningSession = await database.getActiveSession(userId, guildId);
+        if (runningSession) {
+          return await this.showExistingSession(runningSession);
+        }
+      }
+    }
+    if (!sessionId) {
+      return {
+        ...createMessagePayload({
+          content: t("session.error.startFailed"),
+        }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      };
+    }
+    await auditLog.record(guildId, {
+      action: "SESSION_START",
+      actorId: userId,
+      targetUserId: userId,
+      sessionId,
+      after: { status: "ACTIVE", timestamp: startTime.toISOString() },
+    });
+    await this.notifyWebhooks(guildId, sessionId, "START");
+    await this.updateDutyRole(guildId, userId, true);
 
     // Update online list
-    await this.updateOnlineList(guildId);
+    this.refreshOnlineList(guildId);
 
     // Get the fresh session with events to display
     const newSession = await database.getActiveSession(userId, guildId);
-    const content = this.createSessionContent(userId, newSession.events, true);
+    const message = await this.createSessionMessage(newSession);
 
     return {
-      content,
+      ...message,
       components: [this.createSessionButtons(true)],
       flags: InteractionResponseFlags.EPHEMERAL,
     };
@@ -54,11 +192,13 @@ export class SessionManager {
   /**
    * Stop tracking for a user
    */
-  async stopSession(userId, guildId) {
+  async stopSession(userId, guildId, memberRoles = null) {
     const activeSession = await database.getActiveSession(userId, guildId);
     if (!activeSession) {
       return {
-        content: "❌ Du hast keine aktive Session!",
+        ...createMessagePayload({
+          content: t("session.error.noActive"),
+        }),
         flags: InteractionResponseFlags.EPHEMERAL,
       };
     }
@@ -69,24 +209,96 @@ export class SessionManager {
       stopTime
     );
 
-    // Stop the session
-    await database.stopSession(userId, guildId, stopTime);
+    // Stop the session, unless a parallel request already did
+    if (
+      !(await database.transitionSession(activeSession.id, "STOP", stopTime))
+    ) {
+      return {
+        ...createMessagePayload({
+          content: t("session.error.noActive"),
+        }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      };
+    }
+    await auditLog.record(guildId, {
+      action: "SESSION_STOP",
+      actorId: userId,
+      targetUserId: userId,
+      sessionId: activeSession.id,
+      before: { status: activeSession.status },
+      after: { status: "COMPLETED", timestamp: stopTime.toISOString() },
+    });
+    await this.notifyWebhooks(guildId, activeSession.id, "STOP");
+    await this.updateDutyRole(guildId, userId, false);
 
     // Update online list
-    await this.updateOnlineList(guildId);
-
-    // Create completion summary without buttons
-    let content = `**Zeiterfassung für <@${userId}>**\n\n`;
-    content += `✅ **Session beendet**\n`;
-    content += `📊 **Session-Dauer:** ${this.formatTime(sessionDuration)}\n\n`;
+    this.refreshOnlineList(guildId);
 
     // Get updated total stats
     const userStats = await database.getUserStats(userId, guildId);
-    content += `🏆 **Gesamtzeit:** ${this.formatTime(userStats.totalTimeMs)}\n`;
-    content += `📈 **Sessions Gesamt:** ${userStats.sessionsCount}`;
+    const quota = await this.getQuotaProgress(userId, guildId, memberRoles);
+
+    // Create completion summary without buttons
+    let message;
+    if (await this.isEmbedOutput(guildId)) {
+      const user = await getDiscordUser(userId);
+      const fields = [
+        {
+          name: t("session.field.duration"),
+          value: this.formatTime(sessionDuration),
+          inline: true,
+        },
+        {
+          name: t("session.field.totalTime"),
+          value: this.formatTime(userStats.totalTimeMs),
+          inline: true,
+        },
+        {
+          name: t("session.field.totalSessions"),
+          value: String(userStats.sessionsCount),
+          inline: true,
+        },
+      ];
+      if (quota) {
+        fields.push({
+          name: t("quota.field"),
+          value: this.formatQuotaProgress(quota),
+        });
+      }
+
+      message = createMessagePayload({
+        embeds: [
+          {
+            author: createUserAuthor(user, userId),
+            title: t("session.stopped.title"),
+            color: EMBED_COLORS.COMPLETED,
+            fields,
+            ...createFooter(t("session.event.STOP"), stopTime),
+          },
+        ],
+      });
+    } else {
+      let content = `${t("session.text.title", { user: `<@${userId}>` })}\n\n`;
+      content += `${t("session.text.stopped")}\n`;
+      content += `${t("session.text.duration", {
+        duration: this.formatTime(sessionDuration),
+      })}\n\n`;
+      content += `${t("session.text.totalTime", {
+        time: this.formatTime(userStats.totalTimeMs),
+      })}\n`;
+      content += t("session.text.totalSessions", {
+        count: userStats.sessionsCount,
+      });
+      if (quota) {
+        content += `\n\n${t("quota.text", {
+          progress: this.formatQuotaProgress(quota),
+        })}`;
+      }
+      message = createMessagePayload({ content });
+    }
 
     return {
-      content,
+      ...message,
       components: [], // Remove buttons when session is stopped
       flags: InteractionResponseFlags.EPHEMERAL,
     };
@@ -99,25 +311,42 @@ export class SessionManager {
     const activeSession = await database.getActiveSession(userId, guildId);
     if (!activeSession || activeSession.status !== "ACTIVE") {
       return {
-        content: "❌ Du hast keine aktive Session!",
+        ...createMessagePayload({
+          content: t("session.error.noActive"),
+        }),
         flags: InteractionResponseFlags.EPHEMERAL,
       };
     }
 
     const pauseTime = new Date();
-    await database.pauseSession(userId, guildId, pauseTime);
-    await this.updateOnlineList(guildId);
+    if (
+      !(await database.transitionSession(activeSession.id, "PAUSE", pauseTime))
+    ) {
+      return {
+        ...createMessagePayload({
+          content: t("session.error.noActive"),
+        }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      };
+    }
+    await auditLog.record(guildId, {
+      action: "SESSION_PAUSE",
+      actorId: userId,
+      targetUserId: userId,
+      sessionId: activeSession.id,
+      before: { status: "ACTIVE" },
+      after: { status: "PAUSED", timestamp: pauseTime.toISOString() },
+    });
+    await this.notifyWebhooks(guildId, activeSession.id, "PAUSE");
+    await this.updateDutyRole(guildId, userId, false);
+    this.refreshOnlineList(guildId);
 
     // Get fresh session data after pause
     const updatedSession = await database.getActiveSession(userId, guildId);
-    const content = this.createSessionContent(
-      userId,
-      updatedSession.events,
-      false
-    );
+    const message = await this.createSessionMessage(updatedSession);
 
     return {
-      content,
+      ...message,
       components: [this.createSessionButtons(false)],
       flags: InteractionResponseFlags.EPHEMERAL,
     };
@@ -130,25 +359,46 @@ export class SessionManager {
     const activeSession = await database.getActiveSession(userId, guildId);
     if (!activeSession || activeSession.status !== "PAUSED") {
       return {
-        content: "❌ Du hast keine pausierte Session!",
+        ...createMessagePayload({
+          content: t("session.error.noPaused"),
+        }),
         flags: InteractionResponseFlags.EPHEMERAL,
       };
     }
 
     const resumeTime = new Date();
-    await database.resumeSession(userId, guildId, resumeTime);
-    await this.updateOnlineList(guildId);
+    if (
+      !(await database.transitionSession(
+        activeSession.id,
+        "RESUME",
+        resumeTime
+      ))
+    ) {
+      return {
+        ...createMessagePayload({
+          content: t("session.error.noPaused"),
+        }),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      };
+    }
+    await auditLog.record(guildId, {
+      action: "SESSION_RESUME",
+      actorId: userId,
+      targetUserId: userId,
+      sessionId: activeSession.id,
+      before: { status: "PAUSED" },
+      after: { status: "ACTIVE", timestamp: resumeTime.toISOString() },
+    });
+    await this.notifyWebhooks(guildId, activeSession.id, "RESUME");
+    await this.updateDutyRole(guildId, userId, true);
+    this.refreshOnlineList(guildId);
 
     // Get fresh session data after resume
     const updatedSession = await database.getActiveSession(userId, guildId);
-    const content = this.createSessionContent(
-      userId,
-      updatedSession.events,
-      true
-    );
+    const message = await this.createSessionMessage(updatedSession);
 
     return {
-      content,
+      ...message,
       components: [this.createSessionButtons(true)],
       flags: InteractionResponseFlags.EPHEMERAL,
     };
@@ -157,15 +407,11 @@ export class SessionManager {
   /**
    * Show existing session
    */
-  showExistingSession(activeSession) {
-    const content = this.createSessionContent(
-      activeSession.userId,
-      activeSession.events,
-      activeSession.status === "ACTIVE"
-    );
+  async showExistingSession(activeSession) {
+    const message = await this.createSessionMessage(activeSession);
 
     return {
-      content,
+      ...message,
       components: [
         this.createSessionButtons(activeSession.status === "ACTIVE"),
       ],
@@ -173,21 +419,131 @@ export class SessionManager {
     };
   }
 
+  /**
+   * Create the session message as embed or text depending on the guild
+   */
+  async createSessionMessage(session) {
+    const isActive = session.status === "ACTIVE";
+
+    if (!(await this.isEmbedOutput(session.guildId))) {
+      return createMessagePayload({
+        content: this.createSessionContent(
+          session.userId,
+          session.events,
+          isActive,
+          null,
+          session.category?.name
+        ),
+      });
+    }
+
+    const user = await getDiscordUser(session.userId);
+    return createMessagePayload({
+      embeds: [
+        this.createSessionEmbed(
+          user,
+          session.userId,
+          session.events,
+          isActive,
+          session.category?.name
+        ),
+      ],
+    });
+  }
+
+  /**
+   * Create session embed, the color reflects the session state
+   */
+  createSessionEmbed(user, userId, events, isActive, categoryName = null) {
+    const startEvent = events.find((e) => e.eventType === "START");
+    const startTime = new Date(startEvent.timestamp);
+    const currentDuration = database.calculateSessionDuration(
+      events,
+      new Date()
+    );
+
+    const fields = [
+      {
+        name: t("session.field.status"),
+        value: isActive
+          ? t("session.status.activeSince", {
+              time: `<t:${Math.floor(startTime.getTime() / 1000)}:R>`,
+            })
+          : t("session.status.paused"),
+        inline: true,
+      },
+      {
+        name: t("session.field.currentDuration"),
+        value: this.formatTime(currentDuration),
+        inline: true,
+      },
+    ];
+    if (categoryName) {
+      fields.push({
+        name: t("session.field.category"),
+        value: categoryName,
+        inline: true,
+      });
+    }
+
+    // Keep long sessions with many pauses within the field limit
+    const history = events.slice(-MAX_HISTORY_EVENTS);
+    let historyText = this.formatEventHistory(history);
+    if (history.length < events.length) {
+      historyText = `…\n${historyText}`;
+    }
+    fields.push({ name: t("session.field.history"), value: historyText });
+
+    return {
+      author: createUserAuthor(user, userId),
+      title: t("app.name"),
+      color: isActive ? EMBED_COLORS.ACTIVE : EMBED_COLORS.PAUSED,
+      fields,
+      ...createFooter(t("session.event.START"), startTime),
+    };
+  }
+
+  /**
+   * Format session events as a list of times
+   */
+  formatEventHistory(events) {
+    return events
+      .map((event) => {
+        const time = new Date(event.timestamp);
+        return `• <t:${Math.floor(time.getTime() / 1000)}:t> - ${t(
+          `session.event.${event.eventType}`
+        )}`;
+      })
+      .join("\n");
+  }
+
   /**
    * Create session content text
    */
-  createSessionContent(userId, events, isActive, finalDuration = null) {
-    if (!events || events.length === 0) return "Keine Session-Daten gefunden.";
+  createSessionContent(
+    userId,
+    events,
+    isActive,
+    finalDuration = null,
+    categoryName = null
+  ) {
+    if (!events || events.length === 0) return t("session.error.noData");
 
     const startEvent = events.find((e) => e.eventType === "START");
-    if (!startEvent) return "Session-Start nicht gefunden.";
+    if (!startEvent) return t("session.error.startNotFound");
 
-    let content = `**Zeiterfassung für <@${userId}>**\n\n`;
+    let content = `${t("session.text.title", { user: `<@${userId}>` })}\n`;
+    if (categoryName) {
+      content += `${t("session.text.category", { category: categoryName })}\n`;
+    }
+    content += `\n`;
 
     // Current status
     if (finalDuration !== null) {
-      content += `✅ **Session beendet**\n`;
-      content += `📊 **Gesamtzeit:** ${this.formatTime(finalDuration)}\n\n`;
+      content += `${t("session.text.stopped")}\n`;
+      content += `${t("session.text.finalDuration", {
+        time: this.formatTime(finalDuration),
+      })}\n\n`;
     } else if (isActive) {
       const currentDuration = database.calculateSessionDuration(
         events,
@@ -197,36 +553,20 @@ export class SessionManager {
       const startTime = `<t:${Math.floor(
         new Date(startEvent.timestamp).getTime() / 1000
       )}:R>`;
-      content += `🟢 **Aktiv** seit ${startTime}\n\n`;
+      content += `${t("session.text.activeSince", { time: startTime })}\n\n`;
     } else {
       const currentDuration = database.calculateSessionDuration(
         events,
         new Date()
       );
-      content += `⏸️ **Pausiert** - ${this.formatTime(currentDuration)}\n\n`;
+      content += `${t("session.text.paused", {
+        duration: this.formatTime(currentDuration),
+      })}\n\n`;
     }
 
     // Event history
-    content += `**Session-Verlauf:**\n`;
-    events.forEach((event) => {
-      const time = new Date(event.timestamp);
-      const timeStr = `<t:${Math.floor(time.getTime() / 1000)}:t>`;
-
-      switch (event.eventType) {
-        case "START":
-          content += `• ${timeStr} - Gestartet\n`;
-          break;
-        case "PAUSE":
-          content += `• ${timeStr} - Pausiert\n`;
-          break;
-        case "RESUME":
-          content += `• ${timeStr} - Fortgesetzt\n`;
-          break;
-        case "STOP":
-          content += `• ${timeStr} - Beendet\n`;
-          break;
-      }
-    });
+    content += `${t("session.text.history")}\n`;
+    content += `${this.formatEventHistory(events)}\n`;
 
     return content;
   }
@@ -242,13 +582,13 @@ export class SessionManager {
         {
           type: 2,
           style: 2,
-          label: "Pausieren",
+          label: t("session.button.pause"),
           custom_id: "pause_session",
         },
         {
           type: 2,
           style: 4,
-          label: "Beenden",
+          label: t("session.button.stop"),
           custom_id: "stop_session",
         }
       );
@@ -257,13 +597,13 @@ export class SessionManager {
         {
           type: 2,
           style: 3,
-          label: "Fortsetzen",
+          label: t("session.button.resume"),
           custom_id: "resume_session",
         },
         {
           type: 2,
           style: 4,
-          label: "Beenden",
+          label: t("session.button.stop"),
           custom_id: "stop_session",
         }
       );
@@ -275,138 +615,1358 @@ export class SessionManager {
     };
   }
 
+  /**
+   * Create the persistent control panel message
+   * @param {string} guildId - Discord guild ID
+   * @param {Object|null} category - Category of sessions started by the panel
+   */
+  async createPanelMessage(guildId, category = null) {
+    const title = t("panel.title");
+    const lines = [t("panel.description")];
+    if (category) {
+      lines.push(t("panel.category", { category: category.name }));
+    }
+
+    const message = (await this.isEmbedOutput(guildId))
+      ? createMessagePayload({
+          embeds: [
+            {
+              title,
+              description: lines.join("\n\n"),
+              color: EMBED_COLORS.INFO,
+              // No timestamp, the panel stays for a long time
+              footer: { text: t("app.name") },
+            },
+          ],
+        })
+      : createMessagePayload({
+          content: `**${title}**\n\n${lines.join("\n\n")}`,
+        });
+
+    return {
+      ...message,
+      components: [
+        {
+          type: 1,
+          components: [
+            {
+              type: 2,
+              style: 3,
+              label: t("panel.button.start"),
+              custom_id: encodePanelAction("start", category?.id),
+            },
+            {
+              type: 2,
+              style: 2,
+              label: t("panel.button.toggle"),
+              custom_id: encodePanelAction("toggle"),
+            },
+            {
+              type: 2,
+              style: 4,
+              label: t("session.button.stop"),
+              custom_id: encodePanelAction("stop"),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Pause a running or resume a paused session (panel button)
+   */
+  async toggleSession(userId, guildId) {
+    const activeSession = await database.getActiveSession(userId, guildId);
+
+    return activeSession?.status === "PAUSED"
+      ? await this.resumeSession(userId, guildId)
+      : await this.pauseSession(userId, guildId);
+  }
+
+  /**
+   * Update the online list in the background, off the response path
+   *
+   * Changes of a burst (e.g. at shift change) are collected for a moment
+   * and shown with a single edit. Updates of a guild run one at a time,
+   * changes made meanwhile are picked up by one follow-up update.
+   * @param {string} guildId - Discord guild ID
+   */
+  refreshOnlineList(guildId) {
+    const queued = onlineListUpdates.get(guildId);
+    if (queued) {
+      queued.pending = true;
+      return;
+    }
+
+    const update = { pending: true };
+    onlineListUpdates.set(guildId, update);
+
+    (async () => {
+      while (update.pending) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, ONLINE_LIST_DEBOUNCE_MS)
+        );
+        update.pending = false;
+        // Never throws
+        await this.updateOnlineList(guildId);
+      }
+      onlineListUpdates.delete(guildId);
+    })();
+  }
+
+  /**
+   * Refresh the online lists of all guilds, e.g. for the shown durations
+   *
+   * One guild at a time, so the refresh never competes with interactions
+   * for many database connections or Discord requests at once.
+   */
+  async refreshOnlineLists() {
+    const guilds = await database.getLiveListGuildSettings();
+    for (const settings of guilds) {
+      // A running update shows the current state anyway
+      if (onlineListUpdates.has(settings.guildId)) continue;
+      await this.updateOnlineList(settings.guildId);
+    }
+  }
+
   /**
    * Update online list message
+   *
+   * Only one instance updates a guild's list at a time, so a deleted
+   * message is replaced by exactly one new message. If another instance is
+   * updating, the list is refreshed again after it.
    */
   async updateOnlineList(guildId) {
     try {
       const settings = await database.getGuildSettings(guildId);
-      console.log(`[DEBUG] Guild settings for ${guildId}:`, settings);
+      if (!settings?.liveChannelId) return;
 
-      if (!settings?.liveChannelId) {
-        console.log(`[DEBUG] No live channel configured for guild ${guildId}`);
+      const claimedUntil = await database.claimLiveList(guildId);
+      if (!claimedUntil) {
+        // The other update may have read the sessions before this change
+        this.refreshOnlineList(guildId);
         return;
       }
 
-      const activeSessions = await database.getAllActiveSessions(guildId);
-      const content = this.createOnlineListContent(activeSessions);
-      console.log(`[DEBUG] Online list content:`, content);
+      try {
+        await this.writeOnlineList(guildId);
+      } finally {
+        await database.releaseLiveList(guildId, claimedUntil);
+      }
+    } catch (error) {
+      if (error instanceof MissingPermissionsError) {
+        console.warn(
+          `⚠️ Cannot update the online list of ${guildId}, the bot lacks permissions in the live channel`
+        );
+        return;
+      }
+      console.error("Error updating online list:", error);
+    }
+  }
 
-      if (settings.liveMessageId) {
-        console.log(
-          `[DEBUG] Trying to update existing message ID: ${settings.liveMessageId}`
+  /**
+   * Edit the online list message, or post it if there is none
+   */
+  async writeOnlineList(guildId) {
+    // Read under the claim: another instance may have posted a new message
+    const settings = await database.getGuildSettings(guildId);
+    if (!settings?.liveChannelId) return;
+
+    // The online list is shared, so it uses the guild's language
+    const activeSessions = await database.getAllActiveSessions(guildId);
+    const message = await runWithLanguage(resolveLanguage(settings), () =>
+      this.createOnlineListMessage(guildId, activeSessions)
+    );
+
+    if (settings.liveMessageId) {
+      try {
+        await editChannelMessage(
+          settings.liveChannelId,
+          settings.liveMessageId,
+          message
         );
-        try {
-          await editChannelMessage(
-            settings.liveChannelId,
-            settings.liveMessageId,
-            { content }
-          );
-          console.log(`[DEBUG] Successfully updated existing message`);
-        } catch (error) {
-          console.log(
-            `[DEBUG] Failed to update online list message (${settings.liveMessageId}), creating new one:`,
-            error.message
-          );
-          // Message deleted or error - create new one
-          const message = await sendChannelMessage(settings.liveChannelId, {
-            content,
-          });
-          console.log(`[DEBUG] Created new message with ID: ${message.id}`);
-          await database.setGuildSettings(guildId, {
-            liveMessageId: message.id,
-          });
-        }
-      } else {
+        return;
+      } catch (error) {
+        // Only a deleted message is replaced: after other errors (missing
+        // permissions, rate limits) a new message would be posted on every
+        // update, the next update tries the same message again
+        if (!(error instanceof UnknownMessageError)) throw error;
+
         console.log(
-          `[DEBUG] No existing message ID, creating first online list message`
+          `📋 Online list message of ${guildId} was deleted, posting a new one`
         );
-        // Create first online list message
-        const message = await sendChannelMessage(settings.liveChannelId, {
-          content,
+      }
+    }
+
+    const newMessage = await sendChannelMessage(
+      settings.liveChannelId,
+      message
+    );
+    console.log(`📋 Posted online list of ${guildId} (${newMessage.id})`);
+
+    const stored = await database.setLiveMessageId(
+      guildId,
+      settings.liveChannelId,
+      newMessage.id
+    );
+    if (!stored) {
+      // The live channel was changed meanwhile, the message is not needed
+      await deleteChannelMessage(settings.liveChannelId, newMessage.id);
+    }
+  }
+
+  /**
+   * Create the online list message as embed or text depending on the guild
+   *
+   * Guilds with the board layout get the duty board, the others the
+   * compact list.
+   */
+  async createOnlineListMessage(guildId, activeSessions) {
+    const settings = await database.getGuildSettings(guildId);
+
+    if (settings?.liveBoardLayout === "BOARD") {
+      const board = await this.getDutyBoard(guildId, settings, activeSessions);
+      return {
+        ...createMessagePayload(
+          settings.plainTextOutput
+            ? { content: this.createDutyBoardContent(board) }
+            : { embeds: [this.createDutyBoardEmbed(board)] }
+        ),
+        // Rank headers are role mentions, which must not ping the rank
+        allowed_mentions: { parse: [] },
+      };
+    }
+
+    if (settings?.plainTextOutput) {
+      return createMessagePayload({
+        content: this.createOnlineListContent(activeSessions),
+      });
+    }
+
+    return createMessagePayload({
+      embeds: [this.createOnlineListEmbed(activeSessions)],
+    });
+  }
+
+  /**
+   * Create online list embed
+   *
+   * Users are shown as mentions, which embeds render as names without
+   * fetching every user on each update.
+   */
+  createOnlineListEmbed(activeSessions) {
+    let description = "";
+
+    for (let i = 0; i < activeSessions.length; i++) {
+      const session = activeSessions[i];
+      const startEvent = session.events.find((e) => e.eventType === "START");
+      const startTime = `<t:${Math.floor(
+        new Date(startEvent.timestamp).getTime() / 1000
+      )}:R>`;
+      const icon = session.status === "ACTIVE" ? "🟢" : "⏸️";
+      const category = session.category ? ` [${session.category.name}]` : "";
+      const line = `${icon} <@${session.userId}>${category} - ${t(
+        "onlineList.since",
+        { time: startTime }
+      )}\n`;
+
+      if (description.length + line.length > MAX_ONLINE_LIST_LENGTH) {
+        description += t("onlineList.more", {
+          count: activeSessions.length - i,
         });
-        console.log(`[DEBUG] Created first message with ID: ${message.id}`);
-        await database.setGuildSettings(guildId, { liveMessageId: message.id });
+        break;
       }
-    } catch (error) {
-      console.error("Error updating online list:", error);
+      description += line;
     }
+
+    return {
+      title: t("onlineList.title"),
+      description: description || t("onlineList.empty"),
+      color:
+        activeSessions.length > 0
+          ? EMBED_COLORS.ACTIVE
+          : EMBED_COLORS.COMPLETED,
+      ...createFooter(t("onlineList.count", { count: activeSessions.length })),
+    };
   }
 
   /**
    * Create simple online list content
    */
   createOnlineListContent(activeSessions) {
+    let content = `**${t("onlineList.title")}**\n\n`;
+
     if (activeSessions.length === 0) {
-      return "**Online-Liste**\n\nZurzeit niemand online.";
+      return `${content}${t("onlineList.empty")}`;
     }
 
-    let content = "**Online-Liste**\n\n";
-
     activeSessions.forEach((session) => {
       const startEvent = session.events.find((e) => e.eventType === "START");
       const startTime = `<t:${Math.floor(
         new Date(startEvent.timestamp).getTime() / 1000
       )}:R>`;
-      const status = session.status === "ACTIVE" ? "" : " (pausiert)";
-      content += `<@${session.userId}> - seit ${startTime}${status}\n`;
+      const category = session.category ? ` [${session.category.name}]` : "";
+      const status =
+        session.status === "ACTIVE" ? "" : ` ${t("onlineList.paused")}`;
+      content += `<@${session.userId}>${category} - ${t("onlineList.since", {
+        time: startTime,
+      })}${status}\n`;
     });
 
-    content += `\n*${activeSessions.length} Benutzer online*`;
+    content += `\n*${t("onlineList.count", {
+      count: activeSessions.length,
+    })}*`;
     return content;
   }
 
   /**
-   * Get user statistics
+   * Collect the duty board of a guild
+   *
+   * Sessions are grouped by status, then by the highest configured rank
+   * role of the user. Users without a rank (or all users, if the guild has
+   * no ranks) form the last group.
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} settings - Guild settings
+   * @param {Array} activeSessions - Running sessions with events and category
+   * @returns {Promise<Object>} Board with groups, today's total and the update time
+   */
+  async getDutyBoard(guildId, settings, activeSessions) {
+    const now = new Date();
+    const rankRoleIds = settings.liveRankRoleIds || [];
+    const memberRoles =
+      rankRoleIds.length > 0
+        ? await this.getMemberRoles(
+            guildId,
+            activeSessions.map((session) => session.userId)
+          )
+        : new Map();
+
+    const { range } = resolvePeriod(
+      "day",
+      undefined,
+      undefined,
+      getCalendar(settings),
+      now
+    );
+    const todayMs = (await database.getCategoryTotals(guildId, range)).reduce(
+      (sum, total) => sum + total.totalTimeMs,
+      0
+    );
+
+    const entries = activeSessions.map((session) => {
+      const roles = memberRoles.get(session.userId) || [];
+      return {
+        userId: session.userId,
+        status: session.status,
+        categoryName: session.category?.name || null,
+        startedAt: getSessionBounds(session.events).start,
+        activeMs: database.calculateSessionDuration(session.events, now),
+        rankRoleId:
+          rankRoleIds.find((roleId) => roles.includes(roleId)) || null,
+      };
+    });
+
+    const groups = ["ACTIVE", "PAUSED"].map((status) => {
+      const sessions = entries
+        .filter((entry) => entry.status === status)
+        .sort((a, b) => b.activeMs - a.activeMs);
+      const ranks = [...rankRoleIds, null]
+        .map((roleId) => ({
+          roleId,
+          sessions: sessions.filter((entry) => entry.rankRoleId === roleId),
+        }))
+        .filter((rank) => rank.sessions.length > 0);
+      return { status, count: sessions.length, ranks };
+    });
+
+    return {
+      groups: groups.filter((group) => group.count > 0),
+      hasRanks: rankRoleIds.length > 0,
+      count: activeSessions.length,
+      todayMs,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * Roles of the users on the duty board
+   *
+   * Only these members are fetched, and their roles are cached for a while,
+   * so board updates do not use up the rate limit of the list edits. Users
+   * whose member could not be fetched are shown without rank.
+   * @param {string} guildId - Discord guild ID
+   * @param {string[]} userIds - Users with a running session
+   * @returns {Promise<Map<string, string[]>>} userId -> role IDs
+   */
+  async getMemberRoles(guildId, userIds) {
+    const now = Date.now();
+    const roles = new Map();
+
+    for (const userId of new Set(userIds)) {
+      const key = `${guildId}:${userId}`;
+      let cached = memberRolesCache.get(key);
+
+      if (!cached || cached.expiresAt <= now) {
+        const member = await getGuildMember(guildId, userId);
+        // Failures are not cached, the next update tries again
+        if (!member) continue;
+
+        cached = { roles: member.roles, expiresAt: now + MEMBER_ROLES_TTL_MS };
+        memberRolesCache.set(key, cached);
+      }
+      roles.set(userId, cached.roles);
+    }
+
+    // Forget users who went off duty
+    for (const [key, entry] of memberRolesCache) {
+      if (entry.expiresAt <= now) memberRolesCache.delete(key);
+    }
+
+    return roles;
+  }
+
+  /**
+   * Lines of the duty board, shortened to the given length
+   */
+  formatDutyBoard(board, maxLength) {
+    const lines = [
+      t("onlineList.today", { time: this.formatTime(board.todayMs) }),
+      "",
+    ];
+
+    if (board.count === 0) {
+      lines.push(t("onlineList.empty"));
+      return lines.join("\n");
+    }
+
+    let length = lines.join("\n").length;
+    let shown = 0;
+
+    for (const group of board.groups) {
+      const groupLines = [
+        `**${SESSION_STATUS_ICONS[group.status]} ${t(
+          `onlineList.group.${group.status}`
+        )} (${group.count})**`,
+      ];
+
+      for (const rank of group.ranks) {
+        if (board.hasRanks) {
+          const name = rank.roleId
+            ? `<@&${rank.roleId}>`
+            : t("onlineList.noRank");
+          groupLines.push(`__${name}__ (${rank.sessions.length})`);
+        }
+
+        for (const entry of rank.sessions) {
+          const category = entry.categoryName ? ` [${entry.categoryName}]` : "";
+          const since = t("onlineList.since", {
+            time: `<t:${Math.floor(entry.startedAt.getTime() / 1000)}:R>`,
+          });
+          const line = `<@${entry.userId}>${category} - **${this.formatTime(
+            entry.activeMs
+          )}** · ${since}`;
+
+          // Headers of a group are only shown with its first user
+          const added = [...groupLines, line].join("\n");
+          if (length + added.length + 1 > maxLength) {
+            lines.push(t("onlineList.more", { count: board.count - shown }));
+            return lines.join("\n");
+          }
+          lines.push(...groupLines, line);
+          length += added.length + 1;
+          groupLines.length = 0;
+          shown++;
+        }
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Create the duty board embed, the footer shows the time of the update
    */
-  async getUserStats(targetUserId, guildId) {
-    const stats = await database.getUserStats(targetUserId, guildId);
+  createDutyBoardEmbed(board) {
+    return {
+      title: t("onlineList.title"),
+      description: this.formatDutyBoard(board, MAX_ONLINE_LIST_LENGTH),
+      color: board.count > 0 ? EMBED_COLORS.ACTIVE : EMBED_COLORS.COMPLETED,
+      ...createFooter(
+        `${t("onlineList.count", { count: board.count })} · ${t(
+          "onlineList.updated"
+        )}`,
+        board.updatedAt
+      ),
+    };
+  }
+
+  /**
+   * Create the duty board as text
+   */
+  createDutyBoardContent(board) {
+    const updatedAt = `<t:${Math.floor(board.updatedAt.getTime() / 1000)}:T>`;
+    return `**${t("onlineList.title")}**\n\n${this.formatDutyBoard(
+      board,
+      MAX_DUTY_BOARD_CONTENT_LENGTH
+    )}\n\n*${t("onlineList.count", { count: board.count })} · ${t(
+      "onlineList.updated"
+    )} ${updatedAt}*`;
+  }
+
+  /**
+   * Get user statistics as message payload
+   */
+  async getUserStats(targetUserId, guildId, range = null, memberRoles = null) {
+    const stats = await database.getUserStats(targetUserId, guildId, range);
+    const quota = await this.getQuotaProgress(
+      targetUserId,
+      guildId,
+      memberRoles
+    );
 
     const avgTime =
       stats.sessionsCount > 0 ? stats.totalTimeMs / stats.sessionsCount : 0;
+    // Only show a breakdown if categories are actually used
+    const showCategories = stats.categories.some(
+      (category) => category.categoryId
+    );
 
-    let content = `**Statistiken für <@${targetUserId}>**\n\n`;
-    content += `📊 **Gesamtzeit:** ${this.formatTime(stats.totalTimeMs)}\n`;
-    content += `🎮 **Sessions:** ${stats.sessionsCount}\n`;
-    content += `📈 **Durchschnitt:** ${this.formatTime(avgTime)}\n`;
+    if (await this.isEmbedOutput(guildId)) {
+      const user = await getDiscordUser(targetUserId);
+      const fields = [
+        {
+          name: t("stats.field.totalTime"),
+          value: this.formatTime(stats.totalTimeMs),
+          inline: true,
+        },
+        {
+          name: t("stats.field.sessions"),
+          value: String(stats.sessionsCount),
+          inline: true,
+        },
+        {
+          name: t("stats.field.average"),
+          value: this.formatTime(avgTime),
+          inline: true,
+        },
+      ];
+      if (stats.lastSeen) {
+        fields.push({
+          name: t("stats.field.lastSeen"),
+          value: `<t:${Math.floor(
+            new Date(stats.lastSeen).getTime() / 1000
+          )}:R>`,
+          inline: true,
+        });
+      }
+      if (quota) {
+        fields.push({
+          name: t("quota.field"),
+          value: this.formatQuotaProgress(quota),
+        });
+      }
+      if (showCategories) {
+        fields.push({
+          name: t("stats.field.byCategory"),
+          value: stats.categories
+            .map((category) => this.formatCategoryStats(category))
+            .join("\n"),
+        });
+      }
+
+      return createMessagePayload({
+        embeds: [
+          {
+            author: createUserAuthor(user, targetUserId),
+            title: range
+              ? `${t("stats.title")} (${range.label})`
+              : t("stats.title"),
+            color: EMBED_COLORS.INFO,
+            fields,
+            ...createFooter(t("app.name")),
+          },
+        ],
+      });
+    }
+
+    let content = t("stats.text.title", { user: `<@${targetUserId}>` });
+    content += range ? ` (${range.label})\n\n` : `\n\n`;
+    content += `${t("stats.text.totalTime", {
+      time: this.formatTime(stats.totalTimeMs),
+    })}\n`;
+    content += `${t("stats.text.sessions", { count: stats.sessionsCount })}\n`;
+    content += `${t("stats.text.average", {
+      time: this.formatTime(avgTime),
+    })}\n`;
 
     if (stats.lastSeen) {
       const lastSeen = `<t:${Math.floor(
         new Date(stats.lastSeen).getTime() / 1000
       )}:R>`;
-      content += `👀 **Zuletzt:** ${lastSeen}`;
+      content += `${t("stats.text.lastSeen", { time: lastSeen })}\n`;
+    }
+
+    if (quota) {
+      content += `\n${t("quota.text", {
+        progress: this.formatQuotaProgress(quota),
+      })}\n`;
+    }
+
+    if (showCategories) {
+      content += `\n**${t("stats.field.byCategory")}:**\n`;
+      stats.categories.forEach((category) => {
+        content += `${this.formatCategoryStats(category)}\n`;
+      });
+    }
+
+    return createMessagePayload({ content });
+  }
+
+  /**
+   * Format the time of a category with its session count
+   */
+  formatCategoryStats(category) {
+    return `🏷️ ${this.formatCategoryName(category.name)}: ${this.formatTime(
+      category.totalTimeMs
+    )} (${t("common.sessionsCount", { count: category.sessionsCount })})`;
+  }
+
+  /**
+   * Get the weekly quota progress of a user (null if no quota applies)
+   * @param {string[]|null} memberRoles - Role IDs, fetched from Discord if null
+   * @returns {Promise<{doneMs: number, requiredMs: number, ratio: number}|null>}
+   */
+  async getQuotaProgress(userId, guildId, memberRoles = null) {
+    const settings = await database.getGuildSettings(guildId);
+    const roleQuotas = await database.getRoleQuotas(guildId);
+    if (!hasQuotas(settings, roleQuotas)) return null;
+
+    if (memberRoles === null) {
+      const member = await getGuildMember(guildId, userId);
+      memberRoles = member?.roles || [];
     }
 
+    const quotaMinutes = resolveQuotaMinutes(settings, roleQuotas, memberRoles);
+    if (!quotaMinutes) return null;
+
+    const stats = await database.getUserStats(
+      userId,
+      guildId,
+      getWeekRange(getCalendar(settings))
+    );
+    const requiredMs = quotaMinutes * 60000;
+
+    return {
+      doneMs: stats.totalTimeMs,
+      requiredMs,
+      ratio: stats.totalTimeMs / requiredMs,
+    };
+  }
+
+  /**
+   * Format quota progress as hours done vs. required with a progress bar
+   */
+  formatQuotaProgress({ doneMs, requiredMs, ratio }) {
+    let content = `${this.formatTime(doneMs)} / ${this.formatTime(
+      requiredMs
+    )} (${Math.floor(ratio * 100)}%)\n`;
+    content += createProgressBar(ratio);
+    if (ratio >= 1) content += " ✅";
+
     return content;
   }
 
   /**
-   * Get leaderboard
+   * Get the top entries of the leaderboard as message payload
    */
-  async getLeaderboard(guildId, limit = 10) {
-    const leaderboard = await database.getLeaderboard(guildId, limit);
+  async getLeaderboard(guildId, limit = 10, range = null, category = null) {
+    const leaderboard = await database.getLeaderboard(
+      guildId,
+      limit,
+      range,
+      category?.id
+    );
+
+    return await this.createLeaderboardMessage(guildId, leaderboard, {
+      range,
+      category,
+    });
+  }
+
+  /**
+   * Get one page of the leaderboard with navigation components
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - User whose rank is always shown
+   * @param {Object} state - View state from the command or custom_id
+   * @param {"prev"|"next"|"me"|"sort"|"page"} action - Navigation action
+   */
+  async getLeaderboardPage(guildId, userId, state, action = "page") {
+    const settings = await database.getGuildSettings(guildId);
+    const { range } = resolvePeriod(
+      state.period,
+      state.from,
+      state.to,
+      getCalendar(settings)
+    );
+    const category = state.categoryId
+      ? (await database.getCategories(guildId)).find(
+          (c) => c.id === state.categoryId
+        ) || null
+      : null;
+
+    // All entries are needed anyway to find the caller's rank
+    const leaderboard = await database.getLeaderboard(
+      guildId,
+      null,
+      range,
+      state.categoryId,
+      state.sort
+    );
+    const pageCount = Math.max(
+      Math.ceil(leaderboard.length / LEADERBOARD_PAGE_SIZE),
+      1
+    );
+    const ownIndex = leaderboard.findIndex((entry) => entry.userId === userId);
+
+    let page = state.page;
+    if (action === "prev") page--;
+    if (action === "next") page++;
+    if (action === "sort") page = 0;
+    if (action === "me" && ownIndex >= 0) {
+      page = Math.floor(ownIndex / LEADERBOARD_PAGE_SIZE);
+    }
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+
+    const offset = page * LEADERBOARD_PAGE_SIZE;
+    const ownEntry = leaderboard[ownIndex];
+    const ownRank = ownEntry
+      ? t("leaderboard.ownRank", {
+          user: `<@${userId}>`,
+          rank: ownIndex + 1,
+          time: this.formatTime(ownEntry.totalTimeMs),
+          count: ownEntry.sessionsCount,
+        })
+      : t("leaderboard.notRanked", { user: `<@${userId}>` });
+
+    const message = await this.createLeaderboardMessage(
+      guildId,
+      leaderboard.slice(offset, offset + LEADERBOARD_PAGE_SIZE),
+      {
+        range,
+        category,
+        sort: state.sort,
+        offset,
+        pageLabel: t("leaderboard.page", { page: page + 1, pages: pageCount }),
+        footerLine: ownRank,
+      }
+    );
+
+    const pageState = { ...state, page };
+    return {
+      ...message,
+      allowed_mentions: { parse: [] },
+      components: [
+        {
+          type: 1,
+          components: [
+            {
+              type: 2,
+              style: 2,
+              label: "◀",
+              custom_id: encodeLeaderboardState("prev", pageState),
+              disabled: page === 0,
+            },
+            {
+              type: 2,
+              style: 2,
+              label: `${page + 1}/${pageCount}`,
+              custom_id: encodeLeaderboardState("page", pageState),
+              disabled: true,
+            },
+            {
+              type: 2,
+              style: 2,
+              label: "▶",
+              custom_id: encodeLeaderboardState("next", pageState),
+              disabled: page >= pageCount - 1,
+            },
+            {
+              type: 2,
+              style: 1,
+              label: t("leaderboard.button.me"),
+              custom_id: encodeLeaderboardState("me", pageState),
+            },
+          ],
+        },
+        {
+          type: 1,
+          components: [
+            {
+              type: 3, // STRING_SELECT
+              custom_id: encodeLeaderboardState("sort", pageState),
+              placeholder: t("leaderboard.sort.placeholder"),
+              options: Object.entries(LEADERBOARD_SORTS).map(
+                ([value, { labelKey }]) => ({
+                  label: t("leaderboard.sort.option", { sort: t(labelKey) }),
+                  value,
+                  default: value === state.sort,
+                })
+              ),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Render leaderboard entries as embed or text depending on the guild
+   */
+  async createLeaderboardMessage(
+    guildId,
+    leaderboard,
+    {
+      range = null,
+      category = null,
+      sort = "total",
+      offset = 0,
+      pageLabel = null,
+      footerLine = null,
+    }
+  ) {
+    const sortLabel =
+      sort !== "total"
+        ? t("leaderboard.sortedBy", {
+            sort: t(LEADERBOARD_SORTS[sort].labelKey),
+          })
+        : null;
+    const periodSuffix = [category?.name, range?.label, sortLabel]
+      .filter(Boolean)
+      .map((label) => ` (${label})`)
+      .join("");
+
+    const useEmbeds = await this.isEmbedOutput(guildId);
 
     if (leaderboard.length === 0) {
-      return "**Leaderboard**\n\nNoch keine Daten vorhanden.";
+      const description = [t("leaderboard.empty"), footerLine].filter(Boolean);
+
+      return useEmbeds
+        ? createMessagePayload({
+            embeds: [
+              {
+                title: `🏆 ${t("leaderboard.title")}${periodSuffix}`,
+                description: description.join("\n\n"),
+                color: EMBED_COLORS.INFO,
+                ...createFooter(t("app.name")),
+              },
+            ],
+          })
+        : createMessagePayload({
+            content: `**${t(
+              "leaderboard.title"
+            )}${periodSuffix}**\n\n${description.join("\n\n")}`,
+          });
+    }
+
+    // Guild totals per category for the unfiltered leaderboard
+    const categoryTotals = category
+      ? []
+      : await database.getCategoryTotals(guildId, range);
+    const showCategoryTotals = categoryTotals.some((total) => total.categoryId);
+
+    const getMedal = (position) =>
+      position === 1
+        ? "🥇"
+        : position === 2
+        ? "🥈"
+        : position === 3
+        ? "🥉"
+        : `${position}.`;
+    const formatEntryStats = (entry) => {
+      const sessions = t("common.sessionsCount", {
+        count: entry.sessionsCount,
+      });
+      return sort === "average"
+        ? `Ø ${this.formatTime(entry.averageTimeMs)} (${sessions})`
+        : `${this.formatTime(entry.totalTimeMs)} (${sessions})`;
+    };
+    const formatCategoryTotal = (total) =>
+      `🏷️ ${this.formatCategoryName(total.name)}: ${this.formatTime(
+        total.totalTimeMs
+      )}`;
+
+    if (useEmbeds) {
+      const users = await getDiscordUsers(
+        leaderboard.map((entry) => entry.userId)
+      );
+      let description = leaderboard
+        .map(
+          (entry, index) =>
+            `${getMedal(offset + index + 1)} **${formatUserDisplayName(
+              users[entry.userId],
+              entry.userId
+            )}** - ${formatEntryStats(entry)}`
+        )
+        .join("\n");
+      if (footerLine) description += `\n\n${footerLine}`;
+
+      const embed = {
+        title: `🏆 ${t("leaderboard.topTitle")}${periodSuffix}`,
+        description,
+        color: EMBED_COLORS.INFO,
+        thumbnail: {
+          url: getAvatarUrl(
+            users[leaderboard[0].userId],
+            leaderboard[0].userId
+          ),
+        },
+        ...createFooter(
+          pageLabel ? `${t("app.name")} • ${pageLabel}` : t("app.name")
+        ),
+      };
+      if (showCategoryTotals) {
+        embed.fields = [
+          {
+            name: t("leaderboard.categoryTotals"),
+            value: categoryTotals.map(formatCategoryTotal).join("\n"),
+          },
+        ];
+      }
+
+      return createMessagePayload({ embeds: [embed] });
     }
 
-    let content = "**Leaderboard - Top Spieler**\n\n";
+    let content = `**${t("leaderboard.topTitle")}${periodSuffix}**\n\n`;
 
     leaderboard.forEach((entry, index) => {
-      const position = index + 1;
-      const medal =
-        position === 1
-          ? "🥇"
-          : position === 2
-          ? "🥈"
-          : position === 3
-          ? "🥉"
-          : `${position}.`;
-      content += `${medal} <@${entry.userId}> - ${this.formatTime(
-        entry.totalTimeMs
-      )} (${entry.sessionsCount} Sessions)\n`;
+      content += `${getMedal(offset + index + 1)} <@${
+        entry.userId
+      }> - ${formatEntryStats(entry)}\n`;
+    });
+
+    if (showCategoryTotals) {
+      content += `\n**${t("leaderboard.categoryTotals")}:**\n`;
+      categoryTotals.forEach((total) => {
+        content += `${formatCategoryTotal(total)}\n`;
+      });
+    }
+
+    if (footerLine) content += `\n${footerLine}\n`;
+    if (pageLabel) content += `\n*${pageLabel}*`;
+
+    return createMessagePayload({ content });
+  }
+
+  /**
+   * Get start, end, active and pause time of a session
+   */
+  getSessionTimes(session, now = new Date()) {
+    const { start, end } = getSessionBounds(session.events);
+    const activeMs = database.calculateSessionDuration(session.events, now);
+    const spanMs = start ? (end || now).getTime() - start.getTime() : 0;
+
+    return { start, end, activeMs, pauseMs: Math.max(spanMs - activeMs, 0) };
+  }
+
+  /**
+   * Format a session as one line of the history
+   */
+  formatHistoryEntry(session, now) {
+    const { start, end, activeMs, pauseMs } = this.getSessionTimes(
+      session,
+      now
+    );
+    const startSeconds = start ? Math.floor(start.getTime() / 1000) : null;
+
+    let line = t("history.entry", {
+      status: SESSION_STATUS_ICONS[session.status],
+      date: start ? `<t:${startSeconds}:d>` : "?",
+      start: start ? `<t:${startSeconds}:t>` : "?",
+      end: end
+        ? `<t:${Math.floor(end.getTime() / 1000)}:t>`
+        : t("history.running"),
+      active: this.formatTime(activeMs),
+      pause: this.formatTime(pauseMs),
+    });
+    if (session.category) line += ` • 🏷️ ${session.category.name}`;
+
+    return line;
+  }
+
+  /**
+   * Get one page of a user's session history with navigation components
+   * @param {string} guildId - Discord guild ID
+   * @param {{userId: string, page: number}} state - View state from the command or custom_id
+   * @param {"prev"|"next"|"page"|"back"} action - Navigation action
+   */
+  async getHistoryPage(guildId, state, action = "page") {
+    const { userId } = state;
+    const totalCount = await database.countSessions(userId, guildId);
+    const pageCount = Math.max(Math.ceil(totalCount / HISTORY_PAGE_SIZE), 1);
+
+    let page = state.page;
+    if (action === "prev") page--;
+    if (action === "next") page++;
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+
+    const offset = page * HISTORY_PAGE_SIZE;
+    const sessions = await database.getRecentSessions(
+      userId,
+      guildId,
+      HISTORY_PAGE_SIZE,
+      offset
+    );
+    const { timeZone } = getCalendar(await database.getGuildSettings(guildId));
+    const now = new Date();
+
+    const pageLabel = t("history.page", { page: page + 1, pages: pageCount });
+    const description =
+      sessions.length > 0
+        ? sessions
+            .map(
+              (session, index) =>
+                `${offset + index + 1}. ${this.formatHistoryEntry(
+                  session,
+                  now
+                )}`
+            )
+            .join("\n")
+        : t("history.empty");
+
+    let message;
+    if (await this.isEmbedOutput(guildId)) {
+      const user = await getDiscordUser(userId);
+      message = createMessagePayload({
+        embeds: [
+          {
+            author: createUserAuthor(user, userId),
+            title: `📜 ${t("history.title")}`,
+            description,
+            color: EMBED_COLORS.INFO,
+            ...createFooter(`${t("app.name")} • ${pageLabel}`),
+          },
+        ],
+      });
+    } else {
+      message = createMessagePayload({
+        content: `${t("history.text.title", {
+          user: `<@${userId}>`,
+        })}\n\n${description}\n\n*${pageLabel}*`,
+      });
+    }
+
+    if (sessions.length === 0) {
+      return { ...message, components: [] };
+    }
+
+    const pageState = { userId, page };
+    return {
+      ...message,
+      allowed_mentions: { parse: [] },
+      components: [
+        {
+          type: 1,
+          components: [
+            {
+              type: 2,
+              style: 2,
+              label: "◀",
+              custom_id: encodeHistoryState("prev", pageState),
+              disabled: page === 0,
+            },
+            {
+              type: 2,
+              style: 2,
+              label: `${page + 1}/${pageCount}`,
+              custom_id: encodeHistoryState("page", pageState),
+              disabled: true,
+            },
+            {
+              type: 2,
+              style: 2,
+              label: "▶",
+              custom_id: encodeHistoryState("next", pageState),
+              disabled: page >= pageCount - 1,
+            },
+          ],
+        },
+        {
+          type: 1,
+          components: [
+            {
+              type: 3, // STRING_SELECT
+              custom_id: encodeHistoryState("select", pageState),
+              placeholder: t("history.select.placeholder"),
+              options: sessions.map((session, index) => {
+                const { start, activeMs } = this.getSessionTimes(session, now);
+                return {
+                  label: t("history.select.option", {
+                    number: offset + index + 1,
+                    start: start ? formatDateTime(start, timeZone) : "?",
+                    active: this.formatTime(activeMs),
+                  }),
+                  description: session.category?.name,
+                  value: session.id,
+                  emoji: { name: SESSION_STATUS_ICONS[session.status] },
+                };
+              }),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Show the event timeline of a session from the history
+   * @param {string} guildId - Discord guild ID
+   * @param {{userId: string, page: number}} state - View state to return to
+   * @param {string} sessionId - Selected session
+   */
+  async getHistorySession(guildId, state, sessionId) {
+    const backRow = {
+      type: 1,
+      components: [
+        {
+          type: 2,
+          style: 2,
+          label: t("history.button.back"),
+          custom_id: encodeHistoryState("back", state),
+        },
+      ],
+    };
+
+    const session = sessionId
+      ? await database.getSession(sessionId, guildId)
+      : null;
+    // The custom_id decides whose history is shown, not the selected value
+    if (!session || session.userId !== state.userId) {
+      return {
+        ...createMessagePayload({ content: t("history.notFound") }),
+        components: [backRow],
+      };
+    }
+
+    const { activeMs } = this.getSessionTimes(session);
+    const content = this.createSessionContent(
+      session.userId,
+      session.events,
+      session.status === "ACTIVE",
+      session.status === "COMPLETED" ? activeMs : null,
+      session.category?.name
+    );
+
+    return {
+      ...createMessagePayload({ content }),
+      allowed_mentions: { parse: [] },
+      components: [backRow],
+    };
+  }
+
+  /**
+   * List recent sessions of a user (admin)
+   */
+  async listSessions(userId, guildId, limit = 10) {
+    const sessions = await database.getRecentSessions(userId, guildId, limit);
+
+    if (sessions.length === 0) {
+      return `${t("admin.sessions.title", {
+        user: `<@${userId}>`,
+      })}\n\n${t("admin.sessions.empty")}`;
+    }
+
+    let content = `${t("admin.sessions.title", {
+      user: `<@${userId}>`,
+    })} ${t("admin.sessions.recent", { count: sessions.length })}\n\n`;
+
+    sessions.forEach((session) => {
+      const { start, end } = getSessionBounds(session.events);
+      const duration = database.calculateSessionDuration(session.events);
+      const startStr = start
+        ? `<t:${Math.floor(start.getTime() / 1000)}:f>`
+        : "?";
+      const endStr = end
+        ? `<t:${Math.floor(end.getTime() / 1000)}:t>`
+        : t("admin.sessions.running");
+      const status = SESSION_STATUS_ICONS[session.status];
+
+      content += `${status} \`${
+        session.id
+      }\` • ${startStr} – ${endStr} • ${this.formatTime(duration)}\n`;
     });
 
     return content;
   }
+
+  /**
+   * Validate corrected session events against the event model and other sessions
+   * @returns {Promise<string|null>} Error message or null if valid
+   */
+  async validateCorrection(userId, guildId, events, excludeSessionId = null) {
+    const validation = validateSessionEvents(events);
+    if (!validation.valid) {
+      return t("admin.error.invalidCorrection", {
+        reason: validation.message,
+      });
+    }
+
+    const lastEvent = events[events.length - 1];
+    if (new Date(lastEvent.timestamp) > new Date()) {
+      return t("admin.error.future");
+    }
+
+    const { start, end } = getSessionBounds(events);
+    const overlapping = await database.findOverlappingSession(
+      userId,
+      guildId,
+      start,
+      end,
+      excludeSessionId
+    );
+    if (overlapping) {
+      return t("admin.error.overlap", { session: `\`${overlapping.id}\`` });
+    }
+
+    return null;
+  }
+
+  /**
+   * Change the START or STOP timestamp of a session (admin)
+   */
+  async editSessionEvent(
+    guildId,
+    sessionId,
+    eventType,
+    timestamp,
+    actorId = null
+  ) {
+    const session = await database.getSession(sessionId, guildId);
+    if (!session) {
+      return t("admin.error.notFound");
+    }
+
+    const event = session.events.find((e) => e.eventType === eventType);
+    if (!event) {
+      return eventType === "STOP"
+        ? t("admin.error.notStopped")
+        : t("admin.error.startNotFound");
+    }
+
+    const updatedEvents = sortEvents(
+      session.events.map((e) => (e.id === event.id ? { ...e, timestamp } : e))
+    );
+    const error = await this.validateCorrection(
+      session.userId,
+      guildId,
+      updatedEvents,
+      session.id
+    );
+    if (error) return error;
+
+    await database.updateSessionEventTime(event.id, timestamp);
+
+    const field = eventType === "START" ? "start" : "end";
+    await auditLog.record(guildId, {
+      action: "SESSION_EDIT",
+      actorId,
+      targetUserId: session.userId,
+      sessionId: session.id,
+      before: { [field]: new Date(event.timestamp).toISOString() },
+      after: { [field]: timestamp.toISOString() },
+    });
+
+    if (session.status !== "COMPLETED") {
+      this.refreshOnlineList(guildId);
+    }
+
+    const duration = database.calculateSessionDuration(updatedEvents);
+    return [
+      t(eventType === "START" ? "admin.edit.start" : "admin.edit.end", {
+        session: `\`${session.id}\``,
+        user: `<@${session.userId}>`,
+        time: `<t:${Math.floor(timestamp.getTime() / 1000)}:f>`,
+      }),
+      t("session.text.duration", { duration: this.formatTime(duration) }),
+    ].join("\n");
+  }
+
+  /**
+   * Insert a completed session manually (admin)
+   */
+  async addManualSession(
+    userId,
+    guildId,
+    startTime,
+    durationMinutes,
+    actorId = null
+  ) {
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+    const events = [
+      { eventType: "START", timestamp: startTime },
+      { eventType: "STOP", timestamp: endTime },
+    ];
+
+    const error = await this.validateCorrection(userId, guildId, events);
+    if (error) return error;
+
+    const sessionId = await database.createCompletedSession(
+      userId,
+      guildId,
+      startTime,
+      endTime
+    );
+    await auditLog.record(guildId, {
+      action: "SESSION_ADD",
+      actorId,
+      targetUserId: userId,
+      sessionId,
+      after: { start: startTime.toISOString(), end: endTime.toISOString() },
+    });
+
+    return t("admin.add.done", {
+      session: `\`${sessionId}\``,
+      user: `<@${userId}>`,
+      start: `<t:${Math.floor(startTime.getTime() / 1000)}:f>`,
+      end: `<t:${Math.floor(endTime.getTime() / 1000)}:t>`,
+      duration: this.formatTime(endTime - startTime),
+    });
+  }
+
+  /**
+   * Delete a session (admin)
+   */
+  async deleteSession(guildId, sessionId, actorId = null) {
+    const session = await database.getSession(sessionId, guildId);
+    if (!session) {
+      return t("admin.error.notFound");
+    }
+
+    await database.deleteSession(session.id);
+
+    const { start, end } = getSessionBounds(session.events);
+    await auditLog.record(guildId, {
+      action: "SESSION_DELETE",
+      actorId,
+      targetUserId: session.userId,
+      sessionId: session.id,
+      before: {
+        status: session.status,
+        start: start?.toISOString() ?? null,
+        end: end?.toISOString() ?? null,
+      },
+    });
+
+    if (session.status !== "COMPLETED") {
+      await this.updateDutyRole(guildId, session.userId, false);
+      this.refreshOnlineList(guildId);
+    }
+
+    const duration = database.calculateSessionDuration(session.events);
+    return t("admin.delete.done", {
+      session: `\`${session.id}\``,
+      user: `<@${session.userId}>`,
+      duration: this.formatTime(duration),
+    });
+  }
 }
@@ -0,0 +1,150 @@
+import { AuditLogger } from "./auditLog.js";
+import { sendChannelMessage, sendDirectMessage } from "./discordApi.js";
+import { resolveLanguage, runWithLanguage, t } from "./i18n.js";
+import { getAutoStopTime } from "./sessionEvents.js";
+
+/**
+ * Automatically stops sessions exceeding the guild's session or pause limit
+ *
+ * Safe to run in several instances at once: stopping is a conditional
+ * update, so each session is stopped (and its user notified) only once.
+ */
+export class SessionSweeper {
+  /**
+   * @param {import("../database/prisma.js").default} database - Database service
+   * @param {import("./sessionManager.js").SessionManager} sessionManager - Session manager
+   */
+  constructor(database, sessionManager) {
+    this.database = database;
+    this.sessionManager = sessionManager;
+    this.auditLog = new AuditLogger(database);
+  }
+
+  /**
+   * Check all guilds with limits and stop offending sessions
+   * @param {Date} now - Current time
+   */
+  async sweep(now = new Date()) {
+    const guilds = await this.database.getAutoStopGuildSettings();
+
+    for (const settings of guilds) {
+      try {
+        await runWithLanguage(resolveLanguage(settings), () =>
+          this.sweepGuild(settings, now)
+        );
+      } catch (error) {
+        console.error(`Error sweeping sessions of ${settings.guildId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Stop offending sessions of a single guild
+   */
+  async sweepGuild(settings, now) {
+    const limits = {
+      maxSessionMs: settings.maxSessionMinutes
+        ? settings.maxSessionMinutes * 60000
+        : null,
+      maxPauseMs: settings.maxPauseMinutes
+        ? settings.maxPauseMinutes * 60000
+        : null,
+    };
+
+    const sessions = await this.database.getAllActiveSessions(settings.guildId);
+    let stoppedSessions = 0;
+
+    for (const session of sessions) {
+      const autoStop = getAutoStopTime(session.events, limits, now);
+      if (!autoStop) continue;
+
+      const stopped = await this.database.transitionSession(
+        session.id,
+        "STOP",
+        autoStop.stopTime
+      );
+      // Another instance was faster
+      if (!stopped) continue;
+
+      stoppedSessions++;
+      console.log(
+        `⏹️ Auto-stopped session ${session.id} of ${session.userId} (${autoStop.reason})`
+      );
+
+      await this.auditLog.record(settings.guildId, {
+        action: "SESSION_AUTO_STOP",
+        targetUserId: session.userId,
+        sessionId: session.id,
+        before: { status: session.status },
+        after: {
+          status: "COMPLETED",
+          timestamp: autoStop.stopTime.toISOString(),
+          reason: autoStop.reason,
+        },
+      });
+
+      const duration = this.database.calculateSessionDuration(
+        session.events,
+        autoStop.stopTime
+      );
+      await this.notifyUser(settings, session.userId, autoStop, duration);
+      await this.sessionManager.notifyWebhooks(
+        settings.guildId,
+        session.id,
+        "STOP"
+      );
+      await this.sessionManager.updateDutyRole(
+        settings.guildId,
+        session.userId,
+        false
+      );
+    }
+
+    if (stoppedSessions > 0) {
+      this.sessionManager.refreshOnlineList(settings.guildId);
+    }
+  }
+
+  /**
+   * Inform the user about the automatic stop, depending on guild settings
+   */
+  async notifyUser(settings, userId, autoStop, duration) {
+    if (settings.autoStopNotify === "NONE") return;
+
+    const reason =
+      autoStop.reason === "SESSION_LIMIT"
+        ? t("autoStop.reason.sessionLimit", {
+            time: this.sessionManager.formatTime(
+              settings.maxSessionMinutes * 60000
+            ),
+          })
+        : t("autoStop.reason.pauseLimit", {
+            time: this.sessionManager.formatTime(
+              settings.maxPauseMinutes * 60000
+            ),
+          });
+
+    const content = [
+      t("autoStop.notice", { user: `<@${userId}>`, reason }),
+      t("autoStop.endedAt", {
+        time: `<t:${Math.floor(autoStop.stopTime.getTime() / 1000)}:f>`,
+      }),
+      t("autoStop.duration", {
+        duration: this.sessionManager.formatTime(duration),
+      }),
+    ].join("\n");
+
+    try {
+      if (settings.autoStopNotify === "DM") {
+        await sendDirectMessage(userId, { content });
+      } else if (settings.trackingChannelId) {
+        await sendChannelMessage(settings.trackingChannelId, {
+          content,
+          allowed_mentions: { users: [userId] },
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to notify ${userId} about auto-stop:`, error);
+    }
+  }
+}
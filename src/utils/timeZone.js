@@ -0,0 +1,178 @@
+/**
+ * Time zone helpers based on Intl (IANA time zone names)
+ */
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter returning the numeric date parts in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check if a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Berlin
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the local date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getOffsetMs(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const localAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local date and time in a time zone to an instant
+ *
+ * Local times skipped by a DST change are moved forward by the gap,
+ * ambiguous times resolve to the first occurrence.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} local - Local date and time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+export function zonedTimeToUtc(local, timeZone) {
+  const localAsUtc = Date.UTC(
+    local.year,
+    local.month - 1,
+    local.day,
+    local.hour || 0,
+    local.minute || 0
+  );
+
+  // The offset before the local time is correct for times after a DST
+  // change, the one after it for times before the change.
+  const before = getOffsetMs(new Date(localAsUtc - 24 * 3600000), timeZone);
+  const after = getOffsetMs(new Date(localAsUtc + 24 * 3600000), timeZone);
+
+  const candidates = [localAsUtc - before, localAsUtc - after]
+    .filter(
+      (time) => localAsUtc - getOffsetMs(new Date(time), timeZone) === time
+    )
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) {
+    return new Date(candidates[0]);
+  }
+
+  // Skipped local time (DST gap): use the offset valid before the gap
+  return new Date(localAsUtc - before);
+}
+
+/**
+ * Get the local calendar date of an instant as UTC midnight
+ *
+ * Calendar dates are plain UTC dates, so adding days never crosses a DST
+ * change. Convert them back with localDateToUtc.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Calendar date
+ */
+export function getLocalDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Convert a calendar date and a local time to an instant
+ * @param {Date} calendarDate - Calendar date (UTC midnight)
+ * @param {string} timeZone - IANA time zone
+ * @param {number} hour - Local hour
+ * @param {number} minute - Local minute
+ * @returns {Date} Instant
+ */
+export function localDateToUtc(calendarDate, timeZone, hour = 0, minute = 0) {
+  return zonedTimeToUtc(
+    {
+      year: calendarDate.getUTCFullYear(),
+      month: calendarDate.getUTCMonth() + 1,
+      day: calendarDate.getUTCDate(),
+      hour,
+      minute,
+    },
+    timeZone
+  );
+}
+
+/**
+ * Format an instant as ISO 8601 string with the offset of a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. 2024-03-31T03:30:00+02:00
+ */
+export function toZonedIsoString(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getOffsetMs(date, timeZone) / 60000);
+  const pad = (value) => String(value).padStart(2, "0");
+
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(
+    Math.abs(offsetMinutes) % 60
+  )}`;
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(
+    parts.hour
+  )}:${pad(parts.minute)}:${pad(parts.second)}${offset}`;
+}
@@ -0,0 +1,258 @@
+import { createHmac, randomBytes } from "node:crypto";
+import { serializeSession } from "../api/serializers.js";
+
+/**
+ * Outgoing webhooks for session lifecycle events
+ *
+ * Every event creates one delivery per subscribed webhook in the delivery
+ * log. A delivery is sent right away and retried with backoff by the
+ * background task until it succeeds or runs out of attempts. Requests are
+ * signed with the webhook's secret:
+ *
+ *   X-Timetracker-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * with the timestamp (Unix seconds) from X-Timetracker-Timestamp.
+ */
+
+export const WEBHOOK_EVENTS = ["START", "PAUSE", "RESUME", "STOP"];
+
+// Keep the number of webhooks per guild reasonable
+export const MAX_WEBHOOKS = 5;
+
+// Wait before the 2nd, 3rd, ... attempt; a delivery fails after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 360];
+export const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Longer than the request timeout, so a running attempt is never retried
+const DELIVERY_LEASE_MS = 60 * 1000;
+// Finished deliveries stay in the log for this long
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 200;
+
+/**
+ * Generate a signing secret for a webhook
+ * @returns {string} Secret, shown once when the webhook is created
+ */
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString("base64url")}`;
+}
+
+/**
+ * Sign a webhook request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} body - Request body
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Parse the event list of a webhook, e.g. "START, STOP"
+ * @param {string|undefined} value - Comma separated events, all if empty
+ * @returns {{events: string[]}|{error: string}} Events or the invalid entry
+ */
+export function parseWebhookEvents(value) {
+  if (!value?.trim()) return { events: [...WEBHOOK_EVENTS] };
+
+  const events = new Set();
+  for (const entry of value.split(",")) {
+    const event = entry.trim().toUpperCase();
+    if (!event) continue;
+    if (!WEBHOOK_EVENTS.includes(event)) return { error: entry.trim() };
+    events.add(event);
+  }
+
+  return events.size > 0
+    ? { events: WEBHOOK_EVENTS.filter((event) => events.has(event)) }
+    : { events: [...WEBHOOK_EVENTS] };
+}
+
+/**
+ * Check if a webhook URL can be used (http or https)
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+export function isValidWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sends session events to the webhooks of a guild
+ */
+export class WebhookDispatcher {
+  /**
+   * @param {import("../database/prisma.js").default} database - Database service
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Log and send an event of a session to all subscribed webhooks
+   *
+   * Only queuing is awaited, the first attempts run in the background.
+   * @param {string} guildId - Discord guild ID
+   * @param {string} sessionId - Session ID
+   * @param {string} eventType - START, PAUSE, RESUME or STOP
+   */
+  async dispatch(guildId, sessionId, eventType) {
+    const webhooks = await this.database.getWebhooks(guildId, eventType);
+    if (webhooks.length === 0) return;
+
+    const session = await this.database.getSession(sessionId, guildId);
+    if (!session) return;
+
+    const event = session.events.findLast((e) => e.eventType === eventType);
+    const now = new Date();
+    const payload = {
+      event: eventType,
+      timestamp: new Date(event?.timestamp || now).toISOString(),
+      guildId,
+      userId: session.userId,
+      session: serializeSession(this.database, session, null, now),
+    };
+
+    const deliveries = await this.database.createWebhookDeliveries(
+      webhooks.map((webhook) => ({
+        webhookId: webhook.id,
+        guildId,
+        eventType,
+        payload,
+        nextAttemptAt: now,
+      }))
+    );
+
+    for (const delivery of deliveries) {
+      this.attempt(delivery).catch((error) => {
+        console.error(`Error delivering webhook ${delivery.id}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Attempt all due deliveries and clean up the delivery log
+   * @param {Date} now - Current time
+   */
+  async deliverDue(now = new Date()) {
+    const deliveries = await this.database.getDueWebhookDeliveries(now);
+
+    for (const delivery of deliveries) {
+      try {
+        await this.attempt(delivery, now);
+      } catch (error) {
+        console.error(`Error delivering webhook ${delivery.id}:`, error);
+      }
+    }
+
+    await this.database.pruneWebhookDeliveries(
+      new Date(now.getTime() - DELIVERY_RETENTION_MS)
+    );
+  }
+
+  /**
+   * Claim a delivery, send it once and record the result
+   * @param {Object} delivery - Pending delivery with its webhook
+   * @param {Date} now - Current time
+   */
+  async attempt(delivery, now = new Date()) {
+    const claimed = await this.database.claimWebhookDelivery(
+      delivery,
+      new Date(now.getTime() + DELIVERY_LEASE_MS)
+    );
+    // Another instance is already sending it
+    if (!claimed) return;
+
+    const { ok, responseStatus, error } = await this.send(delivery);
+    const attempts = delivery.attempts + 1;
+    const attemptedAt = new Date();
+
+    if (ok) {
+      await this.database.updateWebhookDelivery(delivery.id, {
+        status: "DELIVERED",
+        attempts,
+        responseStatus,
+        lastError: null,
+        lastAttemptAt: attemptedAt,
+        deliveredAt: attemptedAt,
+        nextAttemptAt: null,
+      });
+      return;
+    }
+
+    const failed = attempts >= MAX_DELIVERY_ATTEMPTS;
+    await this.database.updateWebhookDelivery(delivery.id, {
+      status: failed ? "FAILED" : "PENDING",
+      attempts,
+      responseStatus,
+      lastError: error,
+      lastAttemptAt: attemptedAt,
+      nextAttemptAt: failed
+        ? null
+        : new Date(
+            attemptedAt.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * 60000
+          ),
+    });
+    console.warn(
+      `🪝 Webhook delivery ${delivery.id} failed (attempt ${attempts}/${MAX_DELIVERY_ATTEMPTS}): ${error}`
+    );
+  }
+
+  /**
+   * Send a signed delivery request
+   * @param {Object} delivery - Delivery with its webhook
+   * @returns {Promise<{ok: boolean, responseStatus: number|null, error?: string}>}
+   */
+  async send(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const res = await fetch(delivery.webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json; charset=UTF-8",
+          "User-Agent": "bloods-timetracker-webhooks",
+          "X-Timetracker-Event": delivery.eventType,
+          "X-Timetracker-Delivery": delivery.id,
+          "X-Timetracker-Timestamp": String(timestamp),
+          "X-Timetracker-Signature": `sha256=${signWebhookPayload(
+            delivery.webhook.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      if (res.ok) {
+        return { ok: true, responseStatus: res.status };
+      }
+      return {
+        ok: false,
+        responseStatus: res.status,
+        error: `HTTP ${res.status}`,
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        responseStatus: null,
+        error: String(error.cause?.message || error.message).slice(
+          0,
+          MAX_ERROR_LENGTH
+        ),
+      };
+    }
+  }
+}